@@ -6,6 +6,24 @@ const compression = require('compression');
 const { rateLimit } = require('express-rate-limit');
 const clickhouseService = require('./services/clickhouse-service');
 const llmService = require('./services/llm-service');
+const dashboardStore = require('./services/dashboard-store');
+const filterBuilder = require('./services/filter-builder');
+const authService = require('./services/auth-service');
+const tenantScope = require('./services/tenant-scope');
+const sqlValidator = require('./services/sql-validator');
+const queryLimits = require('./services/query-limits');
+const exportService = require('./services/export-service');
+const schemaCatalog = require('./services/schema-catalog');
+const chatSessionStore = require('./services/chat-session-store');
+const llmProvider = require('./services/llm-provider');
+const insightService = require('./services/insight-service');
+const metricsLayer = require('./services/metrics-layer');
+const geoService = require('./services/geo-service');
+const geofenceService = require('./services/geofence-service');
+const vectorTiles = require('./services/vector-tiles');
+const trailService = require('./services/trail-service');
+const resultShape = require('./services/result-shape');
+const queryCache = require('./services/query-cache');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -44,7 +62,8 @@ app.use(cors({
 
     return callback(new Error('Not allowed by CORS'));
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Query-Id', 'Content-Disposition', 'X-Cache', 'Age']
 }));
 
 // Body parsing middleware
@@ -61,6 +80,9 @@ app.use((req, res, next) => {
 async function initializeDatabase() {
   try {
     await clickhouseService.connect();
+    await dashboardStore.initialize();
+    await chatSessionStore.initialize();
+    queryCache.startWatching(() => clickhouseService.getTableVersions());
   } catch (error) {
     console.error('Failed to initialize ClickHouse connection:', error);
     // Don't exit the process, let the endpoints handle connection errors
@@ -77,7 +99,8 @@ app.get('/api/health', async (req, res) => {
       status: 'healthy',
       timestamp: new Date().toISOString(),
       database: dbStatus.success ? 'connected' : 'disconnected',
-      database_error: dbStatus.success ? null : dbStatus.error
+      database_error: dbStatus.success ? null : dbStatus.error,
+      llm: llmProvider.describe()
     });
   } catch (error) {
     res.status(500).json({
@@ -88,13 +111,103 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Local test issuer (only when AUTH_DEV_ISSUER=true and AUTH_JWT_SECRET is set)
+app.post('/api/auth/token', (req, res) => {
+  if (!authService.devIssuerEnabled) {
+    return res.status(404).json({
+      success: false,
+      error: 'Endpoint not found'
+    });
+  }
+
+  try {
+    const { sub, role = 'viewer', tables = null, clientIds = null, expiresIn = '1h' } = req.body;
+
+    if (!sub) {
+      return res.status(400).json({
+        success: false,
+        error: 'sub is required'
+      });
+    }
+
+    if (clientIds !== null && !Array.isArray(clientIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'clientIds must be an array'
+      });
+    }
+
+    const token = authService.issueDevToken({ sub, role, tables, clientIds, expiresIn });
+    res.json({
+      success: true,
+      token,
+      tokenType: 'Bearer',
+      role
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Every route below requires a bearer token or API key
+app.use('/api', authService.authenticate);
+
+// Current user and permissions
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// Row restriction for table reads: only the caller's client IDs
+function tenantRowFilter(user) {
+  return schema => tenantScope.buildPredicate(user, schema);
+}
+
+// Simple filters from filter_<col>=value query parameters
+function getQueryFilters(query) {
+  const filters = {};
+  Object.keys(query).forEach(key => {
+    if (key.startsWith('filter_')) {
+      filters[key.replace('filter_', '')] = query[key];
+    }
+  });
+  return filters;
+}
+
+// Export format from ?format= (or the POST body), csv by default; null if unsupported
+function getExportFormat(req) {
+  const format = String(req.query.format || (req.body && req.body.format) || 'csv').toLowerCase();
+  return exportService.isSupportedFormat(format) ? format : null;
+}
+
+function invalidExportFormat(res) {
+  return res.status(400).json({
+    success: false,
+    error: `Invalid format. Must be one of: ${exportService.getFormats().join(', ')}`
+  });
+}
+
+// Errors after an export has started streaming are handled by the export service
+function exportError(res, error) {
+  if (res.headersSent) return;
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
 // Get available tables
-app.get('/api/tables', async (req, res) => {
+app.get('/api/tables', authService.requirePermission('data:read'), async (req, res) => {
   try {
     const tables = await clickhouseService.getTables();
     res.json({
       success: true,
-      data: tables
+      data: authService.filterTables(req.user, tables)
     });
   } catch (error) {
     res.status(500).json({
@@ -106,13 +219,13 @@ app.get('/api/tables', async (req, res) => {
 });
 
 // Get table schema
-app.get('/api/tables/:tableName/schema', async (req, res) => {
+app.get('/api/tables/:tableName/schema', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
   try {
     const { tableName } = req.params;
     const schema = await clickhouseService.getTableSchema(tableName);
     res.json({
       success: true,
-      data: schema,
+      data: authService.filterSchema(req.user, tableName, schema),
       tableName
     });
   } catch (error) {
@@ -126,7 +239,7 @@ app.get('/api/tables/:tableName/schema', async (req, res) => {
 });
 
 // Get table data with pagination, search, sorting, and filtering
-app.get('/api/tables/:tableName/data', async (req, res) => {
+app.get('/api/tables/:tableName/data', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
   try {
     const { tableName } = req.params;
     const {
@@ -139,13 +252,16 @@ app.get('/api/tables/:tableName/data', async (req, res) => {
     } = req.query;
 
     // Parse filters from query parameters
-    const filters = {};
-    Object.keys(req.query).forEach(key => {
-      if (key.startsWith('filter_')) {
-        const fieldName = key.replace('filter_', '');
-        filters[fieldName] = req.query[key];
-      }
-    });
+    const filters = getQueryFilters(req.query);
+
+    const tenantError = tenantScope.checkFilters(req.user, filters);
+    if (tenantError) {
+      return res.status(403).json({
+        success: false,
+        error: tenantError,
+        data: []
+      });
+    }
 
     // Parse columns if provided
     const columnsArray = columns ? columns.split(',').map(col => col.trim()) : ['*'];
@@ -158,7 +274,64 @@ app.get('/api/tables/:tableName/data', async (req, res) => {
       sortField,
       sortDirection: sortDirection.toUpperCase(),
       filters,
-      columns: columnsArray
+      columns: columnsArray,
+      allowedColumns: await authService.getReadableColumns(req.user, tableName),
+      rowFilter: tenantRowFilter(req.user),
+      execution: queryLimits.createContext(req, res, 'table_data')
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: [],
+      pagination: {
+        page: 1,
+        pageSize: 5,
+        total: 0,
+        totalPages: 0
+      }
+    });
+  }
+});
+
+// Get table data with structured filters in the request body, e.g.
+// { "filters": [{ "field": "work_date", "op": "last_n_days", "value": 7 }] }
+app.post('/api/tables/:tableName/data', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const {
+      page = 1,
+      pageSize = 5,
+      search = '',
+      sortField = '',
+      sortDirection = 'ASC',
+      filters = [],
+      columns = ['*']
+    } = req.body;
+
+    const tenantError = tenantScope.checkFilters(req.user, filters);
+    if (tenantError) {
+      return res.status(403).json({
+        success: false,
+        error: tenantError,
+        data: []
+      });
+    }
+
+    const result = await clickhouseService.getTableData({
+      tableName,
+      page: parseInt(page),
+      pageSize: parseInt(pageSize),
+      search,
+      sortField,
+      sortDirection: sortDirection.toUpperCase(),
+      filters,
+      columns: Array.isArray(columns) ? columns : ['*'],
+      allowedColumns: await authService.getReadableColumns(req.user, tableName),
+      rowFilter: tenantRowFilter(req.user),
+      execution: queryLimits.createContext(req, res, 'table_data')
     });
 
     res.json(result);
@@ -177,11 +350,131 @@ app.get('/api/tables/:tableName/data', async (req, res) => {
   }
 });
 
+// Export the full filtered/sorted table (not just one page), e.g.
+// GET /api/tables/daily_worker_summary/export?format=csv&filter_leave_type=sick_leave&sortField=work_date
+app.get('/api/tables/:tableName/export', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const format = getExportFormat(req);
+    if (!format) {
+      return invalidExportFormat(res);
+    }
+
+    const {
+      search = '',
+      sortField = '',
+      sortDirection = 'ASC',
+      columns = ''
+    } = req.query;
+
+    const filters = getQueryFilters(req.query);
+
+    const tenantError = tenantScope.checkFilters(req.user, filters);
+    if (tenantError) {
+      return res.status(403).json({
+        success: false,
+        error: tenantError
+      });
+    }
+
+    const built = await clickhouseService.buildTableQuery({
+      tableName,
+      search,
+      sortField,
+      sortDirection,
+      filters,
+      columns: columns ? columns.split(',').map(col => col.trim()) : ['*'],
+      allowedColumns: await authService.getReadableColumns(req.user, tableName),
+      rowFilter: tenantRowFilter(req.user)
+    });
+
+    await exportService.streamToResponse(res, {
+      query: built.query,
+      params: built.params,
+      format,
+      filename: tableName,
+      execution: queryLimits.createContext(req, res, 'export')
+    });
+  } catch (error) {
+    exportError(res, error);
+  }
+});
+
+// Export with structured filters in the body (same body as POST /api/tables/:tableName/data)
+app.post('/api/tables/:tableName/export', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const format = getExportFormat(req);
+    if (!format) {
+      return invalidExportFormat(res);
+    }
+
+    const {
+      search = '',
+      sortField = '',
+      sortDirection = 'ASC',
+      filters = [],
+      columns = ['*']
+    } = req.body;
+
+    const tenantError = tenantScope.checkFilters(req.user, filters);
+    if (tenantError) {
+      return res.status(403).json({
+        success: false,
+        error: tenantError
+      });
+    }
+
+    const built = await clickhouseService.buildTableQuery({
+      tableName,
+      search,
+      sortField,
+      sortDirection,
+      filters,
+      columns: Array.isArray(columns) ? columns : ['*'],
+      allowedColumns: await authService.getReadableColumns(req.user, tableName),
+      rowFilter: tenantRowFilter(req.user)
+    });
+
+    await exportService.streamToResponse(res, {
+      query: built.query,
+      params: built.params,
+      format,
+      filename: tableName,
+      execution: queryLimits.createContext(req, res, 'export')
+    });
+  } catch (error) {
+    exportError(res, error);
+  }
+});
+
 // Get analytics data for a table
-app.get('/api/tables/:tableName/analytics', async (req, res) => {
+app.get('/api/tables/:tableName/analytics', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
   try {
     const { tableName } = req.params;
-    const result = await clickhouseService.getAnalytics(tableName);
+    const execution = queryLimits.createContext(req, res, 'analytics');
+    const result = await clickhouseService.getAnalytics(tableName, {
+      allowedColumns: await authService.getReadableColumns(req.user, tableName),
+      rowFilter: tenantRowFilter(req.user),
+      execution
+    });
+
+    // Registry metrics for the table, computed the same way as /api/metrics/query and chat
+    const registry = metricsLayer.list(req.user)[tableName];
+    if (result.success && registry) {
+      const compiled = await metricsLayer.compile({ metrics: registry.metrics.map(metric => metric.name) });
+      const access = compiled.error ? { allowed: false } : await authService.secureQuery(req.user, compiled.query);
+      if (access.allowed) {
+        const metrics = await clickhouseService.executeCustomQuery(access.query, 'JSONEachRow', {
+          params: { ...compiled.params, ...access.params },
+          execution
+        });
+        if (metrics.success) {
+          result.data.metrics = metrics.data[0] || {};
+        }
+      }
+    }
+
     res.json(result);
   } catch (error) {
     res.status(500).json({
@@ -193,7 +486,7 @@ app.get('/api/tables/:tableName/analytics', async (req, res) => {
 });
 
 // Get distinct values for a column (for filters)
-app.get('/api/tables/:tableName/columns/:columnName/values', async (req, res) => {
+app.get('/api/tables/:tableName/columns/:columnName/values', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
   try {
     const { tableName, columnName } = req.params;
     const { limit = 100 } = req.query;
@@ -201,7 +494,11 @@ app.get('/api/tables/:tableName/columns/:columnName/values', async (req, res) =>
     const result = await clickhouseService.getDistinctValues(
       tableName, 
       columnName, 
-      parseInt(limit)
+      parseInt(limit),
+      {
+        rowFilter: tenantRowFilter(req.user),
+        execution: queryLimits.createContext(req, res, 'distinct_values')
+      }
     );
     
     res.json(result);
@@ -214,8 +511,88 @@ app.get('/api/tables/:tableName/columns/:columnName/values', async (req, res) =>
   }
 });
 
+// List the metrics, dimensions and segments the caller may use (config/metrics.json)
+app.get('/api/metrics', authService.requirePermission('data:read'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: metricsLayer.list(req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: {}
+    });
+  }
+});
+
+// Compile and run a metrics request, e.g.
+// { "metrics": ["attendance_rate"], "dimensions": ["date", "client"], "timeGrain": "month",
+//   "segments": ["present"], "filters": [{ "field": "date", "op": "last_n_days", "value": 90 }] }
+// Set "labels": true to name metric columns by their labels (KPI titles).
+app.post('/api/metrics/query', authService.requirePermission('data:read'), async (req, res) => {
+  try {
+    const { filters = [], labels = false } = req.body;
+
+    const tenantError = tenantScope.checkFilters(req.user, filters);
+    if (tenantError) {
+      return res.status(403).json({
+        success: false,
+        error: tenantError,
+        data: []
+      });
+    }
+
+    const compiled = await metricsLayer.compile(req.body, { labels: labels === true });
+    if (compiled.error) {
+      return res.status(400).json({
+        success: false,
+        error: compiled.error,
+        data: []
+      });
+    }
+
+    // Same allowlist, data policy and tenant scope as hand-written SQL
+    const access = await authService.secureQuery(req.user, compiled.query);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.error,
+        data: []
+      });
+    }
+
+    const params = { ...compiled.params, ...access.params };
+    const execution = queryLimits.createContext(req, res, 'metrics');
+    const { value: result, cache } = await queryCache.wrap({
+      route: 'metrics',
+      sql: access.query,
+      params,
+      user: req.user,
+      bypass: queryCache.wantsBypass(req)
+    }, () => clickhouseService.executeCustomQuery(access.query, 'JSONEachRow', { params, execution }));
+    queryCache.setHeaders(res, cache);
+
+    res.status(result.success ? 200 : 500).json({
+      success: result.success,
+      data: result.data,
+      error: result.error || null,
+      columns: compiled.columns,
+      table: compiled.table,
+      query: compiled.query
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: []
+    });
+  }
+});
+
 // Execute custom query (POST for security)
-app.post('/api/query', async (req, res) => {
+app.post('/api/query', authService.requirePermission('query:custom'), async (req, res) => {
   try {
     const { query, format = 'JSONEachRow' } = req.body;
 
@@ -227,7 +604,30 @@ app.post('/api/query', async (req, res) => {
       });
     }
 
-    const result = await clickhouseService.executeCustomQuery(query, format);
+    // Reject anything but a single read-only statement before it reaches ClickHouse
+    const validation = sqlValidator.validate(query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        validation,
+        data: []
+      });
+    }
+
+    const access = await authService.secureQuery(req.user, validation.query);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.error,
+        data: []
+      });
+    }
+
+    const result = await clickhouseService.executeCustomQuery(access.query, format, {
+      params: access.params,
+      execution: queryLimits.createContext(req, res, 'custom_query')
+    });
     res.json(result);
   } catch (error) {
     res.status(500).json({
@@ -239,7 +639,7 @@ app.post('/api/query', async (req, res) => {
 });
 
 // Execute predefined query with pagination (for the frontend widget system)
-app.post('/api/query/execute', async (req, res) => {
+app.post('/api/query/execute', authService.requirePermission('query:execute'), async (req, res) => {
   try {
     const {
       query,
@@ -249,7 +649,8 @@ app.post('/api/query/execute', async (req, res) => {
       search = '',
       sortField = '',
       sortDirection = 'ASC',
-      filters = {}
+      filters = {},
+      tableName = null
     } = req.body;
 
     if (!query || query.trim() === '') {
@@ -260,342 +661,344 @@ app.post('/api/query/execute', async (req, res) => {
       });
     }
 
-    // For predefined queries, we need to handle pagination and filtering
-    let modifiedQuery = query;
-    const offset = (page - 1) * pageSize;
-
-    // Add WHERE clauses for search and filters if provided
-    const conditions = [];
+    // Reject anything but a single read-only statement before it reaches ClickHouse
+    const validation = sqlValidator.validate(query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        validation,
+        data: []
+      });
+    }
 
-    if (search && search.trim() !== '') {
-      // For daily_worker_summary table, search across main text fields
-      // Use ILIKE for case-insensitive search and handle nulls
-      const searchTerm = search.replace(/'/g, "''"); // Escape single quotes
-      const searchCondition = `(
-        lower(toString(client_name)) LIKE lower('%${searchTerm}%') OR
-        lower(toString(staff_name)) LIKE lower('%${searchTerm}%') OR
-        toString(work_date) LIKE '%${searchTerm}%' OR
-        lower(toString(ifNull(leave_type, ''))) LIKE lower('%${searchTerm}%')
-      )`;
-      conditions.push(searchCondition);
+    const access = await authService.secureQuery(req.user, validation.query);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.error,
+        data: []
+      });
     }
 
-    Object.entries(filters || {}).forEach(([field, value]) => {
-      if (value && value.toString().trim() !== '') {
-        conditions.push(`toString(${field}) ILIKE '%${value}%'`);
+    const execution = queryLimits.createContext(req, res, 'execute_query');
+    const { value: result, cache } = await queryCache.wrap({
+      route: 'execute_query',
+      sql: access.query,
+      params: access.params,
+      user: req.user,
+      extra: { format, page, pageSize, search, sortField, sortDirection, filters, tableName },
+      bypass: queryCache.wantsBypass(req)
+    }, () => clickhouseService.executePaginatedQuery({
+      query: access.query,
+      params: access.params,
+      format,
+      page,
+      pageSize,
+      search,
+      sortField,
+      sortDirection,
+      filters,
+      tableName,
+      execution
+    }));
+    queryCache.setHeaders(res, cache);
+
+    res.json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: [],
+      pagination: {
+        page: 1,
+        pageSize: 5,
+        total: 0,
+        totalPages: 0
       }
     });
+  }
+});
 
-    // If we have conditions, modify the query
-    if (conditions.length > 0) {
-      const whereClause = `WHERE ${conditions.join(' AND ')}`;
-      // If query already has WHERE, we need to add AND
-      if (modifiedQuery.toUpperCase().includes('WHERE')) {
-        modifiedQuery = modifiedQuery.replace(/WHERE/i, `WHERE ${conditions.join(' AND ')} AND`);
-      } else {
-        // Add WHERE before ORDER BY if it exists, or before LIMIT
-        if (modifiedQuery.toUpperCase().includes('ORDER BY')) {
-          modifiedQuery = modifiedQuery.replace(/ORDER BY/i, `${whereClause} ORDER BY`);
-        } else if (modifiedQuery.toUpperCase().includes('LIMIT')) {
-          modifiedQuery = modifiedQuery.replace(/LIMIT/i, `${whereClause} LIMIT`);
-        } else {
-          modifiedQuery += ` ${whereClause}`;
-        }
-      }
-    }
+// Dry run hand-written SQL without reading any data: returns the normalized query
+// (EXPLAIN SYNTAX), the estimated rows/parts/marks to scan (EXPLAIN ESTIMATE) and
+// whether the caller's dry-run thresholds would allow it, ask for confirmation or refuse it
+app.post('/api/query/explain', authService.requirePermission('query:execute'), async (req, res) => {
+  try {
+    const { query } = req.body;
 
-    // Add sorting if provided
-    if (sortField) {
-      if (modifiedQuery.toUpperCase().includes('ORDER BY')) {
-        // Replace existing ORDER BY clause completely
-        modifiedQuery = modifiedQuery.replace(/ORDER BY\s+\w+\s+(ASC|DESC)/i, `ORDER BY ${sortField} ${sortDirection.toUpperCase()}`);
-      } else {
-        if (modifiedQuery.toUpperCase().includes('LIMIT')) {
-          modifiedQuery = modifiedQuery.replace(/LIMIT/i, `ORDER BY ${sortField} ${sortDirection.toUpperCase()} LIMIT`);
-        } else {
-          modifiedQuery += ` ORDER BY ${sortField} ${sortDirection.toUpperCase()}`;
-        }
-      }
+    if (!query || query.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Query is required',
+        data: null
+      });
     }
 
-    // Add pagination
-    if (modifiedQuery.toUpperCase().includes('LIMIT')) {
-      // Replace existing LIMIT
-      modifiedQuery = modifiedQuery.replace(/LIMIT \d+/i, `LIMIT ${pageSize} OFFSET ${offset}`);
-    } else {
-      modifiedQuery += ` LIMIT ${pageSize} OFFSET ${offset}`;
-    }
-
-    console.log('Executing modified query:', modifiedQuery);
-
-    const result = await clickhouseService.executeCustomQuery(modifiedQuery, format);
+    const validation = sqlValidator.validate(query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        validation,
+        data: null
+      });
+    }
 
-    // Get total count for pagination
-    let countQuery;
-    let countResult;
+    const access = await authService.secureQuery(req.user, validation.query);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.error,
+        data: null
+      });
+    }
 
+    let explained;
     try {
-      // Handle UNION ALL queries differently
-      if (query.toUpperCase().includes('UNION ALL')) {
-        // For UNION ALL queries, wrap the entire query in a subquery
-        let baseQuery = query;
-        // Remove ORDER BY and LIMIT from the base query
-        baseQuery = baseQuery.replace(/ORDER BY.*?(?=LIMIT|$)/i, '');
-        baseQuery = baseQuery.replace(/LIMIT.*$/i, '');
-
-        // Add WHERE conditions to both parts of UNION if needed
-        if (conditions.length > 0) {
-          const whereClause = conditions.join(' AND ');
-          // This is complex for UNION queries, so we'll wrap the whole thing
-          baseQuery = `SELECT * FROM (${baseQuery}) WHERE ${whereClause}`;
-        }
-
-        countQuery = `SELECT COUNT(*) as total FROM (${baseQuery}) as subquery`;
-      } else {
-        // Standard single table query
-        countQuery = query.replace(/SELECT.*?FROM/i, 'SELECT COUNT(*) as total FROM');
-        // Remove ORDER BY, GROUP BY, and LIMIT from count query
-        countQuery = countQuery.replace(/ORDER BY.*?(?=LIMIT|GROUP BY|$)/i, '');
-        countQuery = countQuery.replace(/GROUP BY.*?(?=LIMIT|$)/i, '');
-        countQuery = countQuery.replace(/LIMIT.*$/i, '');
-
-        // Add WHERE conditions to count query
-        if (conditions.length > 0) {
-          const whereClause = `WHERE ${conditions.join(' AND ')}`;
-          if (countQuery.toUpperCase().includes('WHERE')) {
-            countQuery = countQuery.replace(/WHERE/i, `WHERE ${conditions.join(' AND ')} AND`);
-          } else {
-            countQuery += ` ${whereClause}`;
-          }
-        }
-      }
-
-      console.log('Count query:', countQuery);
-      countResult = await clickhouseService.executeCustomQuery(countQuery, format);
-    } catch (countError) {
-      console.warn('Count query failed, using fallback:', countError.message);
-      // Fallback: return the actual result count
-      countResult = { success: true, data: [{ total: result.data ? result.data.length : 0 }] };
+      explained = await clickhouseService.explainQuery(access.query, {
+        params: access.params,
+        execution: queryLimits.createContext(req, res, 'explain')
+      });
+    } catch (error) {
+      // ClickHouse errors carry a type (SYNTAX_ERROR, UNKNOWN_IDENTIFIER, ...): the query is at fault
+      if (!error.type) throw error;
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        data: null
+      });
     }
-    const total = countResult.data && countResult.data[0] ? countResult.data[0].total : 0;
 
+    const assessment = queryLimits.assessEstimate(explained.estimate, req.user.role);
     res.json({
-      success: result.success,
-      data: result.data || [],
-      error: result.error,
-      pagination: {
-        page: parseInt(page),
-        pageSize: parseInt(pageSize),
-        total: parseInt(total),
-        totalPages: Math.ceil(total / pageSize)
-      },
-      query: modifiedQuery
+      success: true,
+      data: {
+        syntax: explained.syntax,
+        estimate: explained.estimate,
+        decision: assessment.decision,
+        reason: assessment.reason,
+        thresholds: assessment.thresholds
+      }
     });
-
   } catch (error) {
     res.status(500).json({
       success: false,
       error: error.message,
-      data: [],
-      pagination: {
-        page: 1,
-        pageSize: 5,
-        total: 0,
-        totalPages: 0
-      }
+      data: null
     });
   }
 });
 
-// Mock data endpoints for compatibility with existing frontend
-// These simulate the structure your frontend expects
-app.get('/api/queries', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      {
-        id: 1,
-        name: 'Database Query 1',
-        description: 'Default database table query',
-        tableName: 'daily_worker_summary'
-      },
-      // {
-      //   id: 2,
-      //   name: 'Database Query 2',
-      //   description: 'Another database table query',
-      //   tableName: 'another_table_name' 
-      // }
-    ]
-  });
-});
-
-// Get query data by ID (for compatibility)
-app.get('/api/queries/:queryId/data', async (req, res) => {
+// Export the full result of a predefined query with the same search/filters/sort
+// as /api/query/execute, e.g. POST /api/query/execute/export?format=xlsx
+app.post('/api/query/execute/export', authService.requirePermission('query:execute'), async (req, res) => {
   try {
-    const { queryId } = req.params;
-    
-    // This is a simple mapping - you'll need to customize this
-    // based on your actual tables and requirements
-    const tableMapping = {
-      '1': 'daily_worker_summary',    // Replace with actual table name
-      // '2': 'your_second_table'    // Replace with actual table name
-    };
-    
-    const tableName = tableMapping[queryId];
-    if (!tableName) {
-      return res.status(404).json({
-        success: false,
-        error: 'Query not found',
-        data: []
-      });
+    const format = getExportFormat(req);
+    if (!format) {
+      return invalidExportFormat(res);
     }
 
     const {
-      page = 1,
-      pageSize = 5,
+      query,
       search = '',
       sortField = '',
-      sortDirection = 'ASC'
-    } = req.query;
+      sortDirection = 'ASC',
+      filters = {},
+      tableName = null,
+      filename = null
+    } = req.body;
 
-    const result = await clickhouseService.getTableData({
-      tableName,
-      page: parseInt(page),
-      pageSize: parseInt(pageSize),
+    if (!query || query.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Query is required'
+      });
+    }
+
+    const validation = sqlValidator.validate(query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        validation
+      });
+    }
+
+    const access = await authService.secureQuery(req.user, validation.query);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.error
+      });
+    }
+
+    const execution = queryLimits.createContext(req, res, 'export');
+    const wrapped = await clickhouseService.buildWrappedQuery({
+      query: access.query,
+      params: access.params,
       search,
       sortField,
-      sortDirection: sortDirection.toUpperCase()
+      sortDirection,
+      filters,
+      tableName,
+      execution
     });
 
-    // Transform the response to match your frontend expectations
-    res.json({
-      success: true,
-      id: queryId,
-      name: `Query ${queryId}`,
-      data: result.data,
-      pagination: result.pagination
+    await exportService.streamToResponse(res, {
+      query: wrapped.query,
+      params: wrapped.params,
+      format,
+      filename: filename || tableName || 'query',
+      execution
     });
-
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      data: [],
-      pagination: {
-        page: 1,
-        pageSize: 5,
-        total: 0,
-        totalPages: 0
-      }
-    });
+    exportError(res, error);
   }
 });
 
-// Chat endpoint for LLM-powered query generation
-app.post('/api/chat', async (req, res) => {
+// Drop cached query results and vector tiles of the given tables, e.g. after loading data:
+//   { "tables": ["daily_worker_summary"] }   or   { "all": true }
+app.post('/api/cache/invalidate', authService.requirePermission('cache:invalidate'), async (req, res) => {
   try {
-    const {
-      message,
-      cardType,
-      tableName = 'daily_worker_summary'
-    } = req.body;
+    const { tables, all = false } = req.body;
+
+    if (all === true) {
+      const removed = await queryCache.clear();
+      console.log(`🧹 Query cache cleared (${removed} entries)`);
+      return res.json({
+        success: true,
+        data: { tables: null, removed },
+        error: null
+      });
+    }
 
-    // Validate required fields
-    if (!message || !cardType) {
+    if (!Array.isArray(tables) || tables.length === 0 || tables.some(name => typeof name !== 'string' || name.trim() === '')) {
       return res.status(400).json({
         success: false,
-        error: 'Message and cardType are required',
+        error: 'Send "tables" as a non-empty array of table names, or "all": true',
         data: null
       });
     }
 
-    // Validate card type
-    const validCardTypes = ['table', 'bar', 'line', 'pie', 'map', 'kpi'];
-    if (!validCardTypes.includes(cardType)) {
-      return res.status(400).json({
+    const denied = tables.find(name => !authService.canAccessTable(req.user, name));
+    if (denied) {
+      return res.status(403).json({
         success: false,
-        error: `Invalid cardType. Must be one of: ${validCardTypes.join(', ')}`,
+        error: `Access to table ${denied} is not allowed`,
         data: null
       });
     }
 
-    console.log(`Chat request - Card Type: ${cardType}, Message: "${message}"`);
+    const removed = await queryCache.invalidateTables(tables);
+    res.json({
+      success: true,
+      data: { tables, removed },
+      error: null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: null
+    });
+  }
+});
 
-    // Process the user request with LLM
-    const result = await llmService.processUserRequest(message, cardType, tableName);
+// Dashboard and card storage
+const validCardTypes = ['table', 'bar', 'line', 'pie', 'map', 'kpi'];
 
-    if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        error: result.error || 'Failed to process chat request',
-        data: null,
-        query: result.query,
-        explanation: result.explanation
-      });
+// Validate card fields sent by the canvas, returns an error message or null
+function validateCardFields(fields, { partial = false } = {}) {
+  if (!partial || fields.title !== undefined) {
+    if (!fields.title || typeof fields.title !== 'string' || fields.title.trim() === '') {
+      return 'Card title is required';
+    }
+  }
+
+  if (!partial || fields.cardType !== undefined) {
+    if (!validCardTypes.includes(fields.cardType)) {
+      return `Invalid cardType. Must be one of: ${validCardTypes.join(', ')}`;
     }
+  }
+
+  if (fields.query !== undefined && fields.query !== null && typeof fields.query !== 'string') {
+    return 'Card query must be a string';
+  }
+
+  if (fields.layout !== undefined && (typeof fields.layout !== 'object' || Array.isArray(fields.layout))) {
+    return 'Card layout must be an object (e.g. { "x": 0, "y": 0, "w": 4, "h": 3 })';
+  }
+
+  return null;
+}
 
-    // Return successful result
+// List dashboards
+app.get('/api/dashboards', authService.requirePermission('dashboards:read'), async (req, res) => {
+  try {
+    const dashboards = await dashboardStore.listDashboards(req.user);
     res.json({
       success: true,
-      data: result.data,
-      query: result.query,
-      explanation: result.explanation,
-      cardType: result.cardType,
-      columns: result.columns,
-      metadata: result.metadata,
-      tableName: tableName
+      data: dashboards
     });
-
   } catch (error) {
-    console.error('Chat endpoint error:', error);
+    console.error('Error listing dashboards:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error while processing chat request',
-      data: null,
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: error.message,
+      data: []
     });
   }
 });
 
-// Get available chat schemas
-app.get('/api/chat/schemas', (req, res) => {
+// Create a dashboard
+app.post('/api/dashboards', authService.requirePermission('dashboards:write'), async (req, res) => {
   try {
-    const schemas = llmService.getAvailableSchemas();
-    res.json({
+    const { title, description = '' } = req.body;
+
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Dashboard title is required',
+        data: null
+      });
+    }
+
+    const dashboard = await dashboardStore.createDashboard({ title: title.trim(), description }, req.user);
+    res.status(201).json({
       success: true,
-      data: schemas
+      data: dashboard
     });
   } catch (error) {
-    console.error('Error fetching chat schemas:', error);
+    console.error('Error creating dashboard:', error);
     res.status(500).json({
       success: false,
       error: error.message,
-      data: {}
+      data: null
     });
   }
 });
 
-// Get schema for specific table
-app.get('/api/chat/schemas/:tableName', (req, res) => {
+// Get a dashboard with its cards
+app.get('/api/dashboards/:dashboardId', authService.requirePermission('dashboards:read'), async (req, res) => {
   try {
-    const { tableName } = req.params;
-    const schema = llmService.getTableSchema(tableName);
+    const dashboard = await dashboardStore.getDashboard(req.params.dashboardId, req.user);
 
-    if (!schema) {
+    if (!dashboard) {
       return res.status(404).json({
         success: false,
-        error: `Table ${tableName} not found`,
+        error: 'Dashboard not found',
         data: null
       });
     }
 
     res.json({
       success: true,
-      data: schema,
-      tableName: tableName
+      data: dashboard
     });
   } catch (error) {
-    console.error('Error fetching table schema:', error);
+    console.error('Error fetching dashboard:', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -604,105 +1007,87 @@ app.get('/api/chat/schemas/:tableName', (req, res) => {
   }
 });
 
-// Get location data for mapping (optimized endpoint for map visualizations)
-app.get('/api/tables/:tableName/locations', async (req, res) => {
+// Update a dashboard
+app.put('/api/dashboards/:dashboardId', authService.requirePermission('dashboards:write'), async (req, res) => {
   try {
-    const { tableName } = req.params;
-    const {
-      limit = 100,
-      type = 'checkin', // 'checkin', 'checkout', or 'both'
-      includeMetrics = 'basic' // 'basic', 'earnings', 'hours', 'all'
-    } = req.query;
+    const { title, description } = req.body;
 
-    // Validate table name
-    const tables = await clickhouseService.getTables();
-    const tableExists = tables.some(t => t.name === tableName);
-    if (!tableExists) {
-      return res.status(404).json({
+    if (title !== undefined && (typeof title !== 'string' || title.trim() === '')) {
+      return res.status(400).json({
         success: false,
-        error: `Table ${tableName} does not exist`,
-        data: []
+        error: 'Dashboard title cannot be empty',
+        data: null
       });
     }
 
-    // Build query based on location type
-    let locationFields = '';
-    let whereClause = '';
+    const dashboard = await dashboardStore.updateDashboard(req.params.dashboardId, {
+      title: title !== undefined ? title.trim() : undefined,
+      description
+    }, req.user);
 
-    if (type === 'checkin') {
-      locationFields = 'checkin_lat as lat, checkin_lng as lng';
-      whereClause = 'WHERE checkin_lat IS NOT NULL AND checkin_lng IS NOT NULL';
-    } else if (type === 'checkout') {
-      locationFields = 'checkout_lat as lat, checkout_lng as lng';
-      whereClause = 'WHERE checkout_lat IS NOT NULL AND checkout_lng IS NOT NULL';
-    } else if (type === 'both') {
-      // Return both check-in and check-out locations
-      const checkinQuery = `
-        SELECT
-          checkin_lat as lat,
-          checkin_lng as lng,
-          'checkin' as location_type,
-          staff_name,
-          client_name,
-          work_date,
-          ${includeMetrics === 'all' || includeMetrics === 'hours' ? 'total_work_hours,' : ''}
-          ${includeMetrics === 'all' || includeMetrics === 'earnings' ? 'total_earnings,' : ''}
-          checkin_time as timestamp
-        FROM ${tableName}
-        WHERE checkin_lat IS NOT NULL AND checkin_lng IS NOT NULL
-        LIMIT ${Math.floor(limit / 2)}
-      `;
+    if (!dashboard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found',
+        data: null
+      });
+    }
 
-      const checkoutQuery = `
-        SELECT
-          checkout_lat as lat,
-          checkout_lng as lng,
-          'checkout' as location_type,
-          staff_name,
-          client_name,
-          work_date,
-          ${includeMetrics === 'all' || includeMetrics === 'hours' ? 'total_work_hours,' : ''}
-          ${includeMetrics === 'all' || includeMetrics === 'earnings' ? 'total_earnings,' : ''}
-          checkout_time as timestamp
-        FROM ${tableName}
-        WHERE checkout_lat IS NOT NULL AND checkout_lng IS NOT NULL
-        LIMIT ${Math.floor(limit / 2)}
-      `;
+    res.json({
+      success: true,
+      data: dashboard
+    });
+  } catch (error) {
+    console.error('Error updating dashboard:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: null
+    });
+  }
+});
 
-      const finalQuery = `${checkinQuery} UNION ALL ${checkoutQuery}`;
+// Delete a dashboard and its cards
+app.delete('/api/dashboards/:dashboardId', authService.requirePermission('dashboards:write'), async (req, res) => {
+  try {
+    const deleted = await dashboardStore.deleteDashboard(req.params.dashboardId, req.user);
 
-      const result = await clickhouseService.executeCustomQuery(finalQuery);
-      return res.json(result);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
     }
 
-    // Build metrics selection
-    let metricsFields = '';
-    if (includeMetrics === 'earnings') {
-      metricsFields = ', total_earnings, work_amount, overtime_amount';
-    } else if (includeMetrics === 'hours') {
-      metricsFields = ', total_work_hours, overtime_hours, effective_work_hours';
-    } else if (includeMetrics === 'all') {
-      metricsFields = ', total_work_hours, overtime_hours, total_earnings, work_amount';
-    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting dashboard:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    const query = `
-      SELECT
-        ${locationFields},
-        staff_name,
-        client_name,
-        work_date
-        ${metricsFields}
-      FROM ${tableName}
-      ${whereClause}
-      ORDER BY work_date DESC
-      LIMIT ${limit}
-    `;
+// List cards on a dashboard
+app.get('/api/dashboards/:dashboardId/cards', authService.requirePermission('dashboards:read'), async (req, res) => {
+  try {
+    const dashboard = await dashboardStore.getDashboard(req.params.dashboardId, req.user);
 
-    const result = await clickhouseService.executeCustomQuery(query);
-    res.json(result);
+    if (!dashboard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found',
+        data: []
+      });
+    }
 
+    res.json({
+      success: true,
+      data: dashboard.cards
+    });
   } catch (error) {
-    console.error('Error fetching location data:', error);
+    console.error('Error listing cards:', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -711,6 +1096,1324 @@ app.get('/api/tables/:tableName/locations', async (req, res) => {
   }
 });
 
+// Add a card to a dashboard
+app.post('/api/dashboards/:dashboardId/cards', authService.requirePermission('dashboards:write'), async (req, res) => {
+  try {
+    const { title, cardType, query = '', tableName = null, layout = {}, chatPrompt = null } = req.body;
+
+    const validationError = validateCardFields({ title, cardType, query, layout });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        data: null
+      });
+    }
+
+    const card = await dashboardStore.createCard(req.params.dashboardId, {
+      title: title.trim(),
+      cardType,
+      query,
+      tableName,
+      layout,
+      chatPrompt
+    }, req.user);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found',
+        data: null
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: card
+    });
+  } catch (error) {
+    console.error('Error creating card:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: null
+    });
+  }
+});
+
+// Get a single card
+app.get('/api/dashboards/:dashboardId/cards/:cardId', authService.requirePermission('dashboards:read'), async (req, res) => {
+  try {
+    const { dashboardId, cardId } = req.params;
+    const card = await dashboardStore.getCard(req.user, cardId, dashboardId);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found',
+        data: null
+      });
+    }
+
+    res.json({
+      success: true,
+      data: card
+    });
+  } catch (error) {
+    console.error('Error fetching card:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: null
+    });
+  }
+});
+
+// Update a card (title, type, SQL, layout position, chat prompt)
+app.put('/api/dashboards/:dashboardId/cards/:cardId', authService.requirePermission('dashboards:write'), async (req, res) => {
+  try {
+    const { dashboardId, cardId } = req.params;
+    const { title, cardType, query, tableName, layout, chatPrompt } = req.body;
+
+    const validationError = validateCardFields({ title, cardType, query, layout }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        data: null
+      });
+    }
+
+    const card = await dashboardStore.updateCard(dashboardId, cardId, {
+      title: title !== undefined ? title.trim() : undefined,
+      cardType,
+      query,
+      tableName,
+      layout,
+      chatPrompt
+    }, req.user);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found',
+        data: null
+      });
+    }
+
+    res.json({
+      success: true,
+      data: card
+    });
+  } catch (error) {
+    console.error('Error updating card:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: null
+    });
+  }
+});
+
+// Delete a card
+app.delete('/api/dashboards/:dashboardId/cards/:cardId', authService.requirePermission('dashboards:write'), async (req, res) => {
+  try {
+    const { dashboardId, cardId } = req.params;
+    const deleted = await dashboardStore.deleteCard(dashboardId, cardId, req.user);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting card:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List saved card queries (kept for the existing frontend widget system)
+app.get('/api/queries', authService.requirePermission('dashboards:read'), async (req, res) => {
+  try {
+    const cards = await dashboardStore.listCards(req.user);
+    res.json({
+      success: true,
+      data: cards.map(card => ({
+        id: card.id,
+        name: card.title,
+        description: card.chatPrompt || `${card.cardType} card`,
+        tableName: card.tableName,
+        dashboardId: card.dashboardId,
+        cardType: card.cardType
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing saved queries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: []
+    });
+  }
+});
+
+// Execute a saved card's query with pagination
+app.get('/api/queries/:queryId/data', authService.requirePermission('dashboards:read'), async (req, res) => {
+  try {
+    const { queryId } = req.params;
+
+    const card = await dashboardStore.getCard(req.user, queryId);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Query not found',
+        data: []
+      });
+    }
+
+    if (!card.query || card.query.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'This card has no saved query',
+        data: []
+      });
+    }
+
+    const access = await authService.secureQuery(req.user, card.query);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.error,
+        data: []
+      });
+    }
+
+    const {
+      page = 1,
+      pageSize = 5,
+      search = '',
+      sortField = '',
+      sortDirection = 'ASC'
+    } = req.query;
+
+    // Parse filters from query parameters
+    const filters = getQueryFilters(req.query);
+
+    const options = {
+      page: parseInt(page),
+      pageSize: parseInt(pageSize),
+      search,
+      sortField,
+      sortDirection: sortDirection.toUpperCase(),
+      filters,
+      tableName: card.tableName
+    };
+    const execution = queryLimits.createContext(req, res, 'card_data');
+    const { value: result, cache } = await queryCache.wrap({
+      route: 'card_data',
+      sql: access.query,
+      params: access.params,
+      user: req.user,
+      extra: options,
+      bypass: queryCache.wantsBypass(req)
+    }, () => clickhouseService.executePaginatedQuery({
+      query: access.query,
+      params: access.params,
+      ...options,
+      execution
+    }));
+    queryCache.setHeaders(res, cache);
+
+    res.json({
+      ...result,
+      id: card.id,
+      name: card.title,
+      cardType: card.cardType
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: [],
+      pagination: {
+        page: 1,
+        pageSize: 5,
+        total: 0,
+        totalPages: 0
+      }
+    });
+  }
+});
+
+// Export a saved card's full result, e.g. GET /api/queries/:cardId/export?format=csv
+app.get('/api/queries/:queryId/export', authService.requirePermission('dashboards:read'), async (req, res) => {
+  try {
+    const format = getExportFormat(req);
+    if (!format) {
+      return invalidExportFormat(res);
+    }
+
+    const card = await dashboardStore.getCard(req.user, req.params.queryId);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Query not found'
+      });
+    }
+
+    if (!card.query || card.query.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'This card has no saved query'
+      });
+    }
+
+    const access = await authService.secureQuery(req.user, card.query);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.error
+      });
+    }
+
+    const {
+      search = '',
+      sortField = '',
+      sortDirection = 'ASC'
+    } = req.query;
+
+    const filters = getQueryFilters(req.query);
+
+    const execution = queryLimits.createContext(req, res, 'export');
+    const wrapped = await clickhouseService.buildWrappedQuery({
+      query: access.query,
+      params: access.params,
+      search,
+      sortField,
+      sortDirection,
+      filters,
+      tableName: card.tableName,
+      execution
+    });
+
+    await exportService.streamToResponse(res, {
+      query: wrapped.query,
+      params: wrapped.params,
+      format,
+      filename: card.title,
+      execution
+    });
+  } catch (error) {
+    exportError(res, error);
+  }
+});
+
+// Cancel a running request's ClickHouse queries (ID from the X-Query-Id header).
+// Callers may cancel their own queries; admins may cancel any.
+app.delete('/api/queries/running/:queryId', async (req, res) => {
+  try {
+    const { queryId } = req.params;
+    const result = await queryLimits.cancel(queryId, req.user, {
+      canCancelAny: authService.hasPermission(req.user, 'queries:cancel_any')
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { queryId, cancelled: true }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Validate a chat request and resolve its session.
+// Returns { message, cardType, tableName, session } or { status, error } on failure.
+// Pass sessionId to continue a conversation: follow-ups refine the previous query,
+// and cardType/tableName default to the ones used last in the session.
+async function resolveChatRequest(req) {
+  const { message, sessionId = null } = req.body;
+
+  let session = null;
+  if (sessionId) {
+    session = await chatSessionStore.getSession(sessionId, req.user.id);
+    if (!session) {
+      return { status: 404, error: `Chat session ${sessionId} not found` };
+    }
+  }
+
+  const cardType = req.body.cardType || (session ? session.cardType : null);
+  const tableName = req.body.tableName || (session ? session.tableName : 'daily_worker_summary');
+
+  // Validate required fields
+  if (!message || !cardType) {
+    return { status: 400, error: 'Message and cardType are required' };
+  }
+
+  // Validate card type
+  if (!validCardTypes.includes(cardType)) {
+    return { status: 400, error: `Invalid cardType. Must be one of: ${validCardTypes.join(', ')}` };
+  }
+
+  if (!authService.canAccessTable(req.user, tableName)) {
+    return { status: 403, error: `Access to table ${tableName} is not allowed` };
+  }
+
+  // Any table in the database is chat-queryable once the schema catalog has seen it
+  if (!(await llmService.getTableSchema(tableName, req.user))) {
+    return { status: 404, error: `Table ${tableName} not found` };
+  }
+
+  console.log(`Chat request - Card Type: ${cardType}, Message: "${message}"${session ? `, Session: ${session.id}` : ''}`);
+
+  if (!session) {
+    session = await chatSessionStore.createSession(req.user.id, { message, tableName, cardType });
+  }
+
+  return { message, cardType, tableName, session };
+}
+
+// HTTP status for a failed chat pipeline result
+function chatFailureStatus(result) {
+  if (result.accessDenied) return 403;
+  if (result.confirmationRequired) return 409;
+  if (result.refused) return 400;
+  return 500;
+}
+
+// Run the chat pipeline for a resolved request and record the turn in its session.
+// Returns { status, body } with the /api/chat response.
+// A query whose dry-run estimate needs confirmation answers 409 with dryRun details;
+// sending the request again with confirm: true runs it.
+// Successful results get a narrative `insight` unless the request sets insights: false.
+async function runChatRequest(req, chat, { execution, onProgress = null }) {
+  const { message, cardType, tableName, session } = chat;
+
+  // Process the user request with LLM (generated SQL is checked against the user's allowlists)
+  const result = await llmService.processUserRequest(message, cardType, tableName, {
+    user: req.user,
+    history: chatSessionStore.getHistory(session),
+    confirmed: req.body.confirm === true,
+    bypassCache: queryCache.wantsBypass(req),
+    execution,
+    onProgress
+  });
+
+  const turn = await chatSessionStore.addTurn(session, { message, cardType, tableName, result });
+
+  const wantsInsight = req.body.insights !== undefined ? req.body.insights !== false : llmProvider.insights.enabled;
+  let insight;
+  if (result.success && wantsInsight) {
+    insight = await insightService.summarize({
+      message,
+      cardType: result.cardType,
+      query: result.query,
+      rows: result.data,
+      columns: result.resultColumns || [],
+      encoding: result.encoding
+    });
+    if (onProgress) {
+      onProgress('insight', insight);
+    }
+  }
+
+  if (!result.success) {
+    return {
+      status: chatFailureStatus(result),
+      body: {
+        success: false,
+        error: result.error || 'Failed to process chat request',
+        data: null,
+        query: result.query,
+        explanation: result.explanation,
+        policy: result.policy || undefined,
+        confirmationRequired: result.confirmationRequired || undefined,
+        dryRun: result.dryRun || undefined,
+        metadata: result.metadata,
+        sessionId: session.id,
+        turnId: turn.id
+      }
+    };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: result.data,
+      query: result.query,
+      explanation: result.explanation,
+      cardType: result.cardType,
+      columns: result.columns,
+      encoding: result.encoding,
+      kpis: result.kpis || undefined,
+      insight,
+      dryRun: result.dryRun,
+      metadata: result.metadata,
+      tableName: tableName,
+      sessionId: session.id,
+      turnId: turn.id
+    }
+  };
+}
+
+// Chat endpoint for LLM-powered query generation
+app.post('/api/chat', authService.requirePermission('chat'), async (req, res) => {
+  try {
+    const chat = await resolveChatRequest(req);
+    if (chat.error) {
+      return res.status(chat.status).json({
+        success: false,
+        error: chat.error,
+        data: null
+      });
+    }
+
+    const { status, body } = await runChatRequest(req, chat, {
+      execution: queryLimits.createContext(req, res, 'chat')
+    });
+    queryCache.setHeaders(res, body.metadata && body.metadata.cache);
+    res.status(status).json(body);
+
+  } catch (error) {
+    console.error('Chat endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while processing chat request',
+      data: null,
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
+
+// Write one Server-Sent Event (flushed past the compression middleware)
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+// Streaming variant of /api/chat over Server-Sent Events. Same request body.
+// Events: session, validated, sql, explanation, dry_run, execution, correction, insight, then
+// result (the /api/chat response body) or error; the stream ends after either.
+app.post('/api/chat/stream', authService.requirePermission('chat'), async (req, res) => {
+  try {
+    const chat = await resolveChatRequest(req);
+    if (chat.error) {
+      return res.status(chat.status).json({
+        success: false,
+        error: chat.error,
+        data: null
+      });
+    }
+
+    // Sets X-Query-Id, so it has to happen before the headers are flushed
+    const execution = queryLimits.createContext(req, res, 'chat');
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    sendEvent(res, 'session', {
+      sessionId: chat.session.id,
+      queryId: execution.queryId,
+      cardType: chat.cardType,
+      tableName: chat.tableName
+    });
+
+    const { status, body } = await runChatRequest(req, chat, {
+      execution,
+      onProgress: (stage, data) => sendEvent(res, stage, data)
+    });
+    sendEvent(res, body.success ? 'result' : 'error', { status, ...body });
+    res.end();
+
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error while processing chat request',
+        data: null
+      });
+    }
+    sendEvent(res, 'error', {
+      status: 500,
+      success: false,
+      error: 'Internal server error while processing chat request',
+      data: null
+    });
+    res.end();
+  }
+});
+
+// List the caller's chat sessions
+app.get('/api/chat/sessions', authService.requirePermission('chat'), async (req, res) => {
+  try {
+    const sessions = await chatSessionStore.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Error listing chat sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: []
+    });
+  }
+});
+
+// Get a chat session with all of its turns
+app.get('/api/chat/sessions/:sessionId', authService.requirePermission('chat'), async (req, res) => {
+  try {
+    const session = await chatSessionStore.getSession(req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: `Chat session ${req.params.sessionId} not found`,
+        data: null
+      });
+    }
+
+    const { userId, ...data } = session;
+    res.json({
+      success: true,
+      data: data
+    });
+  } catch (error) {
+    console.error('Error fetching chat session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: null
+    });
+  }
+});
+
+// Delete a chat session
+app.delete('/api/chat/sessions/:sessionId', authService.requirePermission('chat'), async (req, res) => {
+  try {
+    const deleted = await chatSessionStore.deleteSession(req.params.sessionId, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Chat session ${req.params.sessionId} not found`
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting chat session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get available chat schemas
+app.get('/api/chat/schemas', authService.requirePermission('chat'), async (req, res) => {
+  try {
+    const schemas = await llmService.getAvailableSchemas(req.user);
+
+    res.json({
+      success: true,
+      data: schemas
+    });
+  } catch (error) {
+    console.error('Error fetching chat schemas:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: {}
+    });
+  }
+});
+
+// Re-read the schema catalog (after new tables or schema-overlay.json edits)
+app.post('/api/chat/schemas/refresh', authService.requirePermission('schema:refresh'), async (req, res) => {
+  try {
+    schemaCatalog.refresh();
+    const schemas = await llmService.getAvailableSchemas(req.user);
+
+    res.json({
+      success: true,
+      data: Object.keys(schemas)
+    });
+  } catch (error) {
+    console.error('Error refreshing schema catalog:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: []
+    });
+  }
+});
+
+// Get schema for specific table
+app.get('/api/chat/schemas/:tableName', authService.requirePermission('chat'), async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const schema = await llmService.getTableSchema(tableName, req.user);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        error: `Table ${tableName} not found`,
+        data: null
+      });
+    }
+
+    res.json({
+      success: true,
+      data: schema,
+      tableName: tableName
+    });
+  } catch (error) {
+    console.error('Error fetching table schema:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: null
+    });
+  }
+});
+
+// Get location data for mapping (optimized endpoint for map visualizations).
+// bbox=minLng,minLat,maxLng,maxLat keeps points in the visible area; zoom (or cluster=true)
+// groups them into geohash cells sized for that zoom. filter_<col> params work as on /data.
+// ?format=geojson or Accept: application/geo+json answers a GeoJSON FeatureCollection.
+app.get('/api/tables/:tableName/locations', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const {
+      limit = 100,
+      type = 'checkin', // 'checkin', 'checkout', or 'both'
+      includeMetrics = 'basic', // 'basic', 'earnings', 'hours', 'all'
+      bbox = '', // minLng,minLat,maxLng,maxLat
+      zoom = '', // map zoom level; clusters points unless cluster=false
+      cluster = ''
+    } = req.query;
+
+    const validTypes = geoService.getLocationTypes();
+    if (!validTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type. Must be one of: ${validTypes.join(', ')}`,
+        data: []
+      });
+    }
+
+    const metricColumns = {
+      basic: [],
+      earnings: ['total_earnings', 'work_amount', 'overtime_amount'],
+      hours: ['total_work_hours', 'overtime_hours', 'effective_work_hours'],
+      all: ['total_work_hours', 'overtime_hours', 'total_earnings', 'work_amount']
+    };
+    if (!metricColumns[includeMetrics]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid includeMetrics. Must be one of: ${Object.keys(metricColumns).join(', ')}`,
+        data: []
+      });
+    }
+
+    const rowLimit = parseInt(limit);
+    if (!Number.isInteger(rowLimit) || rowLimit < 1 || rowLimit > 10000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit. Must be an integer between 1 and 10000',
+        data: []
+      });
+    }
+
+    let bounds = null;
+    let zoomLevel = null;
+    try {
+      bounds = bbox ? geoService.parseBbox(bbox) : null;
+      zoomLevel = zoom !== '' ? geoService.parseZoom(zoom) : null;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        data: []
+      });
+    }
+    const clustered = cluster !== '' ? cluster === 'true' : zoomLevel !== null;
+
+    const filters = getQueryFilters(req.query);
+    const tenantError = tenantScope.checkFilters(req.user, filters);
+    if (tenantError) {
+      return res.status(403).json({
+        success: false,
+        error: tenantError,
+        data: []
+      });
+    }
+
+    // Validate table name
+    const tables = await clickhouseService.getTables();
+    const tableExists = tables.some(t => t.name === tableName);
+    if (!tableExists) {
+      return res.status(404).json({
+        success: false,
+        error: `Table ${tableName} does not exist`,
+        data: []
+      });
+    }
+
+    // Only select metric columns the table actually has and the caller may read
+    // (payroll columns such as total_earnings are restricted in config/data-policy.json)
+    const schema = authService.filterSchema(req.user, tableName, await clickhouseService.getTableSchema(tableName));
+    const table = clickhouseService.quoteIdentifier(tableName);
+    const metrics = metricColumns[includeMetrics]
+      .filter(column => schema.some(col => col.name === column));
+
+    const resolved = geoService.resolveTypes(type, schema);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolved.error,
+        data: []
+      });
+    }
+
+    // Coordinates, bbox and filter_<col> conditions per location type
+    let location;
+    let clusterQuery = null;
+    const precision = clustered ? geoService.precisionForZoom(zoomLevel) : null;
+    try {
+      location = geoService.buildConditions({ schema, bbox: bounds, filters });
+      if (clustered) {
+        clusterQuery = geoService.buildClusterQuery({
+          tableName,
+          schema,
+          types: resolved.types,
+          precision,
+          bbox: bounds,
+          filters
+        });
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        data: []
+      });
+    }
+    const where = locationType => `WHERE ${location.forType(locationType).join(' AND ')}`;
+
+    let query;
+    let params;
+
+    if (clusterQuery) {
+      // One row per geohash cell with counts and summed hours
+      query = clusterQuery.query;
+      params = { ...clusterQuery.params, limit: rowLimit };
+    } else if (type === 'both') {
+      // Return both check-in and check-out locations
+      const hoursField = includeMetrics === 'all' || includeMetrics === 'hours' ? ['total_work_hours'] : [];
+      const earningsField = includeMetrics === 'all' || includeMetrics === 'earnings' ? ['total_earnings'] : [];
+      const bothMetrics = [...hoursField, ...earningsField]
+        .filter(column => schema.some(col => col.name === column))
+        .map(column => `${column},`)
+        .join('\n          ');
+
+      const checkinQuery = `
+        SELECT
+          checkin_lat as lat,
+          checkin_lng as lng,
+          'checkin' as location_type,
+          staff_name,
+          client_name,
+          work_date,
+          ${bothMetrics}
+          checkin_time as timestamp
+        FROM ${table}
+        ${where('checkin')}
+        LIMIT {halfLimit:UInt32}
+      `;
+
+      const checkoutQuery = `
+        SELECT
+          checkout_lat as lat,
+          checkout_lng as lng,
+          'checkout' as location_type,
+          staff_name,
+          client_name,
+          work_date,
+          ${bothMetrics}
+          checkout_time as timestamp
+        FROM ${table}
+        ${where('checkout')}
+        LIMIT {halfLimit:UInt32}
+      `;
+
+      query = `${checkinQuery} UNION ALL ${checkoutQuery}`;
+      params = { ...location.params, halfLimit: Math.max(Math.floor(rowLimit / 2), 1) };
+    } else {
+      // Build metrics selection
+      const metricsFields = metrics.map(column => `, ${column}`).join('');
+
+      query = `
+        SELECT
+          ${type}_lat as lat,
+          ${type}_lng as lng,
+          staff_name,
+          client_name,
+          work_date
+          ${metricsFields}
+        FROM ${table}
+        ${where(type)}
+        ORDER BY work_date DESC
+        LIMIT {limit:UInt32}
+      `;
+      params = { ...location.params, limit: rowLimit };
+    }
+
+    const access = await authService.secureQuery(req.user, query);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.error,
+        data: []
+      });
+    }
+
+    const result = await clickhouseService.executeCustomQuery(access.query, 'JSONEachRow', {
+      params: { ...access.params, ...params },
+      execution: queryLimits.createContext(req, res, 'locations')
+    });
+
+    if (result.success && geoService.wantsGeoJson(req)) {
+      return geoService.sendGeoJson(res, geoService.toFeatureCollection(result.data, {
+        metadata: { clustered, precision }
+      }));
+    }
+    res.json({ ...result, clustered, precision });
+
+  } catch (error) {
+    console.error('Error fetching location data:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: []
+    });
+  }
+});
+
+// Geofence compliance reports: distance from each check-in/check-out to its booked
+// (or nearest) project in client_projects, against per-project radii (config/geofence.json).
+// :report is violations (table/map), distribution (bar), offenders (table) or summary (KPI).
+// Query params: type=checkin|checkout|both, radius (meters, overrides the default radius),
+// minDays (repeat offender threshold), limit, cardType and filter_<col> as on /data.
+// The response carries the SQL with its values inlined so it can be saved as a card.
+app.get('/api/tables/:tableName/geofence/:report', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
+  try {
+    const { tableName, report } = req.params;
+    const {
+      type = 'both',
+      limit = 1000,
+      radius = '',
+      minDays = '',
+      cardType = geofenceService.getDefaultCardType(report)
+    } = req.query;
+
+    if (!geofenceService.getReports().includes(report)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown geofence report "${report}". Use one of: ${geofenceService.getReports().join(', ')}`,
+        data: []
+      });
+    }
+    if (!validCardTypes.includes(cardType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid cardType. Must be one of: ${validCardTypes.join(', ')}`,
+        data: []
+      });
+    }
+
+    const filters = getQueryFilters(req.query);
+    const tenantError = tenantScope.checkFilters(req.user, filters);
+    if (tenantError) {
+      return res.status(403).json({
+        success: false,
+        error: tenantError,
+        data: []
+      });
+    }
+
+    const projectsTable = geofenceService.config.projectsTable;
+    if (!authService.canAccessTable(req.user, projectsTable)) {
+      return res.status(403).json({
+        success: false,
+        error: `Access to table ${projectsTable} is not allowed`,
+        data: []
+      });
+    }
+
+    // getTableSchema throws for unknown tables, so check first to answer 404
+    const tables = await clickhouseService.getTables();
+    const missing = [tableName, projectsTable].find(name => !tables.some(t => t.name === name));
+    if (missing) {
+      return res.status(404).json({
+        success: false,
+        error: `Table ${missing} does not exist`,
+        data: []
+      });
+    }
+
+    const [schema, projectSchema] = await Promise.all([
+      clickhouseService.getTableSchema(tableName),
+      clickhouseService.getTableSchema(projectsTable)
+    ]);
+
+    let built;
+    try {
+      built = geofenceService.buildReportQuery(report, {
+        tableName,
+        schema: authService.filterSchema(req.user, tableName, schema),
+        projectSchema: authService.filterSchema(req.user, projectsTable, projectSchema),
+        type,
+        filters,
+        radius: radius !== '' ? Number(radius) : null,
+        minDays: minDays !== '' ? Number(minDays) : null,
+        limit: parseInt(limit)
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        data: []
+      });
+    }
+
+    const access = await authService.secureQuery(req.user, built.query);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.error,
+        data: []
+      });
+    }
+
+    const result = await clickhouseService.executeCustomQuery(access.query, 'JSON', {
+      params: { ...built.params, ...access.params },
+      execution: queryLimits.createContext(req, res, 'geofence')
+    });
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error,
+        data: []
+      });
+    }
+
+    const rows = result.data.data || [];
+    const columns = (result.data.meta || []).map(col => ({ name: col.name, type: col.type }));
+    const shape = resultShape.inspect(cardType, columns, rows);
+    if (!shape.valid) {
+      return res.status(400).json({
+        success: false,
+        error: shape.error,
+        data: []
+      });
+    }
+
+    if (geoService.wantsGeoJson(req) && shape.encoding.lat) {
+      return geoService.sendGeoJson(res, geoService.toFeatureCollection(rows, {
+        lat: shape.encoding.lat,
+        lng: shape.encoding.lng,
+        metadata: { report }
+      }));
+    }
+
+    res.json({
+      success: true,
+      data: rows,
+      error: null,
+      report,
+      cardType,
+      columns,
+      encoding: shape.encoding,
+      kpis: shape.kpis,
+      query: metricsLayer.inlineParams(built.query, built.params)
+    });
+  } catch (error) {
+    console.error('Error building geofence report:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: []
+    });
+  }
+});
+
+// Mapbox Vector Tile of a table's lat/lng columns (one layer per coordinate pair, e.g.
+// checkin and checkout). Takes the table data route's search and filter_<col> params,
+// plus layers=<name,...> to pick layers. Tiles are cached per filter set and data scope.
+app.get('/api/tables/:tableName/tiles/:z/:x/:y.mvt', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
+  try {
+    const { tableName, z, x, y } = req.params;
+    const { search = '', layers = '' } = req.query;
+
+    let tile;
+    try {
+      tile = vectorTiles.parseTile(z, x, y);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const filters = getQueryFilters(req.query);
+    const tenantError = tenantScope.checkFilters(req.user, filters);
+    if (tenantError) {
+      return res.status(403).json({
+        success: false,
+        error: tenantError
+      });
+    }
+
+    // getTableSchema throws for unknown tables, so check first to answer 404
+    const tables = await clickhouseService.getTables();
+    if (!tables.some(t => t.name === tableName)) {
+      return res.status(404).json({
+        success: false,
+        error: `Table ${tableName} does not exist`
+      });
+    }
+    const fullSchema = await clickhouseService.getTableSchema(tableName);
+    const allowedColumns = await authService.getReadableColumns(req.user, tableName);
+    const schema = allowedColumns ? fullSchema.filter(col => allowedColumns.includes(col.name)) : fullSchema;
+
+    const resolved = vectorTiles.resolveLayers(schema, layers);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolved.error
+      });
+    }
+
+    // Same filters, search and tenant scope as /api/tables/:tableName/data
+    let where;
+    try {
+      where = clickhouseService.buildWhereClause(filters, search, schema, {
+        tableName,
+        skipIndexes: search ? await clickhouseService.getSkipIndexes(tableName) : [],
+        rowFilter: tenantRowFilter(req.user)(fullSchema)
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // The WHERE clause carries the caller's tenant predicate, so tiles are never shared across scopes
+    const cacheKey = vectorTiles.cacheKey({
+      tableName,
+      tile,
+      layers: resolved.pairs.map(pair => pair.name),
+      where,
+      columns: schema.map(col => col.name)
+    });
+    res.set('Content-Type', vectorTiles.getContentType());
+
+    let buffer = await vectorTiles.getCached(tableName, cacheKey);
+    if (buffer) {
+      res.set('X-Cache', 'HIT');
+    } else {
+      const built = vectorTiles.buildTileQuery({ tableName, schema, pairs: resolved.pairs, tile, where });
+      const result = await clickhouseService.executeCustomQuery(built.query, 'JSONEachRow', {
+        params: built.params,
+        execution: queryLimits.createContext(req, res, 'tiles')
+      });
+      if (!result.success) {
+        return res.status(500).type('json').send(JSON.stringify({
+          success: false,
+          error: result.error
+        }));
+      }
+
+      buffer = vectorTiles.encode(result.data, resolved.pairs.map(pair => pair.name), { sumColumn: built.sumColumn });
+      await vectorTiles.setCached(tableName, cacheKey, buffer);
+      res.set('X-Cache', 'MISS');
+    }
+
+    if (buffer.length === 0) {
+      return res.status(204).end();
+    }
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error building vector tile:', error);
+    res.status(500).type('json').send(JSON.stringify({
+      success: false,
+      error: error.message
+    }));
+  }
+});
+
+// Movement trails: check-in -> check-out segments per staff member and date range as
+// GeoJSON LineStrings with distance_m, time_on_site_minutes and same_project, plus
+// per-staff and overall stats. Query params: staffId (ID or comma-separated IDs),
+// from/to (YYYY-MM-DD, default the last 7 days), farMeters (check-outs further than this
+// from the check-in count as far_checkouts; default the geofence radius), limit and filter_<col>.
+app.get('/api/tables/:tableName/trails', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const {
+      staffId = '',
+      from = '',
+      to = '',
+      farMeters = geofenceService.config.defaultRadiusMeters,
+      limit = 1000
+    } = req.query;
+
+    const rowLimit = parseInt(limit);
+    if (!Number.isInteger(rowLimit) || rowLimit < 1 || rowLimit > 10000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit. Must be an integer between 1 and 10000',
+        data: null
+      });
+    }
+    const far = Number(farMeters);
+    if (!(far > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid farMeters. Must be a positive number of meters',
+        data: null
+      });
+    }
+
+    const simpleFilters = getQueryFilters(req.query);
+    const tenantError = tenantScope.checkFilters(req.user, simpleFilters);
+    if (tenantError) {
+      return res.status(403).json({
+        success: false,
+        error: tenantError,
+        data: null
+      });
+    }
+
+    // getTableSchema throws for unknown tables, so check first to answer 404
+    const tables = await clickhouseService.getTables();
+    if (!tables.some(t => t.name === tableName)) {
+      return res.status(404).json({
+        success: false,
+        error: `Table ${tableName} does not exist`,
+        data: null
+      });
+    }
+    const fullSchema = await clickhouseService.getTableSchema(tableName);
+    const schema = authService.filterSchema(req.user, tableName, fullSchema);
+
+    let built;
+    try {
+      built = trailService.buildQueries({
+        tableName,
+        schema,
+        filters: trailService.buildFilters({ staffId, from, to, filters: simpleFilters }),
+        farMeters: far,
+        limit: rowLimit,
+        staffLimit: rowLimit
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        data: null
+      });
+    }
+
+    const [segmentsAccess, summaryAccess] = await Promise.all([
+      authService.secureQuery(req.user, built.segmentsQuery),
+      authService.secureQuery(req.user, built.summaryQuery)
+    ]);
+    const denied = [segmentsAccess, summaryAccess].find(access => !access.allowed);
+    if (denied) {
+      return res.status(403).json({
+        success: false,
+        error: denied.error,
+        data: null
+      });
+    }
+
+    const execution = queryLimits.createContext(req, res, 'trails');
+    const segments = await clickhouseService.executeCustomQuery(segmentsAccess.query, 'JSONEachRow', {
+      params: { ...built.params, ...segmentsAccess.params },
+      execution
+    });
+    const summary = segments.success
+      ? await clickhouseService.executeCustomQuery(summaryAccess.query, 'JSON', {
+        params: { ...built.params, ...summaryAccess.params },
+        execution
+      })
+      : segments;
+    if (!summary.success) {
+      return res.status(500).json({
+        success: false,
+        error: summary.error,
+        data: null
+      });
+    }
+
+    const collection = trailService.toFeatureCollection(segments.data);
+    const stats = {
+      summary: trailService.describeTotals(summary.data.totals),
+      staff: summary.data.data || []
+    };
+
+    if (geoService.wantsGeoJson(req)) {
+      return geoService.sendGeoJson(res, { ...collection, ...stats });
+    }
+    res.json({
+      success: true,
+      data: collection,
+      error: null,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Error fetching movement trails:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      data: null
+    });
+  }
+});
+
 // Execute dummy query for card types (empty state)
 app.post('/api/query/execute/dummy', async (req, res) => {
   try {
@@ -918,7 +2621,7 @@ app.post('/api/query/execute/dummy', async (req, res) => {
 });
 
 // Get available columns for query validation
-app.get('/api/tables/:tableName/columns', async (req, res) => {
+app.get('/api/tables/:tableName/columns', authService.requirePermission('data:read'), authService.requireTableAccess, async (req, res) => {
   try {
     const { tableName } = req.params;
 
@@ -934,7 +2637,7 @@ app.get('/api/tables/:tableName/columns', async (req, res) => {
     }
 
     // Format column information for frontend use
-    const columns = schema.map(col => ({
+    const columns = authService.filterSchema(req.user, tableName, schema).map(col => ({
       name: col.name,
       type: col.type,
       description: col.comment || `${col.name} field`,
@@ -942,7 +2645,8 @@ app.get('/api/tables/:tableName/columns', async (req, res) => {
       isNumeric: col.type.includes('Int') || col.type.includes('Float') || col.type.includes('Decimal'),
       isDate: col.type.includes('Date') || col.type.includes('DateTime'),
       isString: col.type.includes('String'),
-      isLocation: col.name.includes('lat') || col.name.includes('lng')
+      isLocation: geoService.isLocationColumn(col),
+      filterOperators: filterBuilder.getOperatorsForType(col.type)
     }));
 
     res.json({
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const accessControl = require('../config/access-control.json');
+const sqlAnalyzer = require('./sql-analyzer');
+const tenantScope = require('./tenant-scope');
+const dataPolicy = require('./data-policy');
+const clickhouseService = require('./clickhouse-service');
+
+// Authentication (JWT bearer tokens or API keys) and role-based authorization.
+//
+// Environment:
+//   AUTH_ENABLED=false        disable auth entirely (every caller is an admin)
+//   AUTH_JWT_SECRET           shared secret for HS256 tokens
+//   AUTH_JWKS_PATH            local JWKS file for RS256/ES256 tokens
+//   AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE   optional claim checks
+//   AUTH_API_KEYS_PATH        JSON file of service accounts: [{ name, keyHash, role, tables, clientIds }]
+//   AUTH_DEV_ISSUER=true      enable POST /api/auth/token (local test issuer, HS256)
+class AuthService {
+  constructor() {
+    this.roles = accessControl.roles;
+    this.enabled = process.env.AUTH_ENABLED !== 'false';
+    this.jwtSecret = process.env.AUTH_JWT_SECRET || null;
+    this.jwks = this.loadJsonFile(process.env.AUTH_JWKS_PATH, { keys: [] });
+    this.apiKeys = this.loadJsonFile(process.env.AUTH_API_KEYS_PATH, []);
+    this.devIssuerEnabled = process.env.AUTH_DEV_ISSUER === 'true' && Boolean(this.jwtSecret);
+
+    this.authenticate = this.authenticate.bind(this);
+    this.requireTableAccess = this.requireTableAccess.bind(this);
+  }
+
+  loadJsonFile(filePath, fallback) {
+    if (!filePath) return fallback;
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Could not load auth file ${filePath}:`, error.message);
+      return fallback;
+    }
+  }
+
+  // Build the request user from a role, an optional per-user table allowlist
+  // and the client IDs (tenants) the caller may see. clientIds is null only for
+  // roles with allTenants that were not given an explicit list.
+  buildUser({ id, role, tables = null, clientIds = null, source }) {
+    const roleConfig = this.roles[role];
+    if (!roleConfig) {
+      throw new Error(`Unknown role "${role}"`);
+    }
+
+    let tenantIds = Array.isArray(clientIds) ? clientIds.map(String) : [];
+    if (roleConfig.allTenants && !Array.isArray(clientIds)) {
+      tenantIds = null;
+    }
+
+    return {
+      id,
+      role,
+      source,
+      permissions: roleConfig.permissions,
+      tables: this.intersectTableAccess(roleConfig.tables, tables),
+      clientIds: tenantIds
+    };
+  }
+
+  // Narrow the role's table access with a per-user allowlist (if any)
+  intersectTableAccess(roleTables, userTables) {
+    if (!userTables) return roleTables;
+    if (roleTables === '*') return userTables;
+    if (userTables === '*') return roleTables;
+
+    const result = {};
+    Object.entries(userTables).forEach(([table, columns]) => {
+      const roleColumns = roleTables[table];
+      if (!roleColumns) return;
+      if (roleColumns === '*') {
+        result[table] = columns;
+      } else if (columns === '*') {
+        result[table] = roleColumns;
+      } else {
+        result[table] = columns.filter(col => roleColumns.includes(col));
+      }
+    });
+    return result;
+  }
+
+  // Pick the verification key for a token header
+  getVerificationKey(header) {
+    if (header.alg && header.alg.startsWith('HS')) {
+      if (!this.jwtSecret) {
+        throw new Error('HMAC tokens are not accepted (AUTH_JWT_SECRET not set)');
+      }
+      return this.jwtSecret;
+    }
+
+    const jwk = this.jwks.keys.find(key => !header.kid || key.kid === header.kid);
+    if (!jwk) {
+      throw new Error(`No JWKS key found for kid "${header.kid}"`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  verifyToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new Error('Malformed token');
+    }
+
+    const claims = jwt.verify(token, this.getVerificationKey(decoded.header), {
+      algorithms: ['HS256', 'HS384', 'HS512', 'RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+      issuer: process.env.AUTH_JWT_ISSUER || undefined,
+      audience: process.env.AUTH_JWT_AUDIENCE || undefined
+    });
+
+    return this.buildUser({
+      id: claims.sub,
+      role: claims.role || 'viewer',
+      tables: claims.tables || null,
+      clientIds: claims.clientIds || null,
+      source: 'jwt'
+    });
+  }
+
+  verifyApiKey(apiKey) {
+    const hash = crypto.createHash('sha256').update(apiKey).digest();
+    const account = this.apiKeys.find(entry => {
+      const expected = Buffer.from(entry.keyHash || '', 'hex');
+      return expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+    });
+
+    if (!account) {
+      throw new Error('Invalid API key');
+    }
+
+    return this.buildUser({
+      id: `service:${account.name}`,
+      role: account.role,
+      tables: account.tables || null,
+      clientIds: account.clientIds || null,
+      source: 'api_key'
+    });
+  }
+
+  // Express middleware: attach req.user or reject with 401
+  authenticate(req, res, next) {
+    if (!this.enabled) {
+      req.user = this.buildUser({ id: 'anonymous', role: 'admin', source: 'disabled' });
+      return next();
+    }
+
+    try {
+      const authHeader = req.headers.authorization || '';
+      const apiKey = req.headers['x-api-key'];
+
+      if (authHeader.startsWith('Bearer ')) {
+        req.user = this.verifyToken(authHeader.slice(7).trim());
+      } else if (apiKey) {
+        req.user = this.verifyApiKey(apiKey);
+      } else {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required (Bearer token or X-API-Key header)'
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        error: `Authentication failed: ${error.message}`
+      });
+    }
+  }
+
+  hasPermission(user, permission) {
+    return Boolean(user) && (user.permissions.includes('*') || user.permissions.includes(permission));
+  }
+
+  // Express middleware factory: require a permission for the route
+  requirePermission(permission) {
+    return (req, res, next) => {
+      if (!this.hasPermission(req.user, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: `Permission "${permission}" required (role: ${req.user ? req.user.role : 'none'})`
+        });
+      }
+      next();
+    };
+  }
+
+  canAccessTable(user, tableName) {
+    if (!user) return false;
+    if (dataPolicy.isTableDenied(user, tableName)) return false;
+    return user.tables === '*' || Boolean(user.tables[tableName]);
+  }
+
+  // Allowed columns for a table: null means every column
+  getAllowedColumns(user, tableName) {
+    if (!this.canAccessTable(user, tableName)) return [];
+    if (user.tables === '*' || user.tables[tableName] === '*') return null;
+    return user.tables[tableName];
+  }
+
+  // Allowed columns with data-policy denials removed: null still means every column
+  async getReadableColumns(user, tableName) {
+    const allowedColumns = this.getAllowedColumns(user, tableName);
+    const denied = dataPolicy.getDeniedColumns(user, tableName);
+    if (denied.length === 0) return allowedColumns;
+
+    const names = allowedColumns || (await clickhouseService.getTableSchema(tableName)).map(col => col.name);
+    return names.filter(name => !denied.includes(name));
+  }
+
+  // Express middleware for /api/tables/:tableName/* routes
+  requireTableAccess(req, res, next) {
+    const { tableName, columnName } = req.params;
+
+    if (!this.canAccessTable(req.user, tableName)) {
+      return res.status(403).json({
+        success: false,
+        error: `Access to table ${tableName} is not allowed`
+      });
+    }
+
+    const allowedColumns = this.getAllowedColumns(req.user, tableName);
+    const deniedColumns = dataPolicy.getDeniedColumns(req.user, tableName);
+    if (columnName && ((allowedColumns && !allowedColumns.includes(columnName)) || deniedColumns.includes(columnName))) {
+      return res.status(403).json({
+        success: false,
+        error: `Access to column ${tableName}.${columnName} is not allowed`
+      });
+    }
+
+    next();
+  }
+
+  // Remove columns the user may not see from DESCRIBE output
+  // (options.generated also drops columns the data policy keeps out of chat)
+  filterSchema(user, tableName, schema, options = {}) {
+    const allowedColumns = this.getAllowedColumns(user, tableName);
+    const allowed = allowedColumns ? schema.filter(col => allowedColumns.includes(col.name)) : schema;
+    return dataPolicy.filterColumns(user, tableName, allowed, options);
+  }
+
+  // Filter a list of tables down to the ones the user may read
+  filterTables(user, tables) {
+    return tables.filter(table => this.canAccessTable(user, table.name));
+  }
+
+  // Check the tables and columns a SQL statement references against the data policy
+  // and the user's allowlists. options.generated marks LLM-written SQL.
+  // Returns { allowed: true } or { allowed: false, error, policy? }.
+  async authorizeQuery(user, sql, options = {}) {
+    if (!user) {
+      return { allowed: false, error: 'Authentication required' };
+    }
+
+    let tokens;
+    try {
+      tokens = sqlAnalyzer.tokenize(sql);
+    } catch (error) {
+      return { allowed: false, error: `Could not parse query: ${error.message}` };
+    }
+
+    // Every source must be known before any allowlist can be applied to it
+    const { tables, cteNames, unresolved } = sqlAnalyzer.getTableReferences(tokens);
+    if (unresolved.length > 0) {
+      return { allowed: false, error: `Could not resolve the query source "${unresolved[0].value}"` };
+    }
+
+    // A CTE named after a table would hide the table from the allowlists
+    if (cteNames.length > 0) {
+      let catalog;
+      try {
+        catalog = await clickhouseService.getTables();
+      } catch (error) {
+        return { allowed: false, error: `Could not check the query's CTE names: ${error.message}` };
+      }
+      const shadowed = cteNames.find(name => catalog.some(table => table.name === name));
+      if (shadowed) {
+        return { allowed: false, error: `CTE ${shadowed} has the name of a table; rename it` };
+      }
+    }
+
+    // The data policy applies to every role, including unrestricted ones
+    const policy = await dataPolicy.checkQuery(user, tokens, options);
+    if (!policy.allowed) {
+      return policy;
+    }
+
+    if (user.tables === '*') {
+      return { allowed: true };
+    }
+
+    const identifiers = sqlAnalyzer.getIdentifiers(tokens);
+    const usesWildcard = sqlAnalyzer.hasWildcard(tokens);
+
+    for (const table of tables) {
+      if (table.database && table.database !== process.env.CLICKHOUSE_DB) {
+        return { allowed: false, error: `Access to ${table.database}.${table.name} is not allowed` };
+      }
+      if (!this.canAccessTable(user, table.name)) {
+        return { allowed: false, error: `Access to table ${table.name} is not allowed` };
+      }
+
+      const allowedColumns = this.getAllowedColumns(user, table.name);
+      if (!allowedColumns) continue;
+
+      if (usesWildcard) {
+        return {
+          allowed: false,
+          error: `SELECT * is not allowed on ${table.name}; list the columns you need`
+        };
+      }
+
+      const schema = await clickhouseService.getTableSchema(table.name);
+      const restricted = identifiers.find(name =>
+        schema.some(col => col.name === name) && !allowedColumns.includes(name)
+      );
+      if (restricted) {
+        return { allowed: false, error: `Access to column ${table.name}.${restricted} is not allowed` };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Authorize a query and scope it to the caller's tenants.
+  // Returns { allowed, error, query, params } where query/params are what should run.
+  async secureQuery(user, sql, options = {}) {
+    const access = await this.authorizeQuery(user, sql, options);
+    if (!access.allowed) {
+      return access;
+    }
+
+    return await tenantScope.scopeQuery(user, sql);
+  }
+
+  // Local test issuer: sign an HS256 token with AUTH_JWT_SECRET
+  issueDevToken({ sub, role = 'viewer', tables = null, clientIds = null, expiresIn = '1h' }) {
+    if (!this.devIssuerEnabled) {
+      throw new Error('Dev token issuer is disabled');
+    }
+    if (!this.roles[role]) {
+      throw new Error(`Unknown role "${role}"`);
+    }
+
+    const claims = { sub, role };
+    if (tables) claims.tables = tables;
+    if (clientIds) claims.clientIds = clientIds;
+
+    const options = { algorithm: 'HS256', expiresIn };
+    if (process.env.AUTH_JWT_ISSUER) options.issuer = process.env.AUTH_JWT_ISSUER;
+    if (process.env.AUTH_JWT_AUDIENCE) options.audience = process.env.AUTH_JWT_AUDIENCE;
+
+    return jwt.sign(claims, this.jwtSecret, options);
+  }
+}
+
+module.exports = new AuthService();
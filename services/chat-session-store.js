@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const clickhouseService = require('./clickhouse-service');
+
+const SESSIONS_TABLE = '_canvas_chat_sessions';
+const TURNS_TABLE = '_canvas_chat_turns';
+
+// Prior turns handed to the query agent for follow-up requests
+const HISTORY_TURNS = 6;
+
+// Conversation sessions for /api/chat. A session belongs to the user that
+// created it and keeps every turn: the user message, the generated SQL and the
+// shape of the result, so follow-ups ("now only for last month") can edit the
+// previous query instead of starting over.
+class ChatSessionStore {
+  constructor() {
+    this.initialized = false;
+  }
+
+  // Create the session tables if they don't exist yet
+  async initialize() {
+    const client = clickhouseService.client;
+
+    // Same versioning scheme as the dashboard tables: latest updated_at wins under FINAL
+    await client.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${SESSIONS_TABLE} (
+          id String,
+          user_id String,
+          title String,
+          table_name String,
+          card_type LowCardinality(String),
+          created_at DateTime64(3, 'UTC'),
+          updated_at DateTime64(3, 'UTC'),
+          is_deleted UInt8 DEFAULT 0
+        )
+        ENGINE = ReplacingMergeTree(updated_at)
+        ORDER BY id
+      `
+    });
+
+    // Turns are append-only
+    await client.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${TURNS_TABLE} (
+          id String,
+          session_id String,
+          message String,
+          card_type LowCardinality(String),
+          table_name String,
+          query String,
+          explanation String,
+          columns String,
+          row_count UInt64,
+          success UInt8,
+          error String,
+          created_at DateTime64(3, 'UTC')
+        )
+        ENGINE = MergeTree
+        ORDER BY (session_id, created_at)
+      `
+    });
+
+    this.initialized = true;
+    console.log('✅ Chat session tables ready');
+  }
+
+  // Run a read query against the session tables
+  async select(query, params = {}) {
+    const result = await clickhouseService.client.query({
+      query: query,
+      query_params: params,
+      format: 'JSONEachRow'
+    });
+
+    return await result.json();
+  }
+
+  // Insert a row into a session table
+  async write(table, row) {
+    await clickhouseService.client.insert({
+      table: table,
+      values: [row],
+      format: 'JSONEachRow',
+      clickhouse_settings: {
+        date_time_input_format: 'best_effort'
+      }
+    });
+  }
+
+  // Convert a stored session row into the API shape
+  formatSession(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      tableName: row.table_name,
+      cardType: row.card_type,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Convert a stored turn row into the API shape
+  formatTurn(row) {
+    let columns = [];
+    try {
+      columns = row.columns ? JSON.parse(row.columns) : [];
+    } catch (error) {
+      console.warn(`Invalid columns stored for chat turn ${row.id}:`, error.message);
+    }
+
+    return {
+      id: row.id,
+      message: row.message,
+      cardType: row.card_type,
+      tableName: row.table_name,
+      query: row.query || null,
+      explanation: row.explanation || null,
+      columns: columns,
+      rowCount: Number(row.row_count),
+      success: Boolean(row.success),
+      error: row.error || null,
+      createdAt: row.created_at
+    };
+  }
+
+  // Column names and value types of a result set (from the first row)
+  describeColumns(data, fallbackColumns = []) {
+    if (!Array.isArray(data) || data.length === 0) {
+      return fallbackColumns.filter(name => name !== '*').map(name => ({ name, type: 'unknown' }));
+    }
+
+    return Object.entries(data[0]).map(([name, value]) => ({
+      name,
+      type: value === null ? 'null' : (Array.isArray(value) ? 'array' : typeof value)
+    }));
+  }
+
+  // List the user's sessions, most recently active first
+  async listSessions(userId) {
+    const rows = await this.select(`
+      SELECT s.id AS id, s.title AS title, s.table_name AS table_name, s.card_type AS card_type,
+             s.created_at AS created_at, s.updated_at AS updated_at, t.turns AS turn_count
+      FROM (
+        SELECT * FROM ${SESSIONS_TABLE} FINAL
+        WHERE user_id = {userId:String} AND is_deleted = 0
+      ) AS s
+      LEFT JOIN (
+        SELECT session_id, count() AS turns FROM ${TURNS_TABLE} GROUP BY session_id
+      ) AS t ON t.session_id = s.id
+      ORDER BY s.updated_at DESC
+    `, { userId: String(userId) });
+
+    return rows.map(row => ({
+      ...this.formatSession(row),
+      turnCount: Number(row.turn_count || 0)
+    }));
+  }
+
+  // Get a session owned by the user, returns null if missing or owned by someone else
+  async getSession(sessionId, userId) {
+    const rows = await this.select(`
+      SELECT *
+      FROM ${SESSIONS_TABLE} FINAL
+      WHERE id = {id:String} AND user_id = {userId:String} AND is_deleted = 0
+    `, { id: sessionId, userId: String(userId) });
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      ...this.formatSession(rows[0]),
+      userId: rows[0].user_id,
+      turns: await this.listTurns(sessionId)
+    };
+  }
+
+  // All turns of a session in order
+  async listTurns(sessionId) {
+    const rows = await this.select(`
+      SELECT *
+      FROM ${TURNS_TABLE}
+      WHERE session_id = {sessionId:String}
+      ORDER BY created_at
+    `, { sessionId });
+
+    return rows.map(row => this.formatTurn(row));
+  }
+
+  // Start a session; the first message becomes its title
+  async createSession(userId, { message, tableName, cardType }) {
+    const now = new Date().toISOString();
+    const row = {
+      id: crypto.randomUUID(),
+      user_id: String(userId),
+      title: String(message || '').slice(0, 100),
+      table_name: tableName,
+      card_type: cardType,
+      created_at: now,
+      updated_at: now,
+      is_deleted: 0
+    };
+
+    await this.write(SESSIONS_TABLE, row);
+    return { ...this.formatSession(row), userId: row.user_id, turns: [] };
+  }
+
+  // Record one chat turn and bump the session's table, card type and updated_at
+  async addTurn(session, { message, cardType, tableName, result }) {
+    const now = new Date().toISOString();
+    const row = {
+      id: crypto.randomUUID(),
+      session_id: session.id,
+      message: message,
+      card_type: cardType,
+      table_name: tableName,
+      query: result.query || '',
+      explanation: result.explanation || '',
+      columns: JSON.stringify(result.success ? (result.resultColumns || this.describeColumns(result.data, result.columns)) : []),
+      row_count: result.success && Array.isArray(result.data) ? result.data.length : 0,
+      success: result.success ? 1 : 0,
+      error: result.success ? '' : (result.error || ''),
+      created_at: now
+    };
+
+    await this.write(TURNS_TABLE, row);
+    await this.write(SESSIONS_TABLE, {
+      id: session.id,
+      user_id: session.userId,
+      title: session.title,
+      table_name: tableName,
+      card_type: cardType,
+      created_at: session.createdAt,
+      updated_at: now,
+      is_deleted: 0
+    });
+
+    return this.formatTurn(row);
+  }
+
+  // The most recent turns, oldest first, as context for the query agent
+  getHistory(session) {
+    return (session.turns || []).slice(-HISTORY_TURNS);
+  }
+
+  // Soft delete a session (its turns are no longer reachable)
+  async deleteSession(sessionId, userId) {
+    const existing = await this.getSession(sessionId, userId);
+    if (!existing) {
+      return false;
+    }
+
+    await this.write(SESSIONS_TABLE, {
+      id: existing.id,
+      user_id: existing.userId,
+      title: existing.title,
+      table_name: existing.tableName,
+      card_type: existing.cardType,
+      created_at: existing.createdAt,
+      updated_at: new Date().toISOString(),
+      is_deleted: 1
+    });
+
+    return true;
+  }
+}
+
+module.exports = new ChatSessionStore();
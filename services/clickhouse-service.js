@@ -1,10 +1,13 @@
+const crypto = require('crypto');
 const { createClient } = require('@clickhouse/client');
+const filterBuilder = require('./filter-builder');
+const searchBuilder = require('./search-builder');
+const sqlValidator = require('./sql-validator');
+const queryCache = require('./query-cache');
 
 class ClickHouseService {
   constructor() {
     this.client = null;
-    this.cache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
   }
 
   // Initialize connection
@@ -37,16 +40,40 @@ class ClickHouseService {
     }
   }
 
-  // Get available tables
+  // ClickHouse query_id for the next call. execution is { queryId, settings, signal }
+  // from query-limits.js; calls sharing a request ID get `<id>:<n>` so each stays unique.
+  nextQueryId(execution) {
+    if (!execution || !execution.queryId) {
+      return crypto.randomUUID();
+    }
+    execution.calls = (execution.calls || 0) + 1;
+    return `${execution.queryId}:${execution.calls}`;
+  }
+
+  // Run a query with a query_id and the caller's execution context (limits, abort signal)
+  async runQuery({ query, params = {}, format = 'JSONEachRow', execution = null }) {
+    return await this.client.query({
+      query,
+      query_params: params,
+      format,
+      query_id: this.nextQueryId(execution),
+      clickhouse_settings: execution ? execution.settings : undefined,
+      abort_signal: execution ? execution.signal : undefined
+    });
+  }
+
+  // Kill every ClickHouse query started for a request ID
+  async killQuery(queryId) {
+    await this.client.command({
+      query: `KILL QUERY WHERE query_id = {queryId:String} OR startsWith(query_id, {prefix:String}) ASYNC`,
+      query_params: { queryId, prefix: `${queryId}:` }
+    });
+    console.log(`🛑 Kill requested for query ${queryId}`);
+  }
+
+  // Get available tables (cached, see query-cache.js)
   async getTables() {
     try {
-      const cacheKey = 'tables';
-      const cached = this.cache.get(cacheKey);
-      
-      if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-        return cached.data;
-      }
-
       const query = `
         SELECT 
           name,
@@ -54,21 +81,20 @@ class ClickHouseService {
           total_rows,
           total_bytes
         FROM system.tables 
-        WHERE database = '${process.env.CLICKHOUSE_DB}'
+        WHERE database = {database:String}
+          AND NOT startsWith(name, '_canvas_')
         ORDER BY name
       `;
 
-      const result = await this.client.query({
-        query: query,
-        format: 'JSONEachRow'
-      });
-
-      const tables = await result.json();
+      const params = { database: process.env.CLICKHOUSE_DB };
 
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: tables,
-        timestamp: Date.now()
+      const { value: tables } = await queryCache.wrap({ route: 'tables', sql: query, params }, async () => {
+        const result = await this.runQuery({
+          query: query,
+          params,
+          format: 'JSONEachRow'
+        });
+        return await result.json();
       });
 
       return tables;
@@ -78,12 +104,47 @@ class ClickHouseService {
     }
   }
 
+  // Version of every table for cache invalidation: table -> fingerprint. Inserts do
+  // not touch metadata_modification_time, so row and byte counts are part of it.
+  async getTableVersions() {
+    const result = await this.runQuery({
+      query: `
+        SELECT name, toString(metadata_modification_time) AS modified, total_rows, total_bytes
+        FROM system.tables
+        WHERE database = {database:String}
+          AND NOT startsWith(name, '_canvas_')
+      `,
+      params: { database: process.env.CLICKHOUSE_DB },
+      format: 'JSONEachRow'
+    });
+    const rows = await result.json();
+    return new Map(rows.map(row => [row.name, `${row.modified}|${row.total_rows}|${row.total_bytes}`]));
+  }
+
+  // Make sure a table exists before its name is used in SQL
+  async validateTableName(tableName) {
+    const tables = await this.getTables();
+    if (!tables.some(t => t.name === tableName)) {
+      throw new Error(`Table ${tableName} does not exist`);
+    }
+    return tableName;
+  }
+
+  // Make sure a column exists in the table schema before its name is used in SQL
+  validateColumnName(columnName, schema, tableName = 'table') {
+    if (!schema.some(col => col.name === columnName)) {
+      throw new Error(`Column ${columnName} does not exist in ${tableName}`);
+    }
+    return columnName;
+  }
+
   // Get table schema
   async getTableSchema(tableName) {
     try {
-      const query = `DESCRIBE TABLE ${tableName}`;
+      await this.validateTableName(tableName);
+      const query = `DESCRIBE TABLE ${this.quoteIdentifier(tableName)}`;
       
-      const result = await this.client.query({
+      const result = await this.runQuery({
         query: query,
         format: 'JSONEachRow'
       });
@@ -95,48 +156,119 @@ class ClickHouseService {
     }
   }
 
-  // Build WHERE clause from filters
-  buildWhereClause(filters = {}, searchTerm = '') {
+  // Get data skipping indexes (bloom filters etc.) defined on a table
+  async getSkipIndexes(tableName) {
+    const query = `
+      SELECT name, type, expr
+      FROM system.data_skipping_indices
+      WHERE database = {database:String} AND table = {table:String}
+    `;
+    const params = { database: process.env.CLICKHOUSE_DB, table: tableName };
+
+    try {
+      const { value: indexes } = await queryCache.wrap({ route: 'skip_indexes', sql: query, params, tables: [tableName] }, async () => {
+        const result = await this.runQuery({ query, params, format: 'JSONEachRow' });
+        return await result.json();
+      });
+
+      return indexes;
+    } catch (error) {
+      console.warn(`Could not read skip indexes for ${tableName}:`, error.message);
+      return [];
+    }
+  }
+
+  // Build WHERE clause from filters. Column names are checked against the schema
+  // and every value is sent as a query parameter, never interpolated.
+  // `filters` is either { column: value } or an array of { field, op, value }.
+  // rowFilter is a prebuilt { condition, params } (e.g. the tenant predicate) that is always applied.
+  buildWhereClause(filters = {}, searchTerm = '', schema = [], { tableName = null, skipIndexes = [], rowFilter = null } = {}) {
     const conditions = [];
+    const params = {};
+
+    if (rowFilter) {
+      conditions.push(rowFilter.condition);
+      Object.assign(params, rowFilter.params);
+    }
     
-    // Add search condition
-    if (searchTerm && searchTerm.trim() !== '') {
-      // Search across main text fields for daily_worker_summary
-      // Escape single quotes and use case-insensitive search
-      const escapedSearch = searchTerm.replace(/'/g, "''");
-      const searchCondition = `(
-        lower(toString(client_name)) LIKE lower('%${escapedSearch}%') OR
-        lower(toString(staff_name)) LIKE lower('%${escapedSearch}%') OR
-        toString(work_date) LIKE '%${escapedSearch}%' OR
-        lower(toString(ifNull(leave_type, ''))) LIKE lower('%${escapedSearch}%') OR
-        toString(ifNull(checkin_lat, '')) LIKE '%${escapedSearch}%' OR
-        toString(ifNull(checkin_lng, '')) LIKE '%${escapedSearch}%' OR
-        toString(ifNull(checkout_lat, '')) LIKE '%${escapedSearch}%' OR
-        toString(ifNull(checkout_lng, '')) LIKE '%${escapedSearch}%'
-      )`;
-      conditions.push(searchCondition);
+    // Add search condition over the table's searchable columns
+    const search = searchBuilder.build(searchTerm, schema, {
+      tableName,
+      skipIndexes,
+      quoteIdentifier: name => this.quoteIdentifier(name)
+    });
+    if (search) {
+      conditions.push(search.condition);
+      Object.assign(params, search.params);
     }
 
-    // Add column filters
-    Object.entries(filters).forEach(([field, value]) => {
-      if (value && value.toString().trim() !== '') {
-        // Handle different data types
-        if (typeof value === 'number') {
-          conditions.push(`${field} = ${value}`);
-        } else if (field.toLowerCase().includes('date')) {
-          conditions.push(`toDate(${field}) = '${value}'`);
-        } else if (field.toLowerCase().includes('time')) {
-          conditions.push(`toString(${field}) LIKE '%${value}%'`);
-        } else {
-          conditions.push(`toString(${field}) ILIKE '%${value}%'`);
-        }
-      }
+    // Add column filters (typed operators, see filter-builder.js)
+    const built = filterBuilder.build(filters, schema, {
+      quoteIdentifier: name => this.quoteIdentifier(name)
     });
+    conditions.push(...built.conditions);
+    Object.assign(params, built.params);
     
-    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
   }
 
-  // Get paginated data with search and filters
+  // Build the filtered, sorted SELECT for a table (no LIMIT).
+  // Returns { query, params, table, whereClause }.
+  async buildTableQuery({
+    tableName,
+    search = '',
+    sortField = '',
+    sortDirection = 'ASC',
+    filters = {},
+    columns = ['*'],
+    allowedColumns = null,
+    rowFilter = null
+  }) {
+    // Validate table and column names to prevent SQL injection.
+    // allowedColumns (from the caller's role) hides every other column.
+    const fullSchema = await this.getTableSchema(tableName);
+    const schema = allowedColumns
+      ? fullSchema.filter(col => allowedColumns.includes(col.name))
+      : fullSchema;
+    const table = this.quoteIdentifier(tableName);
+
+    // Build column selection
+    const requestedColumns = Array.isArray(columns) ? columns.filter(col => col && col !== '*') : [];
+    const selectedColumns = requestedColumns.length > 0
+      ? requestedColumns.map(col => this.validateColumnName(col, schema, tableName))
+      : (allowedColumns ? schema.map(col => col.name) : []);
+    const columnStr = selectedColumns.length > 0
+      ? selectedColumns.map(col => this.quoteIdentifier(col)).join(', ')
+      : '*';
+
+    // Build base query
+    let query = `SELECT ${columnStr} FROM ${table}`;
+
+    // Add WHERE clause
+    const skipIndexes = search ? await this.getSkipIndexes(tableName) : [];
+    const { clause: whereClause, params } = this.buildWhereClause(filters, search, schema, {
+      tableName,
+      skipIndexes,
+      rowFilter: rowFilter ? rowFilter(fullSchema) : null
+    });
+    if (whereClause) {
+      query += ` ${whereClause}`;
+    }
+
+    // Add sorting
+    if (sortField) {
+      const direction = String(sortDirection).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+      query += ` ORDER BY ${this.quoteIdentifier(this.validateColumnName(sortField, schema, tableName))} ${direction}`;
+    }
+
+    return { query, params, table, whereClause };
+  }
+
+  // Get paginated data with search and filters.
+  // rowFilter(schema) may return a { condition, params } row restriction (tenant scoping).
   async getTableData({
     tableName,
     page = 1,
@@ -145,57 +277,54 @@ class ClickHouseService {
     sortField = '',
     sortDirection = 'ASC',
     filters = {},
-    columns = ['*']
+    columns = ['*'],
+    allowedColumns = null,
+    rowFilter = null,
+    execution = null
   } = {}) {
     try {
+      page = parseInt(page) || 1;
+      pageSize = parseInt(pageSize) || 5;
       const offset = (page - 1) * pageSize;
-      
-      // Validate table name to prevent SQL injection
-      const tables = await this.getTables();
-      const tableExists = tables.some(t => t.name === tableName);
-      if (!tableExists) {
-        throw new Error(`Table ${tableName} does not exist`);
-      }
-
-      // Build column selection
-      const columnStr = Array.isArray(columns) ? columns.join(', ') : '*';
-      
-      // Build base query
-      let query = `SELECT ${columnStr} FROM ${tableName}`;
 
-      // Add WHERE clause
-      const whereClause = this.buildWhereClause(filters, search);
-      if (whereClause) {
-        query += ` ${whereClause}`;
-      }
-
-      // Add sorting
-      if (sortField) {
-        query += ` ORDER BY ${sortField} ${sortDirection.toUpperCase()}`;
-      }
+      const built = await this.buildTableQuery({
+        tableName,
+        search,
+        sortField,
+        sortDirection,
+        filters,
+        columns,
+        allowedColumns,
+        rowFilter
+      });
+      const { table, whereClause, params } = built;
 
       // Add pagination
-      query += ` LIMIT ${pageSize} OFFSET ${offset}`;
+      const query = `${built.query} LIMIT {limit:UInt32} OFFSET {offset:UInt32}`;
 
       console.log('Executing query:', query);
 
       // Execute main query
-      const result = await this.client.query({
+      const result = await this.runQuery({
         query: query,
-        format: 'JSONEachRow'
+        params: { ...params, limit: pageSize, offset: offset },
+        format: 'JSONEachRow',
+        execution
       });
 
       const data = await result.json();
 
       // Get total count for pagination
-      let countQuery = `SELECT count(*) as total FROM ${tableName}`;
+      let countQuery = `SELECT count(*) as total FROM ${table}`;
       if (whereClause) {
         countQuery += ` ${whereClause}`;
       }
 
-      const countResult = await this.client.query({
+      const countResult = await this.runQuery({
         query: countQuery,
-        format: 'JSONEachRow'
+        params: params,
+        format: 'JSONEachRow',
+        execution
       });
       
       const countData = await countResult.json();
@@ -230,10 +359,16 @@ class ClickHouseService {
   }
 
   // Get aggregated data for analytics/charts
-  async getAnalytics(tableName) {
+  async getAnalytics(tableName, { allowedColumns = null, rowFilter = null, execution = null } = {}) {
     try {
-      // Get table schema first to determine numeric columns
-      const schema = await this.getTableSchema(tableName);
+      // Get table schema first to determine numeric columns (also validates the table)
+      const fullSchema = await this.getTableSchema(tableName);
+      const schema = fullSchema
+        .filter(col => !allowedColumns || allowedColumns.includes(col.name));
+      const table = this.quoteIdentifier(tableName);
+      const restriction = rowFilter ? rowFilter(fullSchema) : null;
+      const scopeCondition = restriction ? ` AND ${restriction.condition}` : '';
+      const scopeParams = restriction ? restriction.params : {};
       const numericColumns = schema
         .filter(col => 
           col.type.includes('Int') || 
@@ -246,10 +381,12 @@ class ClickHouseService {
       const analytics = {};
 
       // Basic row count
-      const countQuery = `SELECT count(*) as total_rows FROM ${tableName}`;
-      const countResult = await this.client.query({
+      const countQuery = `SELECT count(*) as total_rows FROM ${table} WHERE 1${scopeCondition}`;
+      const countResult = await this.runQuery({
         query: countQuery,
-        format: 'JSONEachRow'
+        params: scopeParams,
+        format: 'JSONEachRow',
+        execution
       });
       const countData = await countResult.json();
       analytics.totalRows = countData[0]?.total_rows || 0;
@@ -257,20 +394,23 @@ class ClickHouseService {
       // Numeric column statistics
       if (numericColumns.length > 0) {
         for (const column of numericColumns) {
+          const quoted = this.quoteIdentifier(column);
           const statsQuery = `
             SELECT 
-              min(${column}) as min_val,
-              max(${column}) as max_val,
-              avg(${column}) as avg_val,
-              sum(${column}) as sum_val
-            FROM ${tableName}
-            WHERE ${column} IS NOT NULL
+              min(${quoted}) as min_val,
+              max(${quoted}) as max_val,
+              avg(${quoted}) as avg_val,
+              sum(${quoted}) as sum_val
+            FROM ${table}
+            WHERE ${quoted} IS NOT NULL${scopeCondition}
           `;
           
           try {
-            const statsResult = await this.client.query({
+            const statsResult = await this.runQuery({
               query: statsQuery,
-              format: 'JSONEachRow'
+              params: scopeParams,
+              format: 'JSONEachRow',
+              execution
             });
             const statsData = await statsResult.json();
             analytics[column] = statsData[0] || {};
@@ -296,62 +436,307 @@ class ClickHouseService {
   }
 
   // Get distinct values for filter dropdowns
-  async getDistinctValues(tableName, column, limit = 100) {
+  async getDistinctValues(tableName, column, limit = 100, { rowFilter = null, execution = null } = {}) {
     try {
-      const cacheKey = `distinct_${tableName}_${column}`;
-      const cached = this.cache.get(cacheKey);
-      
-      if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-        return cached.data;
-      }
+      limit = Math.min(Math.max(parseInt(limit) || 100, 1), 10000);
+      const schema = await this.getTableSchema(tableName);
+      const quoted = this.quoteIdentifier(this.validateColumnName(column, schema, tableName));
+      const restriction = rowFilter ? rowFilter(schema) : null;
 
       const query = `
-        SELECT DISTINCT toString(${column}) as value
-        FROM ${tableName}
-        WHERE ${column} IS NOT NULL AND toString(${column}) != ''
+        SELECT DISTINCT toString(${quoted}) as value
+        FROM ${this.quoteIdentifier(tableName)}
+        WHERE ${quoted} IS NOT NULL AND toString(${quoted}) != ''${restriction ? ` AND ${restriction.condition}` : ''}
         ORDER BY value
-        LIMIT ${limit}
+        LIMIT {limit:UInt32}
       `;
 
-      const result = await this.client.query({
-        query: query,
-        format: 'JSONEachRow'
+      const params = { ...(restriction ? restriction.params : {}), limit };
+
+      // Scoped callers get their own cache entries: the tenant predicate is in the SQL and params
+      const { value: response } = await queryCache.wrap({ route: 'distinct_values', sql: query, params }, async () => {
+        const result = await this.runQuery({
+          query: query,
+          params,
+          format: 'JSONEachRow',
+          execution
+        });
+
+        const data = await result.json();
+        return {
+          success: true,
+          data: data.map(row => row.value)
+        };
       });
 
-      const data = await result.json();
-      const values = data.map(row => row.value);
+      return response;
+    } catch (error) {
+      console.error(`Error fetching distinct values for ${tableName}.${column}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        data: []
+      };
+    }
+  }
+
+  // Quote an identifier (column or alias) so any result column name can be referenced
+  quoteIdentifier(name) {
+    return '`' + String(name).replace(/\\/g, '\\\\').replace(/`/g, '\\`') + '`';
+  }
+
+  // Strip trailing semicolons and whitespace so a query can be used as a subquery
+  normalizeQuery(query) {
+    return query.trim().replace(/;+\s*$/, '').trim();
+  }
+
+  // Get the result columns of an arbitrary SELECT without executing it
+  async getQueryColumns(query, params = {}, execution = null) {
+    const result = await this.runQuery({
+      query: `DESCRIBE TABLE (${this.normalizeQuery(query)})`,
+      params: params,
+      format: 'JSONEachRow',
+      execution
+    });
+
+    const columns = await result.json();
+    return columns.map(col => ({ name: col.name, type: col.type }));
+  }
+
+  // Dry run without reading data: EXPLAIN SYNTAX parses and normalizes the query (and
+  // fails on syntax errors), EXPLAIN ESTIMATE reports the rows/parts/marks it would read
+  // from each MergeTree table. Returns { syntax, estimate } where estimate is null if
+  // ClickHouse cannot estimate the query.
+  async explainQuery(query, { params = {}, execution = null } = {}) {
+    const baseQuery = this.normalizeQuery(query);
+
+    const validation = sqlValidator.validate(baseQuery);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const syntaxResult = await this.runQuery({
+      query: `EXPLAIN SYNTAX ${baseQuery}`,
+      params,
+      format: 'JSONEachRow',
+      execution
+    });
+    const syntax = (await syntaxResult.json()).map(row => row.explain).join('\n');
+
+    let estimate = null;
+    try {
+      const estimateResult = await this.runQuery({
+        query: `EXPLAIN ESTIMATE ${baseQuery}`,
+        params,
+        format: 'JSONEachRow',
+        execution
+      });
+      const rows = await estimateResult.json();
+      // Nothing to report for tables that are not MergeTree (numbers(), views, ...)
+      estimate = rows.length === 0 ? null : {
+        rows: rows.reduce((sum, row) => sum + Number(row.rows), 0),
+        parts: rows.reduce((sum, row) => sum + Number(row.parts), 0),
+        marks: rows.reduce((sum, row) => sum + Number(row.marks), 0),
+        tables: rows.map(row => ({
+          database: row.database,
+          table: row.table,
+          rows: Number(row.rows),
+          parts: Number(row.parts),
+          marks: Number(row.marks)
+        }))
+      };
+    } catch (error) {
+      console.warn('⚠️ EXPLAIN ESTIMATE failed:', error.message);
+    }
+
+    return { syntax, estimate };
+  }
+
+  // Wrap a query as an opaque subquery with search, filters and sorting applied (no LIMIT).
+  // Returns { query, countQuery, params, columns }.
+  async buildWrappedQuery({
+    query,
+    search = '',
+    sortField = '',
+    sortDirection = 'ASC',
+    filters = {},
+    tableName = null,
+    params: queryParams = {},
+    execution = null
+  }) {
+    const baseQuery = this.normalizeQuery(query);
+
+    const validation = sqlValidator.validate(baseQuery);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const columns = await this.getQueryColumns(baseQuery, queryParams, execution);
+    const columnNames = columns.map(col => col.name);
+    const conditions = [];
+    const params = { ...queryParams };
+
+    const searchCondition = searchBuilder.build(search, columns, {
+      tableName,
+      quoteIdentifier: name => this.quoteIdentifier(name)
+    });
+    if (searchCondition) {
+      conditions.push(searchCondition.condition);
+      Object.assign(params, searchCondition.params);
+    }
+
+    const built = filterBuilder.build(filters, columns, {
+      quoteIdentifier: name => this.quoteIdentifier(name)
+    });
+    conditions.push(...built.conditions);
+    Object.assign(params, built.params);
+
+    if (sortField && !columnNames.includes(sortField)) {
+      throw new Error(`Cannot sort on "${sortField}": the query does not return that column`);
+    }
+
+    const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const direction = String(sortDirection).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+    const orderClause = sortField ? ` ORDER BY ${this.quoteIdentifier(sortField)} ${direction}` : '';
 
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: values,
-        timestamp: Date.now()
+    return {
+      query: `SELECT * FROM (${baseQuery}) AS source${whereClause}${orderClause}`,
+      countQuery: `SELECT count() AS total FROM (${baseQuery}) AS source${whereClause}`,
+      params,
+      columns
+    };
+  }
+
+  // Execute a saved or predefined query with search, filters, sorting and pagination.
+  // The query is treated as an opaque subquery, so CTEs, JOINs, GROUP BY, UNION ALL
+  // and any clause order work unchanged; conditions only reference its result columns.
+  // tableName (optional) selects the per-table search settings from config/search.json.
+  // params are bound into the base query (e.g. the tenant IDs added by tenant scoping).
+  async executePaginatedQuery({
+    query,
+    format = 'JSONEachRow',
+    page = 1,
+    pageSize = 5,
+    search = '',
+    sortField = '',
+    sortDirection = 'ASC',
+    filters = {},
+    tableName = null,
+    params: queryParams = {},
+    execution = null
+  } = {}) {
+    page = parseInt(page) || 1;
+    pageSize = parseInt(pageSize) || 5;
+    const offset = (page - 1) * pageSize;
+    const baseQuery = this.normalizeQuery(query);
+
+    try {
+      const wrapped = await this.buildWrappedQuery({
+        query: baseQuery,
+        search,
+        sortField,
+        sortDirection,
+        filters,
+        tableName,
+        params: queryParams,
+        execution
       });
+      const { columns, params, countQuery } = wrapped;
+
+      const pagedQuery = `${wrapped.query} LIMIT {limit:UInt32} OFFSET {offset:UInt32}`;
+
+      console.log('Executing paginated query:', pagedQuery);
+
+      const result = await this.executeCustomQuery(pagedQuery, format, {
+        params: { ...params, limit: pageSize, offset: offset },
+        execution
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const countResult = await this.executeCustomQuery(countQuery, 'JSONEachRow', { params, execution });
+      if (!countResult.success) {
+        throw new Error(`Count query failed: ${countResult.error}`);
+      }
+      const total = parseInt(countResult.data[0]?.total || 0);
 
       return {
         success: true,
-        data: values
+        data: result.data || [],
+        columns: columns,
+        pagination: {
+          page,
+          pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        },
+        query: pagedQuery
       };
     } catch (error) {
-      console.error(`Error fetching distinct values for ${tableName}.${column}:`, error);
+      console.error('Error executing paginated query:', error.message);
       return {
         success: false,
         error: error.message,
-        data: []
+        data: [],
+        pagination: {
+          page,
+          pageSize,
+          total: 0,
+          totalPages: 0
+        },
+        query: baseQuery
       };
     }
   }
 
-  // Execute custom query (be careful with this in production)
-  async executeCustomQuery(query, format = 'JSONEachRow') {
+  // Stream a query's raw output in a ClickHouse format (CSVWithNames, Parquet, ...)
+  // without buffering it. The caller must consume or destroy the returned stream.
+  // An error after the first bytes is appended to the body as plain text
+  // ("Code: N. DB::Exception: ..."), in every format; see export-service.
+  async streamQuery(query, format, options = {}) {
+    const validation = sqlValidator.validate(query);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const execution = options.execution || null;
+    const result = await this.client.exec({
+      query: `${validation.query} FORMAT ${format}`,
+      query_params: options.params || {},
+      query_id: this.nextQueryId(execution),
+      clickhouse_settings: {
+        ...(execution ? execution.settings : {}),
+        http_write_exception_in_output_format: 0
+      },
+      abort_signal: execution ? execution.signal : undefined
+    });
+
+    return result.stream;
+  }
+
+  // Execute custom query (be careful with this in production).
+  // options.params are bound to {name:Type} placeholders in the query;
+  // options.execution carries the request's query ID, limits and abort signal.
+  async executeCustomQuery(query, format = 'JSONEachRow', options = {}) {
     try {
-      // Basic security check - only allow SELECT statements
-      if (!query.trim().toUpperCase().startsWith('SELECT')) {
-        throw new Error('Only SELECT queries are allowed');
+      // Single read-only statement only (see sql-validator.js)
+      const validation = sqlValidator.validate(query);
+      if (!validation.valid) {
+        return {
+          success: false,
+          error: validation.error,
+          validation,
+          data: [],
+          query: query
+        };
       }
 
-      const result = await this.client.query({
+      const result = await this.runQuery({
         query: query,
-        format: format
+        params: options.params || {},
+        format: format,
+        execution: options.execution || null
       });
 
       const data = await result.json();
@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const clickhouseService = require('./clickhouse-service');
+const tenantScope = require('./tenant-scope');
+
+// Metadata tables are prefixed with an underscore so they stay out of /api/tables
+const DASHBOARDS_TABLE = '_canvas_dashboards';
+const CARDS_TABLE = '_canvas_cards';
+
+// Dashboards remember who created them (owner_id) and the tenants that caller was
+// scoped to (client_ids). A caller sees their own dashboards and those whose
+// tenants they can all see; callers that see every tenant see every dashboard.
+// Cards are visible through their dashboard. Rows stored before owners were
+// recorded have neither, so only all-tenant callers see them.
+class DashboardStore {
+  constructor() {
+    this.initialized = false;
+  }
+
+  // Create the metadata tables if they don't exist yet
+  async initialize() {
+    const client = clickhouseService.client;
+
+    // ReplacingMergeTree keeps the latest version of each row by updated_at,
+    // so updates and soft deletes are plain inserts read back with FINAL
+    await client.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${DASHBOARDS_TABLE} (
+          id String,
+          title String,
+          description String,
+          owner_id String DEFAULT '',
+          client_ids Array(String) DEFAULT [],
+          created_at DateTime64(3, 'UTC'),
+          updated_at DateTime64(3, 'UTC'),
+          is_deleted UInt8 DEFAULT 0
+        )
+        ENGINE = ReplacingMergeTree(updated_at)
+        ORDER BY id
+      `
+    });
+
+    // Tables created before dashboards had owners
+    await client.command({
+      query: `
+        ALTER TABLE ${DASHBOARDS_TABLE}
+          ADD COLUMN IF NOT EXISTS owner_id String DEFAULT '',
+          ADD COLUMN IF NOT EXISTS client_ids Array(String) DEFAULT []
+      `
+    });
+
+    await client.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${CARDS_TABLE} (
+          id String,
+          dashboard_id String,
+          title String,
+          card_type LowCardinality(String),
+          query String,
+          table_name String,
+          layout String,
+          chat_prompt String,
+          created_at DateTime64(3, 'UTC'),
+          updated_at DateTime64(3, 'UTC'),
+          is_deleted UInt8 DEFAULT 0
+        )
+        ENGINE = ReplacingMergeTree(updated_at)
+        ORDER BY id
+      `
+    });
+
+    this.initialized = true;
+    console.log('✅ Dashboard metadata tables ready');
+  }
+
+  // Run a read query against the metadata tables
+  async select(query, params = {}) {
+    const result = await clickhouseService.client.query({
+      query: query,
+      query_params: params,
+      format: 'JSONEachRow'
+    });
+
+    return await result.json();
+  }
+
+  // Insert a new version of a metadata row
+  async write(table, row) {
+    await clickhouseService.client.insert({
+      table: table,
+      values: [row],
+      format: 'JSONEachRow',
+      clickhouse_settings: {
+        date_time_input_format: 'best_effort'
+      }
+    });
+  }
+
+  // Convert a stored card row into the API shape
+  formatCard(row) {
+    let layout = {};
+    try {
+      layout = row.layout ? JSON.parse(row.layout) : {};
+    } catch (error) {
+      console.warn(`Invalid layout stored for card ${row.id}:`, error.message);
+    }
+
+    return {
+      id: row.id,
+      dashboardId: row.dashboard_id,
+      title: row.title,
+      cardType: row.card_type,
+      query: row.query,
+      tableName: row.table_name || null,
+      layout: layout,
+      chatPrompt: row.chat_prompt || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Convert a stored dashboard row into the API shape
+  formatDashboard(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      description: row.description || '',
+      ownerId: row.owner_id || null,
+      clientIds: row.client_ids || [],
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Condition on the dashboards table limiting it to what `user` may see (adds its params)
+  visibleTo(user, params) {
+    if (!user) return '0';
+    if (tenantScope.isUnrestricted(user)) return '1';
+
+    params.ownerId = String(user.id);
+    params.viewerClientIds = tenantScope.getTenantIds(user);
+    return `((owner_id != '' AND owner_id = {ownerId:String}) OR
+      (notEmpty(client_ids) AND hasAll({viewerClientIds:Array(String)}, client_ids)))`;
+  }
+
+  // List the dashboards the user may see
+  async listDashboards(user) {
+    const params = {};
+    const rows = await this.select(`
+      SELECT id, title, description, owner_id, client_ids, created_at, updated_at
+      FROM ${DASHBOARDS_TABLE} FINAL
+      WHERE is_deleted = 0 AND ${this.visibleTo(user, params)}
+      ORDER BY created_at
+    `, params);
+
+    return rows.map(row => this.formatDashboard(row));
+  }
+
+  // Get a single dashboard with its cards, null if it does not exist or the user may not see it
+  async getDashboard(dashboardId, user) {
+    const params = { id: dashboardId };
+    const rows = await this.select(`
+      SELECT id, title, description, owner_id, client_ids, created_at, updated_at
+      FROM ${DASHBOARDS_TABLE} FINAL
+      WHERE id = {id:String} AND is_deleted = 0 AND ${this.visibleTo(user, params)}
+    `, params);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      ...this.formatDashboard(rows[0]),
+      cards: await this.listCards(user, dashboardId)
+    };
+  }
+
+  // Create a dashboard owned by the user and scoped to the user's tenants
+  async createDashboard({ title, description = '' }, user) {
+    const now = new Date().toISOString();
+    const row = {
+      id: crypto.randomUUID(),
+      title: title,
+      description: description || '',
+      owner_id: String(user.id),
+      client_ids: tenantScope.getTenantIds(user),
+      created_at: now,
+      updated_at: now,
+      is_deleted: 0
+    };
+
+    await this.write(DASHBOARDS_TABLE, row);
+    return { ...this.formatDashboard(row), cards: [] };
+  }
+
+  // Update dashboard fields, returns null if the dashboard does not exist
+  async updateDashboard(dashboardId, changes, user) {
+    const existing = await this.getDashboard(dashboardId, user);
+    if (!existing) {
+      return null;
+    }
+
+    const row = {
+      id: existing.id,
+      title: changes.title !== undefined ? changes.title : existing.title,
+      description: changes.description !== undefined ? changes.description : existing.description,
+      owner_id: existing.ownerId || '',
+      client_ids: existing.clientIds,
+      created_at: existing.createdAt,
+      updated_at: new Date().toISOString(),
+      is_deleted: 0
+    };
+
+    await this.write(DASHBOARDS_TABLE, row);
+    return { ...this.formatDashboard(row), cards: existing.cards };
+  }
+
+  // Soft delete a dashboard and all of its cards
+  async deleteDashboard(dashboardId, user) {
+    const existing = await this.getDashboard(dashboardId, user);
+    if (!existing) {
+      return false;
+    }
+
+    for (const card of existing.cards) {
+      await this.deleteCard(dashboardId, card.id, user);
+    }
+
+    await this.write(DASHBOARDS_TABLE, {
+      id: existing.id,
+      title: existing.title,
+      description: existing.description,
+      owner_id: existing.ownerId || '',
+      client_ids: existing.clientIds,
+      created_at: existing.createdAt,
+      updated_at: new Date().toISOString(),
+      is_deleted: 1
+    });
+
+    return true;
+  }
+
+  // Cards may be read through dashboards the user may see
+  visibleCards(user, params) {
+    return `dashboard_id IN (
+      SELECT id FROM ${DASHBOARDS_TABLE} FINAL
+      WHERE is_deleted = 0 AND ${this.visibleTo(user, params)}
+    )`;
+  }
+
+  // List the user's cards, optionally restricted to one dashboard
+  async listCards(user, dashboardId = null) {
+    const params = dashboardId ? { dashboardId } : {};
+    const rows = await this.select(`
+      SELECT *
+      FROM ${CARDS_TABLE} FINAL
+      WHERE is_deleted = 0 AND ${this.visibleCards(user, params)}
+        ${dashboardId ? 'AND dashboard_id = {dashboardId:String}' : ''}
+      ORDER BY created_at
+    `, params);
+
+    return rows.map(row => this.formatCard(row));
+  }
+
+  // Get a single card by ID (dashboard check is optional), null if the user may not see it
+  async getCard(user, cardId, dashboardId = null) {
+    const params = { id: cardId };
+    const rows = await this.select(`
+      SELECT *
+      FROM ${CARDS_TABLE} FINAL
+      WHERE id = {id:String} AND is_deleted = 0 AND ${this.visibleCards(user, params)}
+    `, params);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const card = this.formatCard(rows[0]);
+    if (dashboardId && card.dashboardId !== dashboardId) {
+      return null;
+    }
+
+    return card;
+  }
+
+  // Build a storable card row from API fields
+  buildCardRow(card) {
+    return {
+      id: card.id,
+      dashboard_id: card.dashboardId,
+      title: card.title,
+      card_type: card.cardType,
+      query: card.query || '',
+      table_name: card.tableName || '',
+      layout: JSON.stringify(card.layout || {}),
+      chat_prompt: card.chatPrompt || '',
+      created_at: card.createdAt,
+      updated_at: card.updatedAt,
+      is_deleted: card.isDeleted ? 1 : 0
+    };
+  }
+
+  // Create a card on a dashboard, returns null if the dashboard does not exist
+  async createCard(dashboardId, fields, user) {
+    const dashboard = await this.getDashboard(dashboardId, user);
+    if (!dashboard) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const row = this.buildCardRow({
+      ...fields,
+      id: crypto.randomUUID(),
+      dashboardId: dashboardId,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    await this.write(CARDS_TABLE, row);
+    return this.formatCard(row);
+  }
+
+  // Update card fields, returns null if the card does not exist
+  async updateCard(dashboardId, cardId, changes, user) {
+    const existing = await this.getCard(user, cardId, dashboardId);
+    if (!existing) {
+      return null;
+    }
+
+    const updatable = ['title', 'cardType', 'query', 'tableName', 'layout', 'chatPrompt'];
+    const merged = { ...existing };
+    updatable.forEach(field => {
+      if (changes[field] !== undefined) {
+        merged[field] = changes[field];
+      }
+    });
+
+    const row = this.buildCardRow({
+      ...merged,
+      updatedAt: new Date().toISOString()
+    });
+
+    await this.write(CARDS_TABLE, row);
+    return this.formatCard(row);
+  }
+
+  // Soft delete a card
+  async deleteCard(dashboardId, cardId, user) {
+    const existing = await this.getCard(user, cardId, dashboardId);
+    if (!existing) {
+      return false;
+    }
+
+    await this.write(CARDS_TABLE, this.buildCardRow({
+      ...existing,
+      updatedAt: new Date().toISOString(),
+      isDeleted: true
+    }));
+
+    return true;
+  }
+}
+
+module.exports = new DashboardStore();
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const sqlAnalyzer = require('./sql-analyzer');
+const clickhouseService = require('./clickhouse-service');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'config', 'data-policy.json');
+
+const DEFAULT_REASONS = {
+  hidden: 'This data is not available.',
+  restricted: 'This data is restricted to specific roles.',
+  sensitive: 'This data is sensitive and cannot be queried through chat.'
+};
+
+// Declarative data policy from config/data-policy.json (or DATA_POLICY_PATH).
+// Rules attach to a whole table or to single columns:
+//   hidden      never readable through the API
+//   restricted  readable only by the listed `roles`
+//   sensitive   readable in hand-written SQL, but not in LLM-generated SQL
+//               unless the caller's role is listed in `roles`
+// Column rules override the table rule. `reason` is shown when a query is blocked.
+class DataPolicy {
+  constructor() {
+    this.policyPath = process.env.DATA_POLICY_PATH || DEFAULT_POLICY_PATH;
+    this.tables = this.loadPolicy().tables || {};
+  }
+
+  loadPolicy() {
+    try {
+      return JSON.parse(fs.readFileSync(this.policyPath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Could not load data policy ${this.policyPath}:`, error.message);
+      return { tables: {} };
+    }
+  }
+
+  getTableRule(tableName) {
+    const table = this.tables[tableName];
+    return table && table.policy ? table : null;
+  }
+
+  getColumnRule(tableName, columnName) {
+    const table = this.tables[tableName];
+    const rule = table && table.columns ? table.columns[columnName] : null;
+    return rule || this.getTableRule(tableName);
+  }
+
+  // Whether a rule keeps `user` out. options.generated marks LLM-written SQL.
+  blocks(rule, user, { generated = false } = {}) {
+    if (!rule) return false;
+
+    const roleAllowed = Boolean(user) && (rule.roles || []).includes(user.role);
+    switch (rule.policy) {
+      case 'hidden':
+        return true;
+      case 'restricted':
+        return !roleAllowed;
+      case 'sensitive':
+        return generated && !roleAllowed;
+      default:
+        return false;
+    }
+  }
+
+  isTableDenied(user, tableName, options = {}) {
+    return this.blocks(this.getTableRule(tableName), user, options);
+  }
+
+  // Columns of a table that carry their own blocking rule for this user
+  getDeniedColumns(user, tableName, options = {}) {
+    const table = this.tables[tableName];
+    if (!table || !table.columns) return [];
+    return Object.keys(table.columns).filter(name => this.blocks(table.columns[name], user, options));
+  }
+
+  // Drop denied columns from a list of { name, ... } column objects
+  filterColumns(user, tableName, columns, options = {}) {
+    const denied = this.getDeniedColumns(user, tableName, options);
+    return denied.length > 0 ? columns.filter(col => !denied.includes(col.name)) : columns;
+  }
+
+  // User-facing explanation for a violation
+  explain({ table, column, rule }) {
+    const target = column ? `${table}.${column}` : `table ${table}`;
+    return `Access to ${target} is blocked by data policy (${rule.policy}): ${rule.reason || DEFAULT_REASONS[rule.policy]}`;
+  }
+
+  // Check the tables and columns a query references (SQL text or tokens).
+  // Returns { allowed: true } or { allowed: false, error, policy: { table, column, policy, reason } }.
+  async checkQuery(user, sql, options = {}) {
+    const tokens = Array.isArray(sql) ? sql : sqlAnalyzer.tokenize(sql);
+    const { tables, cteNames, unresolved } = sqlAnalyzer.getTableReferences(tokens);
+    if (unresolved.length > 0) {
+      return { allowed: false, error: `Could not resolve the query source "${unresolved[0].value}"` };
+    }
+
+    // A CTE named after a table would hide the table's rules
+    if (cteNames.length > 0) {
+      const catalog = await clickhouseService.getTables();
+      const shadowed = cteNames.find(name => catalog.some(table => table.name === name));
+      if (shadowed) {
+        return { allowed: false, error: `CTE ${shadowed} has the name of a table; rename it` };
+      }
+    }
+    const identifiers = new Set(sqlAnalyzer.getIdentifiers(tokens));
+    const usesWildcard = sqlAnalyzer.hasWildcard(tokens);
+
+    for (const table of tables) {
+      const tableRule = this.getTableRule(table.name);
+      if (this.blocks(tableRule, user, options)) {
+        return this.violation({ table: table.name, column: null, rule: tableRule });
+      }
+
+      const denied = this.getDeniedColumns(user, table.name, options);
+      let column = denied.find(name => identifiers.has(name));
+
+      // SELECT * and COLUMNS()/APPLY/EXCEPT matchers only leak the denied columns the table really has
+      if (!column && usesWildcard && denied.length > 0) {
+        const schema = await clickhouseService.getTableSchema(table.name);
+        column = denied.find(name => schema.some(col => col.name === name));
+      }
+
+      if (column) {
+        const violation = this.violation({ table: table.name, column, rule: this.getColumnRule(table.name, column) });
+        if (!identifiers.has(column)) {
+          violation.error += ' SELECT * or a COLUMNS() matcher would include it; list the columns you need.';
+        }
+        return violation;
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  violation({ table, column, rule }) {
+    return {
+      allowed: false,
+      error: this.explain({ table, column, rule }),
+      policy: {
+        table,
+        column,
+        policy: rule.policy,
+        reason: rule.reason || DEFAULT_REASONS[rule.policy]
+      }
+    };
+  }
+}
+
+module.exports = new DataPolicy();
@@ -0,0 +1,157 @@
+const readline = require('readline');
+const { once } = require('events');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const clickhouseService = require('./clickhouse-service');
+
+// Excel sheets hold 1,048,576 rows including the header
+const XLSX_MAX_ROWS = 1048575;
+
+// Start of an error ClickHouse writes into the body once the 200 status is sent
+// (newer servers put an __exception__ line before it)
+const SERVER_ERROR = /(?:^|\n)(?:__exception__|Code: \d+\. DB::Exception:)/;
+// Bytes held back from the client until the next chunk shows they are not an error
+const ERROR_HOLD_BACK = 256;
+
+// 64-bit and wider integers arrive as JSON strings
+const WIDE_INTEGER = /^(?:Nullable\()?U?Int(?:64|128|256)\)?$/;
+
+const FORMATS = {
+  csv: { clickhouseFormat: 'CSVWithNames', contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { clickhouseFormat: 'TabSeparatedWithNames', contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+  ndjson: { clickhouseFormat: 'JSONEachRow', contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  parquet: { clickhouseFormat: 'Parquet', contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+  xlsx: {
+    clickhouseFormat: 'JSONCompactEachRowWithNamesAndTypes',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+// Streams full result sets from ClickHouse to an HTTP response.
+// CSV/TSV/NDJSON/Parquet are produced by ClickHouse and piped through unchanged;
+// XLSX is written row by row from a JSONCompactEachRowWithNamesAndTypes stream.
+// Rows are never collected in memory.
+class ExportService {
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  // Download file name: letters, digits, dashes and underscores plus a date stamp
+  buildFilename(baseName, format) {
+    const safeName = String(baseName || 'export').replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 100) || 'export';
+    const stamp = new Date().toISOString().slice(0, 10);
+    return `${safeName}_${stamp}.${FORMATS[format].extension}`;
+  }
+
+  // Stream `query` to `res`. The ClickHouse request is started before any header is
+  // sent, so query errors can still be answered with JSON by the caller.
+  async streamToResponse(res, { query, params = {}, format, filename, execution = null }) {
+    const spec = FORMATS[format];
+    const exportQuery = format === 'xlsx'
+      ? `SELECT * FROM (${query}) AS export LIMIT ${XLSX_MAX_ROWS}`
+      : query;
+
+    const source = await clickhouseService.streamQuery(exportQuery, spec.clickhouseFormat, {
+      params,
+      execution
+    });
+
+    res.status(200);
+    res.set({
+      'Content-Type': spec.contentType,
+      'Content-Disposition': `attachment; filename="${this.buildFilename(filename, format)}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    console.log(`📦 Streaming ${format} export: ${filename}`);
+
+    try {
+      if (format === 'xlsx') {
+        await this.writeXlsx(Readable.from(this.rejectServerErrors(source)), res);
+      } else {
+        await pipeline(source, source => this.rejectServerErrors(source), res);
+      }
+    } catch (error) {
+      // Headers are already sent; all we can do is cut the download short
+      console.error(`❌ Export ${filename} failed:`, error.message);
+      source.destroy();
+      res.destroy(error);
+    }
+  }
+
+  // Pass the stream through, but throw instead of passing on an error ClickHouse
+  // appends to the body, so the download fails rather than ending with the error text
+  async *rejectServerErrors(source) {
+    let pending = Buffer.alloc(0);
+    for await (const chunk of source) {
+      pending = Buffer.concat([pending, chunk]);
+      const text = pending.toString('latin1');
+      const match = SERVER_ERROR.exec(text);
+      if (match) {
+        // For the server log only; none of it reaches the client
+        throw new Error(`ClickHouse failed mid-stream: ${text.slice(match.index).trim().slice(0, 500)}`);
+      }
+      if (pending.length > ERROR_HOLD_BACK) {
+        yield pending.subarray(0, pending.length - ERROR_HOLD_BACK);
+        pending = pending.subarray(pending.length - ERROR_HOLD_BACK);
+      }
+    }
+    if (pending.length > 0) {
+      yield pending;
+    }
+  }
+
+  // Safe-range 64-bit integers as numbers so the cells stay numeric
+  toCellValue(value, type) {
+    if (typeof value === 'string' && WIDE_INTEGER.test(type) && Number.isSafeInteger(Number(value))) {
+      return Number(value);
+    }
+    return value;
+  }
+
+  // Convert a JSONCompactEachRowWithNamesAndTypes stream (names line, types line,
+  // then one array per row) into a single-sheet workbook
+  async writeXlsx(source, res) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: false,
+      useSharedStrings: false
+    });
+    const sheet = workbook.addWorksheet('Export');
+    const lines = readline.createInterface({ input: source, crlfDelay: Infinity });
+
+    let names = null;
+    let types = null;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const values = JSON.parse(line);
+      if (!names) {
+        names = values;
+        sheet.columns = names.map(name => ({ header: name }));
+        continue;
+      }
+      if (!types) {
+        types = values;
+        continue;
+      }
+      sheet.addRow(values.map((value, index) => this.toCellValue(value, types[index]))).commit();
+
+      // Respect backpressure from a slow client
+      if (res.writableNeedDrain) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,259 @@
+// Builds parameterized WHERE conditions from structured filters.
+//
+// Filters can be given as an array:
+//   [{ field: 'work_date', op: 'between', value: ['2025-01-01', '2025-01-31'] },
+//    { field: 'leave_type', op: 'in', value: ['sick_leave', 'comp_off'] },
+//    { field: 'checkout_time', op: 'is_null' },
+//    { field: 'work_date', op: 'last_n_days', value: 7 }]
+// or as the simple { column: value } object used by the filter_<col> query params,
+// where a value may itself be an { op, value } object.
+
+const OPERATOR_ALIASES = {
+  '=': 'eq',
+  '==': 'eq',
+  '!=': 'neq',
+  '<>': 'neq',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte',
+  'not in': 'not_in',
+  'is null': 'is_null',
+  'is not null': 'is_not_null'
+};
+
+const COMMON_OPERATORS = ['eq', 'neq', 'in', 'not_in', 'is_null', 'is_not_null', 'contains'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+const STRING_OPERATORS = ['not_contains', 'starts_with', 'regex'];
+const RELATIVE_DATE_OPERATORS = [
+  'on', 'today', 'yesterday', 'last_n_days', 'this_week', 'last_week',
+  'this_month', 'last_month', 'this_year', 'last_year'
+];
+
+const OPERATORS_BY_KIND = {
+  numeric: [...COMMON_OPERATORS, ...RANGE_OPERATORS],
+  date: [...COMMON_OPERATORS, ...RANGE_OPERATORS, ...RELATIVE_DATE_OPERATORS],
+  string: [...COMMON_OPERATORS, ...STRING_OPERATORS],
+  other: [...COMMON_OPERATORS, ...STRING_OPERATORS]
+};
+
+class FilterBuilder {
+  // Strip Nullable(...) and LowCardinality(...) wrappers from a ClickHouse type
+  baseType(type = '') {
+    let base = type;
+    const wrapper = /^(Nullable|LowCardinality)\((.*)\)$/;
+    while (wrapper.test(base)) {
+      base = base.replace(wrapper, '$2');
+    }
+    return base;
+  }
+
+  // Classify a column type into the operator family it supports
+  columnKind(type) {
+    const base = this.baseType(type);
+    if (/^(U?Int\d+|Float\d+|Decimal)/.test(base)) return 'numeric';
+    if (/^Date/.test(base)) return 'date';
+    if (/^(String|FixedString|Enum)/.test(base)) return 'string';
+    return 'other';
+  }
+
+  // Operators supported by each column type, for building filter UIs
+  getOperatorsForType(type) {
+    return OPERATORS_BY_KIND[this.columnKind(type)];
+  }
+
+  // Normalize array and object filter forms into a list of { field, op, value }
+  normalizeFilters(filters) {
+    if (!filters) return [];
+
+    if (Array.isArray(filters)) {
+      return filters.map(filter => ({
+        field: filter.field,
+        op: this.normalizeOperator(filter.op || filter.operator || 'eq'),
+        value: filter.value
+      }));
+    }
+
+    return Object.entries(filters)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([field, value]) => {
+        if (typeof value === 'object' && !Array.isArray(value) && (value.op || value.operator)) {
+          return { field, op: this.normalizeOperator(value.op || value.operator), value: value.value };
+        }
+        return { field, op: null, value };
+      })
+      .filter(filter => filter.op !== null || filter.value.toString().trim() !== '');
+  }
+
+  normalizeOperator(op) {
+    const key = String(op).trim().toLowerCase();
+    return OPERATOR_ALIASES[key] || key.replace(/\s+/g, '_');
+  }
+
+  // Operator used for the simple filter_<col>=value form
+  legacyOperator(field, kind, value) {
+    if (typeof value === 'number') return 'eq';
+    if (kind === 'date' && field.toLowerCase().includes('date')) return 'on';
+    return 'contains';
+  }
+
+  // Build conditions and their parameters. `columns` is DESCRIBE output
+  // ({ name, type }) and is the only source of identifiers used in the SQL.
+  build(filters, columns, { paramPrefix = 'filter', quoteIdentifier } = {}) {
+    const conditions = [];
+    const params = {};
+
+    this.normalizeFilters(filters).forEach((filter, index) => {
+      const column = columns.find(col => col.name === filter.field);
+      if (!column) {
+        throw new Error(`Cannot filter on "${filter.field}": column does not exist`);
+      }
+
+      const kind = this.columnKind(column.type);
+      const op = filter.op || this.legacyOperator(filter.field, kind, filter.value);
+      const supported = OPERATORS_BY_KIND[kind];
+      if (!supported.includes(op)) {
+        throw new Error(`Operator "${op}" is not supported for ${filter.field} (${column.type}). Supported: ${supported.join(', ')}`);
+      }
+
+      const param = `${paramPrefix}_${index}`;
+      const condition = this.buildCondition({
+        column: quoteIdentifier(column.name),
+        type: this.baseType(column.type),
+        kind,
+        op,
+        value: filter.value,
+        param,
+        params,
+        field: filter.field
+      });
+      conditions.push(condition);
+    });
+
+    return { conditions, params };
+  }
+
+  // Expression the value is compared against, converted to the column's type
+  valueExpression(kind, type, param) {
+    if (kind === 'numeric') return `{${param}:${type}}`;
+    if (kind === 'date') {
+      return /^DateTime/.test(type)
+        ? `parseDateTime64BestEffort({${param}:String}, 3)`
+        : `toDate({${param}:String})`;
+    }
+    return `{${param}:String}`;
+  }
+
+  // Column expression matching valueExpression
+  columnExpression(kind, column) {
+    return kind === 'numeric' || kind === 'date' ? column : `toString(${column})`;
+  }
+
+  requireValue(field, op, value) {
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Filter "${op}" on ${field} requires a value`);
+    }
+  }
+
+  requireList(field, op, value, length = null) {
+    if (!Array.isArray(value) || value.length === 0 || (length && value.length !== length)) {
+      throw new Error(length
+        ? `Filter "${op}" on ${field} requires an array of ${length} values`
+        : `Filter "${op}" on ${field} requires a non-empty array of values`);
+    }
+  }
+
+  buildCondition({ column, type, kind, op, value, param, params, field }) {
+    const columnExpr = this.columnExpression(kind, column);
+    const comparisons = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+    switch (op) {
+      case 'is_null':
+        return `${column} IS NULL`;
+
+      case 'is_not_null':
+        return `${column} IS NOT NULL`;
+
+      case 'eq':
+      case 'neq':
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+        this.requireValue(field, op, value);
+        params[param] = value.toString();
+        return `${columnExpr} ${comparisons[op]} ${this.valueExpression(kind, type, param)}`;
+
+      case 'between': {
+        this.requireList(field, op, value, 2);
+        params[`${param}_from`] = value[0].toString();
+        params[`${param}_to`] = value[1].toString();
+        return `${columnExpr} BETWEEN ${this.valueExpression(kind, type, `${param}_from`)} AND ${this.valueExpression(kind, type, `${param}_to`)}`;
+      }
+
+      case 'in':
+      case 'not_in': {
+        this.requireList(field, op, value);
+        const keyword = op === 'in' ? 'IN' : 'NOT IN';
+        if (kind === 'numeric') {
+          params[param] = value.map(Number);
+          return `${column} ${keyword} {${param}:Array(${type})}`;
+        }
+        params[param] = value.map(item => item.toString());
+        return `toString(${column}) ${keyword} {${param}:Array(String)}`;
+      }
+
+      case 'contains':
+      case 'not_contains':
+        this.requireValue(field, op, value);
+        params[param] = value.toString();
+        return `toString(${column}) ${op === 'contains' ? 'ILIKE' : 'NOT ILIKE'} concat('%', {${param}:String}, '%')`;
+
+      case 'starts_with':
+        this.requireValue(field, op, value);
+        params[param] = value.toString();
+        return `startsWith(toString(${column}), {${param}:String})`;
+
+      case 'regex':
+        this.requireValue(field, op, value);
+        params[param] = value.toString();
+        return `match(toString(${column}), {${param}:String})`;
+
+      case 'on':
+        this.requireValue(field, op, value);
+        params[param] = value.toString();
+        return `toDate(${column}) = toDate({${param}:String})`;
+
+      case 'last_n_days': {
+        const days = parseInt(value);
+        if (!Number.isInteger(days) || days < 0) {
+          throw new Error(`Filter "last_n_days" on ${field} requires a non-negative number of days`);
+        }
+        params[param] = days;
+        return `toDate(${column}) >= subtractDays(today(), {${param}:UInt32})`;
+      }
+
+      case 'today':
+        return `toDate(${column}) = today()`;
+      case 'yesterday':
+        return `toDate(${column}) = yesterday()`;
+      case 'this_week':
+        return `toDate(${column}) >= toMonday(today()) AND toDate(${column}) < addDays(toMonday(today()), 7)`;
+      case 'last_week':
+        return `toDate(${column}) >= subtractDays(toMonday(today()), 7) AND toDate(${column}) < toMonday(today())`;
+      case 'this_month':
+        return `toYYYYMM(${column}) = toYYYYMM(today())`;
+      case 'last_month':
+        return `toYYYYMM(${column}) = toYYYYMM(addMonths(today(), -1))`;
+      case 'this_year':
+        return `toYear(${column}) = toYear(today())`;
+      case 'last_year':
+        return `toYear(${column}) = toYear(today()) - 1`;
+
+      default:
+        throw new Error(`Unknown filter operator "${op}"`);
+    }
+  }
+}
+
+module.exports = new FilterBuilder();
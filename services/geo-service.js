@@ -0,0 +1,274 @@
+const clickhouseService = require('./clickhouse-service');
+const filterBuilder = require('./filter-builder');
+
+// Coordinate, time and project columns per location type in worker tables (daily_worker_summary)
+const LOCATION_TYPES = {
+  checkin: { lat: 'checkin_lat', lng: 'checkin_lng', time: 'checkin_time', project: 'checkin_project_id' },
+  checkout: { lat: 'checkout_lat', lng: 'checkout_lng', time: 'checkout_time', project: 'checkout_project_id' }
+};
+
+// Coordinate column names: checkin_lat/checkin_lng, latitude/longitude, lat/lon, ...
+const LAT_PATTERN = /^(?:(.*)_)?(lat|latitude)$/i;
+const LNG_PATTERN = /^(?:(.*)_)?(lng|lon|long|longitude)$/i;
+
+const MAX_ZOOM = 22;
+const DEFAULT_CLUSTER_ZOOM = 10;
+const MAX_PRECISION = 12;
+const GEOJSON_TYPE = 'application/geo+json';
+
+// Location helpers shared by the /locations route and chat map cards: bounding
+// boxes, zoom-dependent geohash clustering in ClickHouse (geohashEncode) and
+// GeoJSON output.
+class GeoService {
+  getLocationTypes() {
+    return [...Object.keys(LOCATION_TYPES), 'both'];
+  }
+
+  // 'lat' or 'lng' with the name's prefix ('checkin' for checkin_lat, null for latitude),
+  // or null when `name` is not a coordinate column name
+  parseCoordinateName(name) {
+    const lat = String(name).match(LAT_PATTERN);
+    if (lat) return { axis: 'lat', prefix: lat[1] || null };
+    const lng = String(name).match(LNG_PATTERN);
+    if (lng) return { axis: 'lng', prefix: lng[1] || null };
+    return null;
+  }
+
+  // Numeric latitude/longitude column (what /columns flags as isLocation)
+  isLocationColumn(column) {
+    return filterBuilder.columnKind(column.type) === 'numeric' && this.parseCoordinateName(column.name) !== null;
+  }
+
+  // Latitude/longitude column pairs with the same prefix, e.g.
+  // [{ name: 'checkin', lat: 'checkin_lat', lng: 'checkin_lng' }, ...]; unprefixed pairs are named 'points'
+  getCoordinatePairs(schema) {
+    const columns = schema.filter(col => this.isLocationColumn(col));
+    const pairs = [];
+    columns.forEach(lat => {
+      const latName = this.parseCoordinateName(lat.name);
+      if (latName.axis !== 'lat') return;
+      const lng = columns.find(col => {
+        const lngName = this.parseCoordinateName(col.name);
+        return lngName.axis === 'lng' && lngName.prefix === latName.prefix;
+      });
+      if (lng) {
+        pairs.push({ name: latName.prefix || 'points', lat: lat.name, lng: lng.name });
+      }
+    });
+    return pairs;
+  }
+
+  // { lat, lng, time, project } column names of a location type
+  getLocationColumns(type) {
+    return LOCATION_TYPES[type];
+  }
+
+  // Location types ('checkin', 'checkout') whose coordinate columns are in `schema`
+  getAvailableTypes(schema) {
+    return Object.keys(LOCATION_TYPES).filter(type =>
+      schema.some(col => col.name === LOCATION_TYPES[type].lat) &&
+      schema.some(col => col.name === LOCATION_TYPES[type].lng)
+    );
+  }
+
+  // Location types a `type` parameter covers, or an error when the table lacks their columns
+  resolveTypes(type, schema) {
+    if (!this.getLocationTypes().includes(type)) {
+      return { error: `Invalid type. Must be one of: ${this.getLocationTypes().join(', ')}` };
+    }
+    const types = type === 'both' ? Object.keys(LOCATION_TYPES) : [type];
+    const available = this.getAvailableTypes(schema);
+    const missing = types.find(name => !available.includes(name));
+    if (missing) {
+      return { error: `Table has no ${missing} coordinates (${LOCATION_TYPES[missing].lat}, ${LOCATION_TYPES[missing].lng})` };
+    }
+    return { types };
+  }
+
+  // "minLng,minLat,maxLng,maxLat" (or an array of four numbers) -> { minLng, minLat, maxLng, maxLat }.
+  // minLng > maxLng is a box crossing the antimeridian. Throws on invalid input.
+  parseBbox(value) {
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    const numbers = parts.map(part => Number(String(part).trim()));
+    if (numbers.length !== 4 || numbers.some(number => !Number.isFinite(number))) {
+      throw new Error('Invalid bbox. Use minLng,minLat,maxLng,maxLat');
+    }
+
+    const [minLng, minLat, maxLng, maxLat] = numbers;
+    if ([minLng, maxLng].some(lng => Math.abs(lng) > 180) || [minLat, maxLat].some(lat => Math.abs(lat) > 90)) {
+      throw new Error('Invalid bbox. Longitudes must be within ±180 and latitudes within ±90');
+    }
+    if (minLat > maxLat) {
+      throw new Error('Invalid bbox. minLat must not be greater than maxLat');
+    }
+    return { minLng, minLat, maxLng, maxLat };
+  }
+
+  // Map zoom level (0-22); throws on invalid input
+  parseZoom(value) {
+    const zoom = Number(value);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      throw new Error(`Invalid zoom. Must be an integer between 0 and ${MAX_ZOOM}`);
+    }
+    return zoom;
+  }
+
+  // Geohash length whose cells are roughly an eighth of a map tile at `zoom`:
+  // zoom 0 -> 1 (~5000 km), 5 -> 3 (~156 km), 10 -> 5 (~5 km), 15 -> 7 (~150 m), 18 -> 8 (~40 m).
+  // Without a zoom, cells are sized for zoom 10 (city level).
+  precisionForZoom(zoom = null) {
+    if (zoom === null) zoom = DEFAULT_CLUSTER_ZOOM;
+    return Math.min(MAX_PRECISION, Math.max(1, Math.round(zoom * 0.4 + 0.6)));
+  }
+
+  // WHERE condition keeping points inside `bbox`; adds its values to `params`
+  buildBboxCondition(bbox, latColumn, lngColumn, params) {
+    Object.assign(params, {
+      bbox_min_lng: bbox.minLng,
+      bbox_min_lat: bbox.minLat,
+      bbox_max_lng: bbox.maxLng,
+      bbox_max_lat: bbox.maxLat
+    });
+
+    const lat = clickhouseService.quoteIdentifier(latColumn);
+    const lng = clickhouseService.quoteIdentifier(lngColumn);
+    const lngCondition = bbox.minLng <= bbox.maxLng
+      ? `${lng} BETWEEN {bbox_min_lng:Float64} AND {bbox_max_lng:Float64}`
+      : `(${lng} >= {bbox_min_lng:Float64} OR ${lng} <= {bbox_max_lng:Float64})`;
+    return `${lat} BETWEEN {bbox_min_lat:Float64} AND {bbox_max_lat:Float64} AND ${lngCondition}`;
+  }
+
+  // Conditions shared by every location query: non-NULL coordinates, the bbox and
+  // column filters (either filter format, checked against `schema`). Throws on bad filters.
+  // Returns { forType(type) -> [conditions], params }.
+  buildConditions({ schema, bbox = null, filters = {} }) {
+    const built = filterBuilder.build(filters, schema, {
+      paramPrefix: 'location_filter',
+      quoteIdentifier: name => clickhouseService.quoteIdentifier(name)
+    });
+    const params = { ...built.params };
+
+    const forType = (type) => {
+      const { lat, lng } = LOCATION_TYPES[type];
+      const conditions = [`${clickhouseService.quoteIdentifier(lat)} IS NOT NULL AND ${clickhouseService.quoteIdentifier(lng)} IS NOT NULL`];
+      if (bbox) {
+        conditions.push(this.buildBboxCondition(bbox, lat, lng, params));
+      }
+      return [...conditions, ...built.conditions];
+    };
+
+    return { forType, params };
+  }
+
+  // Points grouped into geohash cells of `precision` characters, largest first:
+  //   geohash, point_count, lat, lng (cell centroid), min_lat, min_lng, max_lat, max_lng,
+  //   total_hours (sum of total_work_hours; a day's hours count once, at check-in, for type both),
+  //   staff_count, checkin_count, checkout_count
+  // Columns the schema lacks (or the caller may not read) are left out.
+  // Returns { query, params, columns }; the query takes {limit:UInt32}. Throws on bad filters.
+  buildClusterQuery({ tableName, schema, types, precision, bbox = null, filters = {} }) {
+    const table = clickhouseService.quoteIdentifier(tableName);
+    const has = name => schema.some(col => col.name === name);
+    const { forType, params } = this.buildConditions({ schema, bbox, filters });
+
+    const branches = types.map((type, index) => {
+      const { lat, lng } = LOCATION_TYPES[type];
+      const columns = [
+        `geohashEncode(${lng}, ${lat}, {precision:UInt8}) AS __geohash`,
+        `${lat} AS __lat`,
+        `${lng} AS __lng`,
+        `'${type}' AS __type`,
+        has('total_work_hours') ? `${index === 0 ? 'toFloat64(total_work_hours)' : 'toFloat64(0)'} AS __hours` : null,
+        has('staff_id') ? 'staff_id AS __staff' : null
+      ].filter(Boolean);
+      return `SELECT ${columns.join(', ')} FROM ${table} WHERE ${forType(type).join(' AND ')}`;
+    });
+
+    const aggregates = [
+      ['geohash', '__geohash'],
+      ['point_count', 'count()'],
+      ['lat', 'avg(__lat)'],
+      ['lng', 'avg(__lng)'],
+      ['min_lat', 'min(__lat)'],
+      ['min_lng', 'min(__lng)'],
+      ['max_lat', 'max(__lat)'],
+      ['max_lng', 'max(__lng)'],
+      has('total_work_hours') ? ['total_hours', 'round(sum(__hours), 2)'] : null,
+      has('staff_id') ? ['staff_count', 'uniqExact(__staff)'] : null,
+      ...types.map(type => [`${type}_count`, `countIf(__type = '${type}')`])
+    ].filter(Boolean);
+
+    // Inner __ aliases keep output names (lat, lng) from shadowing the columns they aggregate
+    const query = [
+      `SELECT ${aggregates.map(([name, sql]) => `${sql} AS ${name}`).join(', ')}`,
+      `FROM (${branches.join(' UNION ALL ')})`,
+      'GROUP BY __geohash',
+      'ORDER BY point_count DESC',
+      'LIMIT {limit:UInt32}'
+    ].join(' ');
+
+    return { query, params: { ...params, precision }, columns: aggregates.map(([name]) => name) };
+  }
+
+  // Clustered map request from chat ({ type, zoom, bbox, filters }) compiled to SQL
+  // over a table the caller may read. `schema` is already narrowed to readable columns.
+  // Returns { query, params, columns, precision } or { error }.
+  compileClusterQuery(request = {}, { tableName, schema, limit = 500 }) {
+    const resolved = this.resolveTypes(request.type || 'checkin', schema);
+    if (resolved.error) {
+      return { error: `${tableName}: ${resolved.error}` };
+    }
+
+    try {
+      const zoom = request.zoom === null || request.zoom === undefined ? null : this.parseZoom(request.zoom);
+      const bbox = request.bbox ? this.parseBbox(request.bbox) : null;
+      const precision = this.precisionForZoom(zoom);
+      const built = this.buildClusterQuery({
+        tableName,
+        schema,
+        types: resolved.types,
+        precision,
+        bbox,
+        filters: request.filters || []
+      });
+
+      return { query: built.query, params: { ...built.params, limit }, columns: built.columns, precision };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Whether the request asked for GeoJSON (?format=geojson or Accept: application/geo+json)
+  wantsGeoJson(req) {
+    if (String(req.query.format || '').toLowerCase() === 'geojson') return true;
+    return String(req.get('Accept') || '').toLowerCase().includes(GEOJSON_TYPE);
+  }
+
+  // Rows with lat/lng columns as a GeoJSON FeatureCollection; every other column
+  // becomes a feature property. Rows without coordinates are skipped.
+  toFeatureCollection(rows, { lat = 'lat', lng = 'lng', metadata = {} } = {}) {
+    const features = [];
+    rows.forEach(row => {
+      const latitude = Number(row[lat]);
+      const longitude = Number(row[lng]);
+      if (row[lat] === null || row[lng] === null || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+      const properties = { ...row };
+      delete properties[lat];
+      delete properties[lng];
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+      });
+    });
+
+    return { type: 'FeatureCollection', features, ...metadata };
+  }
+
+  sendGeoJson(res, collection) {
+    res.type(GEOJSON_TYPE).send(JSON.stringify(collection));
+  }
+}
+
+module.exports = new GeoService();
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const clickhouseService = require('./clickhouse-service');
+const filterBuilder = require('./filter-builder');
+const geoService = require('./geo-service');
+
+const DEFAULT_GEOFENCE_PATH = path.join(__dirname, '..', 'config', 'geofence.json');
+
+// Columns the analysis reads from the worker table and the projects table
+const WORKER_COLUMNS = ['id', 'client_id', 'staff_id', 'staff_name', 'client_name', 'work_date'];
+const PROJECT_COLUMNS = ['project_id', 'client_id', 'project_name', 'latitude', 'longitude'];
+
+// Report -> card type it is drawn as by default
+const REPORTS = {
+  violations: 'map',
+  distribution: 'bar',
+  offenders: 'table',
+  summary: 'kpi'
+};
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+
+// Geofence compliance: how far each check-in/check-out was from its project.
+// Every point is measured (greatCircleDistance, meters) against the project it
+// was booked on (checkin_project_id/checkout_project_id) when that project has a
+// location, otherwise against the nearest located project of the same client.
+// A point further away than the project's radius is a violation. Points of
+// clients without located projects are not evaluated.
+//
+// config/geofence.json (or GEOFENCE_PATH):
+//   projectsTable           table with project_id, client_id, project_name, latitude, longitude
+//   defaultRadiusMeters     radius for projects without their own
+//   projects                project_id -> radius in meters
+//   repeatOffenderDays      violation days that make a staff member a repeat offender
+//   distanceBucketsMeters   upper bounds of the distribution buckets
+class GeofenceService {
+  constructor() {
+    this.geofencePath = process.env.GEOFENCE_PATH || DEFAULT_GEOFENCE_PATH;
+    this.config = this.loadConfig();
+  }
+
+  loadConfig() {
+    let config = {};
+    try {
+      config = JSON.parse(fs.readFileSync(this.geofencePath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Could not load geofence config ${this.geofencePath}:`, error.message);
+    }
+
+    const radii = {};
+    Object.entries(config.projects || {}).forEach(([projectId, radius]) => {
+      if (Number.isInteger(Number(projectId)) && Number(radius) > 0) {
+        radii[projectId] = Number(radius);
+      } else {
+        console.warn(`⚠️ Ignoring geofence radius ${radius} for project ${projectId}`);
+      }
+    });
+
+    return {
+      projectsTable: config.projectsTable || 'client_projects',
+      defaultRadiusMeters: Number(config.defaultRadiusMeters) > 0 ? Number(config.defaultRadiusMeters) : 200,
+      projects: radii,
+      repeatOffenderDays: Number.isInteger(config.repeatOffenderDays) && config.repeatOffenderDays > 0 ? config.repeatOffenderDays : 3,
+      distanceBucketsMeters: (config.distanceBucketsMeters || [50, 100, 200, 500, 1000, 5000])
+        .map(Number)
+        .filter(bound => bound > 0)
+        .sort((a, b) => a - b)
+    };
+  }
+
+  getReports() {
+    return Object.keys(REPORTS);
+  }
+
+  getDefaultCardType(report) {
+    return REPORTS[report];
+  }
+
+  // Radius per project as SQL over the project id column, from config.projects
+  radiusExpression(projectIdColumn, params, defaultRadius) {
+    params.geofence_default_radius = defaultRadius;
+    const projectIds = Object.keys(this.config.projects);
+    if (projectIds.length === 0) {
+      return '{geofence_default_radius:Float64}';
+    }
+
+    params.geofence_project_ids = projectIds.map(Number);
+    params.geofence_project_radii = projectIds.map(projectId => this.config.projects[projectId]);
+    return `transform(toInt64(${projectIdColumn}), {geofence_project_ids:Array(Int64)}, {geofence_project_radii:Array(Float64)}, {geofence_default_radius:Float64})`;
+  }
+
+  // One row per evaluated point:
+  //   staff_id, staff_name, client_name, work_date, location_type, lat, lng,
+  //   project_id, project_name, project_lat, project_lng, assigned (1 = booked project, 0 = nearest),
+  //   distance_m, radius_m, violation
+  // Returns { query, params }. Throws on bad filters or missing columns.
+  buildPointsQuery({ tableName, schema, projectSchema, types, filters = {}, radius = null }) {
+    const missing = WORKER_COLUMNS.find(name => !schema.some(col => col.name === name));
+    if (missing) {
+      throw new Error(`Geofence analysis needs ${tableName}.${missing}`);
+    }
+    const missingProject = PROJECT_COLUMNS.find(name => !projectSchema.some(col => col.name === name));
+    if (missingProject) {
+      throw new Error(`Geofence analysis needs ${this.config.projectsTable}.${missingProject}`);
+    }
+
+    const quote = name => clickhouseService.quoteIdentifier(name);
+    const built = filterBuilder.build(filters, schema, {
+      paramPrefix: 'geofence_filter',
+      quoteIdentifier: name => `d.${quote(name)}`
+    });
+    const params = { ...built.params };
+    const radiusSql = this.radiusExpression('p.project_id', params, radius || this.config.defaultRadiusMeters);
+    const located = projectSchema.some(col => col.name === 'has_location')
+      ? 'p.has_location = 1'
+      : 'p.latitude IS NOT NULL AND p.longitude IS NOT NULL';
+
+    // Each point joined to every located project of its client; __rank puts the
+    // booked project first and the others by distance
+    const branches = types.map(type => {
+      const { lat, lng, project } = geoService.getLocationColumns(type);
+      const assigned = schema.some(col => col.name === project) ? `d.${project}` : 'NULL';
+      const conditions = [`d.${lat} IS NOT NULL`, `d.${lng} IS NOT NULL`, located, ...built.conditions];
+      return [
+        `SELECT d.id AS __id, '${type}' AS __type, d.staff_id AS __staff_id, d.staff_name AS __staff_name,`,
+        ` d.client_name AS __client_name, d.work_date AS __work_date, d.${lat} AS __lat, d.${lng} AS __lng,`,
+        ` p.project_id AS __project_id, p.project_name AS __project_name, p.latitude AS __project_lat, p.longitude AS __project_lng,`,
+        ` greatCircleDistance(d.${lng}, d.${lat}, p.longitude, p.latitude) AS __distance,`,
+        ` if(p.project_id = ${assigned}, -1, __distance) AS __rank,`,
+        ` ${radiusSql} AS __radius`,
+        ` FROM ${quote(tableName)} AS d INNER JOIN ${quote(this.config.projectsTable)} AS p ON p.client_id = d.client_id`,
+        ` WHERE ${conditions.join(' AND ')}`
+      ].join('');
+    });
+
+    const query = [
+      'SELECT any(__staff_id) AS staff_id, any(__staff_name) AS staff_name, any(__client_name) AS client_name,',
+      ' any(__work_date) AS work_date, __type AS location_type, any(__lat) AS lat, any(__lng) AS lng,',
+      ' argMin(__project_id, __rank) AS project_id, argMin(__project_name, __rank) AS project_name,',
+      ' argMin(__project_lat, __rank) AS project_lat, argMin(__project_lng, __rank) AS project_lng,',
+      ' min(__rank) < 0 AS assigned, round(argMin(__distance, __rank), 1) AS distance_m,',
+      ' argMin(__radius, __rank) AS radius_m, distance_m > radius_m AS violation',
+      ` FROM (${branches.join(' UNION ALL ')})`,
+      ' GROUP BY __id, __type'
+    ].join('');
+
+    return { query, params };
+  }
+
+  // SQL for a report over the points query. Returns { query, params }.
+  //   violations    points outside their radius, furthest over first (table/map)
+  //   distribution  points and violations per distance bucket (bar)
+  //   offenders     staff with at least `minDays` violation days (table)
+  //   summary       one row of totals (KPI)
+  // Throws on bad filters or missing columns.
+  buildReportQuery(report, { tableName, schema, projectSchema, type = 'both', filters = {}, radius = null, minDays = null, limit = DEFAULT_LIMIT }) {
+    if (!REPORTS[report]) {
+      throw new Error(`Unknown geofence report "${report}". Use one of: ${this.getReports().join(', ')}`);
+    }
+    const resolved = geoService.resolveTypes(type, schema);
+    if (resolved.error) {
+      throw new Error(resolved.error);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    if (radius !== null && !(radius > 0)) {
+      throw new Error('radius must be a positive number of meters');
+    }
+    if (minDays !== null && !(Number.isInteger(minDays) && minDays > 0)) {
+      throw new Error('minDays must be a positive integer');
+    }
+
+    const points = this.buildPointsQuery({ tableName, schema, projectSchema, types: resolved.types, filters, radius });
+    const params = { ...points.params, limit, geofence_min_days: minDays || this.config.repeatOffenderDays };
+
+    let query;
+    switch (report) {
+      case 'violations':
+        query = [
+          // excess_m first among the measures: it is what a map card sizes points by
+          'SELECT staff_name, client_name, work_date, location_type, lat, lng, round(distance_m - radius_m, 1) AS excess_m,',
+          ' distance_m, radius_m, project_name, project_id, assigned, staff_id',
+          ` FROM (${points.query}) WHERE violation`,
+          ' ORDER BY excess_m DESC LIMIT {limit:UInt32}'
+        ].join('');
+        break;
+
+      case 'distribution':
+        query = [
+          `SELECT ${this.bucketExpression('distance_m')} AS distance_bucket, count() AS points, countIf(violation) AS violations`,
+          ` FROM (${points.query})`,
+          ' GROUP BY distance_bucket ORDER BY min(distance_m)'
+        ].join('');
+        break;
+
+      case 'offenders':
+        query = [
+          'SELECT staff_id, any(staff_name) AS staff_name, any(client_name) AS client_name,',
+          ' uniqExactIf(work_date, violation) AS violation_days, countIf(violation) AS violations, count() AS checks,',
+          ' round(violations / checks * 100, 1) AS violation_rate, round(avgIf(distance_m, violation), 1) AS avg_violation_distance_m,',
+          ' max(distance_m) AS max_distance_m, maxIf(work_date, violation) AS last_violation_date',
+          ` FROM (${points.query})`,
+          ' GROUP BY staff_id HAVING violation_days >= {geofence_min_days:UInt32}',
+          ' ORDER BY violation_days DESC, violations DESC LIMIT {limit:UInt32}'
+        ].join('');
+        break;
+
+      case 'summary':
+        // Per staff first, so repeat offenders can be counted in the same pass
+        query = [
+          'SELECT sum(__checks) AS checks, sum(__violations) AS violations,',
+          ' if(checks = 0, 0, round(violations / checks * 100, 1)) AS violation_rate,',
+          ' countIf(__violations > 0) AS staff_with_violations,',
+          ' countIf(__violation_days >= {geofence_min_days:UInt32}) AS repeat_offenders,',
+          ' round(quantileMerge(0.5)(__median), 1) AS median_distance_m,',
+          ' round(quantileMerge(0.9)(__p90), 1) AS p90_distance_m',
+          ' FROM (SELECT staff_id, count() AS __checks, countIf(violation) AS __violations,',
+          ' uniqExactIf(work_date, violation) AS __violation_days,',
+          ' quantileState(0.5)(distance_m) AS __median, quantileState(0.9)(distance_m) AS __p90',
+          ` FROM (${points.query}) GROUP BY staff_id)`
+        ].join('');
+        break;
+    }
+
+    return { query, params };
+  }
+
+  // multiIf over the configured bucket bounds: '0-50 m', '50-100 m', '500 m-1 km', ..., '> 20 km'
+  bucketExpression(column) {
+    const bounds = this.config.distanceBucketsMeters;
+    const unit = meters => (meters >= 1000 ? 'km' : 'm');
+    const amount = meters => (meters >= 1000 ? meters / 1000 : meters);
+    const format = meters => `${amount(meters)} ${unit(meters)}`;
+    const range = (from, to) => (unit(from) === unit(to) || from === 0
+      ? `${from === 0 ? 0 : amount(from)}-${format(to)}`
+      : `${format(from)}-${format(to)}`);
+    const branches = bounds.map((bound, index) => `${column} <= ${bound}, '${range(index === 0 ? 0 : bounds[index - 1], bound)}'`);
+    const last = bounds.length > 0 ? `> ${format(bounds[bounds.length - 1])}` : 'all';
+    return branches.length > 0 ? `multiIf(${branches.join(', ')}, '${last}')` : `'${last}'`;
+  }
+}
+
+module.exports = new GeofenceService();
@@ -0,0 +1,282 @@
+const { z } = require('zod');
+const filterBuilder = require('./filter-builder');
+const llmProvider = require('./llm-provider');
+
+// Counts and ordinals ("top 3", "2 outliers") need not come from the data
+const FREE_NUMBER_LIMIT = 10;
+const OUTLIER_Z_SCORE = 2;
+const MIN_ROWS_FOR_OUTLIERS = 5;
+const NUMBER_PATTERN = /\d[\d,]*(?:\.\d+)?/g;
+
+// Short narrative answers for chat results. The model sees a digest of the result
+// (per-column stats, trend, outliers and up to insights.maxRows rows) instead of the
+// full rows, and every number it writes must appear in that digest or the question.
+// When the model is unavailable or keeps citing numbers it was not given, the
+// answer is written from the digest directly.
+class InsightService {
+  getInstructions() {
+    return `You summarize query results for workforce analytics dashboards.
+
+Given the user's question and a digest of the result, answer the question in one to three sentences.
+- Cite actual numbers from the digest (values, totals, averages, changes); never estimate or invent numbers
+- Mention the trend direction when the digest has one, and name outliers when there are any
+- Put up to three short supporting observations in highlights
+- If the result is empty, say so and explain the likely reason in emptyReason (the digest includes a guess based on the filters)
+- Use plain language and the column labels as the user would say them
+
+Use the write_insight tool to return the summary.`;
+  }
+
+  // { answer, highlights, emptyReason, source: 'llm' | 'digest', generationTimeMs }
+  async summarize({ message, cardType, query, rows, columns, encoding }) {
+    const startTime = Date.now();
+    const digest = this.buildDigest({ query, rows, columns, encoding });
+
+    try {
+      const { toolResult } = await llmProvider.callTool({
+        role: 'summarizer',
+        name: 'Result Summarizer',
+        instructions: this.getInstructions(),
+        prompt: `USER QUESTION: "${message}"
+CARD TYPE: ${cardType}
+QUERY: ${query}
+
+RESULT DIGEST:
+${JSON.stringify(digest, null, 2)}
+
+Use the write_insight tool to answer the question from this result.`,
+        input: message,
+        tool: this.createInsightTool(digest, message)
+      });
+
+      if (toolResult) {
+        return { ...toolResult, source: 'llm', generationTimeMs: Date.now() - startTime };
+      }
+      console.warn('⚠️ Summarizer returned no insight, using the result digest');
+    } catch (error) {
+      console.warn('⚠️ Summarizer failed, using the result digest:', error.message);
+    }
+
+    return { ...this.describeDigest(digest), source: 'digest', generationTimeMs: Date.now() - startTime };
+  }
+
+  createInsightTool(digest, message) {
+    return {
+      name: 'write_insight',
+      description: 'Return a short answer to the user question based on the query result',
+      parameters: z.object({
+        answer: z.string().describe('One to three sentences answering the question with numbers from the result'),
+        highlights: z.array(z.string()).describe('Up to three short observations (outliers, trend, notable values)'),
+        emptyReason: z.string().nullable().describe('Likely reason the result is empty, null when it has rows')
+      }),
+      execute: async (input) => {
+        const highlights = input.highlights.slice(0, 3);
+        const text = [input.answer, ...highlights].join(' ');
+
+        if (digest.rowCount > 0 && !/\d/.test(input.answer)) {
+          throw new Error('The answer must cite at least one number from the result digest');
+        }
+
+        const uncited = this.findUncitedNumbers(text, digest, message);
+        if (uncited.length > 0) {
+          throw new Error(`These numbers do not appear in the result digest: ${uncited.join(', ')}. Only cite numbers from the digest.`);
+        }
+
+        return {
+          answer: input.answer,
+          highlights,
+          emptyReason: digest.rowCount === 0 ? (input.emptyReason || digest.emptyReason) : null
+        };
+      }
+    };
+  }
+
+  // Stats the summary is built from: per-measure min/max/sum/avg, the trend along
+  // the x axis, outliers (|z| >= 2) and the first insights.maxRows rows
+  buildDigest({ query, rows, columns, encoding = {} }) {
+    const maxRows = llmProvider.insights.maxRows;
+    const digest = {
+      rowCount: rows.length,
+      columns: columns.map(col => col.name),
+      rows: rows.slice(0, maxRows),
+      truncated: rows.length > maxRows,
+      stats: {},
+      trend: null,
+      outliers: [],
+      emptyReason: null
+    };
+
+    if (rows.length === 0) {
+      digest.emptyReason = this.guessEmptyReason(query);
+      return digest;
+    }
+
+    const labelColumn = encoding.x || (columns.find(col => filterBuilder.columnKind(col.type) !== 'numeric') || {}).name;
+    const measures = columns.filter(col => filterBuilder.columnKind(col.type) === 'numeric' && col.name !== labelColumn);
+
+    measures.forEach(col => {
+      const points = rows
+        .map(row => ({ label: labelColumn ? row[labelColumn] : null, value: this.toNumber(row[col.name]) }))
+        .filter(point => point.value !== null);
+      if (points.length === 0) return;
+
+      const values = points.map(point => point.value);
+      const sum = values.reduce((total, value) => total + value, 0);
+      const avg = sum / values.length;
+      const min = points.reduce((best, point) => (point.value < best.value ? point : best));
+      const max = points.reduce((best, point) => (point.value > best.value ? point : best));
+
+      digest.stats[col.name] = {
+        min: this.round(min.value),
+        minAt: min.label,
+        max: this.round(max.value),
+        maxAt: max.label,
+        sum: this.round(sum),
+        avg: this.round(avg)
+      };
+
+      if (points.length >= MIN_ROWS_FOR_OUTLIERS) {
+        const stddev = Math.sqrt(values.reduce((total, value) => total + (value - avg) ** 2, 0) / values.length);
+        if (stddev > 0) {
+          points.forEach(point => {
+            const zScore = (point.value - avg) / stddev;
+            if (Math.abs(zScore) >= OUTLIER_Z_SCORE) {
+              digest.outliers.push({ column: col.name, label: point.label, value: this.round(point.value), zScore: this.round(zScore) });
+            }
+          });
+        }
+      }
+    });
+
+    const labelType = (columns.find(col => col.name === labelColumn) || {}).type;
+    const yColumn = encoding.y || (measures[0] && measures[0].name);
+    if (labelColumn && yColumn && ['date', 'numeric'].includes(filterBuilder.columnKind(labelType)) && rows.length > 1) {
+      digest.trend = this.describeTrend(rows, labelColumn, yColumn);
+    }
+
+    return digest;
+  }
+
+  // Direction of `yColumn` from the earliest to the latest `xColumn` value
+  describeTrend(rows, xColumn, yColumn) {
+    const points = rows
+      .map(row => ({ x: row[xColumn], y: this.toNumber(row[yColumn]) }))
+      .filter(point => point.y !== null && point.x !== null)
+      .sort((a, b) => (a.x < b.x ? -1 : a.x > b.x ? 1 : 0));
+    if (points.length < 2) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const changePct = first.y !== 0 ? this.round(((last.y - first.y) / Math.abs(first.y)) * 100) : null;
+    let direction = 'flat';
+    if (last.y > first.y) direction = 'up';
+    else if (last.y < first.y) direction = 'down';
+
+    return {
+      column: yColumn,
+      direction,
+      from: { [xColumn]: first.x, value: this.round(first.y) },
+      to: { [xColumn]: last.x, value: this.round(last.y) },
+      changePct
+    };
+  }
+
+  // Likely reason a query matched nothing, from its WHERE clause
+  guessEmptyReason(query = '') {
+    const where = String(query).match(/\bWHERE\b([\s\S]*?)(?:\bGROUP\s+BY\b|\bHAVING\b|\bORDER\s+BY\b|\bLIMIT\b|$)/i);
+    if (!where) {
+      return 'The table has no rows the query could read.';
+    }
+
+    const conditions = where[1].trim();
+    if (/\b(today|yesterday|now|toMonday|toStartOf\w*|addDays|addWeeks|addMonths|addYears|toYYYYMM|toYear|toQuarter)\s*\(|\bINTERVAL\b|'\d{4}-\d{2}-\d{2}/i.test(conditions)) {
+      return 'The date filter likely excluded everything: there may be no data for that period yet.';
+    }
+
+    const literal = conditions.match(/([\w.]+)\s*=\s*'([^']*)'/);
+    if (literal) {
+      return `No rows have ${literal[1]} = '${literal[2]}'; the value may be spelled differently in the data.`;
+    }
+
+    return 'No rows matched the filters in the query.';
+  }
+
+  // Numbers in `text` that cannot be traced to the digest or the user's question
+  findUncitedNumbers(text, digest, message) {
+    const allowed = new Set();
+    const collect = (value) => {
+      if (value === null || value === undefined) return;
+      if (typeof value === 'number') {
+        allowed.add(Math.abs(value));
+        allowed.add(Math.abs(value * 100)); // Ratios cited as percentages
+        return;
+      }
+      if (typeof value === 'string') {
+        (value.match(NUMBER_PATTERN) || []).forEach(number => collect(Number(number.replace(/,/g, ''))));
+        return;
+      }
+      Object.values(value).forEach(collect);
+    };
+    collect(digest);
+    collect(String(message || ''));
+
+    const cited = (text.match(NUMBER_PATTERN) || []).map(number => number.replace(/,/g, ''));
+    return cited.filter(number => {
+      const value = Number(number);
+      if (Number.isInteger(value) && value <= FREE_NUMBER_LIMIT) return false;
+
+      // Accept rounding to the precision the number was written with, or to 0.5%
+      const decimals = (number.split('.')[1] || '').length;
+      const tolerance = 0.5 * 10 ** -decimals;
+      return !Array.from(allowed).some(candidate =>
+        Math.abs(candidate - value) <= Math.max(tolerance, candidate * 0.005)
+      );
+    });
+  }
+
+  // Answer written straight from the digest (no model)
+  describeDigest(digest) {
+    if (digest.rowCount === 0) {
+      return { answer: `The query returned no rows. ${digest.emptyReason}`, highlights: [], emptyReason: digest.emptyReason };
+    }
+
+    const highlights = [];
+    const sentences = [`The result has ${this.format(digest.rowCount)} row${digest.rowCount === 1 ? '' : 's'}.`];
+
+    const [column, stats] = Object.entries(digest.stats)[0] || [];
+    if (column && digest.rowCount === 1) {
+      sentences.push(`${column} is ${this.format(stats.max)}.`);
+    } else if (column) {
+      const at = label => (label !== null && label !== undefined ? ` (${label})` : '');
+      sentences.push(`${column} ranges from ${this.format(stats.min)}${at(stats.minAt)} to ${this.format(stats.max)}${at(stats.maxAt)}, ` +
+        `averaging ${this.format(stats.avg)} with a total of ${this.format(stats.sum)}.`);
+    }
+
+    if (digest.trend && digest.trend.direction !== 'flat') {
+      const change = digest.trend.changePct !== null ? ` (${digest.trend.changePct > 0 ? '+' : ''}${this.format(digest.trend.changePct)}%)` : '';
+      highlights.push(`${digest.trend.column} trends ${digest.trend.direction} from ${this.format(digest.trend.from.value)} to ${this.format(digest.trend.to.value)}${change}`);
+    }
+    digest.outliers.slice(0, 2).forEach(outlier => {
+      highlights.push(`${outlier.label !== null ? outlier.label : 'One row'} stands out on ${outlier.column} with ${this.format(outlier.value)}`);
+    });
+
+    return { answer: sentences.join(' '), highlights, emptyReason: null };
+  }
+
+  // Result values arrive as numbers or, for 64-bit and decimal types, strings
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  format(value) {
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+}
+
+module.exports = new InsightService();
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const { Agent, Runner, OpenAIProvider, tool } = require('@openai/agents');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'config', 'llm.json');
+
+// OpenAI and OpenAI-compatible endpoints (Ollama, vLLM, ...) through the Agents SDK.
+// The SDK runs the tool loop: a tool that throws is reported back to the model,
+// which gets another turn to fix its call.
+class AgentsAdapter {
+  constructor(settings) {
+    this.compatible = settings.type === 'openai-compatible';
+    this.runner = new Runner({
+      modelProvider: new OpenAIProvider({
+        apiKey: settings.apiKey || (this.compatible ? 'not-needed' : undefined),
+        baseURL: settings.baseURL || undefined,
+        // Most local servers only implement Chat Completions
+        useResponses: !this.compatible
+      }),
+      // Traces go to the OpenAI platform, which compatible deployments may not reach
+      tracingDisabled: this.compatible || settings.tracing === false
+    });
+  }
+
+  async callTool({ name, instructions, prompt, tool: toolDef, model }) {
+    const agent = new Agent({
+      name,
+      instructions,
+      model,
+      tools: [tool(toolDef)]
+    });
+
+    const result = await this.runner.run(agent, prompt);
+    return { text: typeof result.finalOutput === 'string' ? result.finalOutput : '' };
+  }
+}
+
+// Deterministic offline provider: answers each tool call from a fixtures file.
+// Fixtures are tried in order; `match` is a case-insensitive substring and
+// `pattern` a case-insensitive regular expression, both tested against the user
+// request. Without a match, `defaults[toolName]` is used.
+class FakeAdapter {
+  constructor(settings) {
+    this.fixturesPath = path.resolve(ROOT_DIR, settings.fixturesPath || 'config/llm-fixtures.json');
+    const fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+    this.fixtures = fixtures.fixtures || [];
+    this.defaults = fixtures.defaults || {};
+  }
+
+  findFixture(toolName, input) {
+    const text = String(input || '');
+    const fixture = this.fixtures.find(entry => {
+      if (entry.tool && entry.tool !== toolName) return false;
+      if (entry.match) return text.toLowerCase().includes(entry.match.toLowerCase());
+      if (entry.pattern) return new RegExp(entry.pattern, 'i').test(text);
+      return false;
+    });
+
+    if (fixture) return fixture.arguments;
+    return this.defaults[toolName] || null;
+  }
+
+  async callTool({ prompt, input, tool: toolDef }) {
+    const args = this.findFixture(toolDef.name, input !== undefined ? input : prompt);
+    if (!args) {
+      throw new Error(`No fake LLM fixture for ${toolDef.name} in ${this.fixturesPath}`);
+    }
+
+    // Same schema check and tool logic as a real model call, but no retry on failure
+    const output = await toolDef.execute(toolDef.parameters.parse(args));
+    return { text: JSON.stringify(output) };
+  }
+}
+
+const ADAPTERS = {
+  'openai': AgentsAdapter,
+  'openai-compatible': AgentsAdapter,
+  'fake': FakeAdapter
+};
+
+// LLM provider used by the chat pipeline. config/llm.json (or LLM_CONFIG_PATH)
+// lists the configured providers; `provider` picks one per deployment.
+// Environment overrides:
+//   LLM_PROVIDER   provider name from the config (e.g. openai, ollama, fake)
+//   LLM_MODEL      model name for every role
+//   LLM_BASE_URL   base URL of an OpenAI-compatible endpoint
+//   LLM_CORRECTION_ROUNDS   maximum repair rounds after a failed query (correction.maxRounds)
+//   LLM_INSIGHTS   "false" turns off result summaries by default (insights.enabled)
+// A provider entry may set `models: { generator, corrector, summarizer }` to use a
+// different model per agent role.
+class LLMProvider {
+  constructor() {
+    this.configPath = process.env.LLM_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+    const config = this.loadConfig();
+    this.settings = this.loadSettings(config);
+    this.correction = this.loadCorrectionSettings(config);
+    this.insights = this.loadInsightSettings(config);
+    this.adapter = null;
+  }
+
+  loadConfig() {
+    try {
+      return JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Could not load LLM config ${this.configPath}:`, error.message);
+      return {};
+    }
+  }
+
+  // Correction loop settings for the chat pipeline
+  loadCorrectionSettings(config) {
+    const correction = config.correction || {};
+    const rounds = parseInt(process.env.LLM_CORRECTION_ROUNDS || correction.maxRounds, 10);
+    return {
+      maxRounds: Number.isInteger(rounds) && rounds >= 0 ? rounds : 1
+    };
+  }
+
+  // Result summary settings (see insight-service.js)
+  loadInsightSettings(config) {
+    const insights = config.insights || {};
+    const maxRows = parseInt(insights.maxRows, 10);
+    return {
+      enabled: process.env.LLM_INSIGHTS ? process.env.LLM_INSIGHTS !== 'false' : insights.enabled !== false,
+      maxRows: Number.isInteger(maxRows) && maxRows > 0 ? maxRows : 50
+    };
+  }
+
+  loadSettings(config) {
+    const name = process.env.LLM_PROVIDER || config.provider || 'openai';
+    const entry = (config.providers || {})[name] || {};
+    const type = entry.type || name;
+
+    return {
+      ...entry,
+      name,
+      type,
+      model: process.env.LLM_MODEL || entry.model || undefined,
+      models: process.env.LLM_MODEL ? {} : (entry.models || {}),
+      baseURL: process.env.LLM_BASE_URL || entry.baseURL || undefined,
+      apiKey: entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : undefined
+    };
+  }
+
+  // Created on first use so a missing fixtures file or key only fails chat requests
+  getAdapter() {
+    if (!this.adapter) {
+      if (!ADAPTERS[this.settings.type]) {
+        throw new Error(`Unknown LLM provider type "${this.settings.type}" (provider "${this.settings.name}")`);
+      }
+      const Adapter = ADAPTERS[this.settings.type];
+      this.adapter = new Adapter(this.settings);
+      console.log(`🤖 LLM provider: ${this.settings.name} (${this.settings.type}${this.settings.model ? `, ${this.settings.model}` : ''})`);
+    }
+    return this.adapter;
+  }
+
+  // Provider summary for /api/health
+  describe() {
+    return {
+      provider: this.settings.name,
+      type: this.settings.type,
+      model: this.settings.model || null
+    };
+  }
+
+  // Ask the model for one call of `tool` ({ name, description, parameters, execute }).
+  // `role` picks the model (generator/corrector), `input` is what fake fixtures match on.
+  // Returns { toolResult, text }: toolResult is the output of the last successful
+  // tool execution (null if the model never produced one), text the final reply.
+  async callTool({ role, name, instructions, prompt, input, tool: toolDef }) {
+    let toolResult = null;
+    const tracked = {
+      ...toolDef,
+      execute: async (args) => {
+        const output = await toolDef.execute(args);
+        toolResult = output;
+        return output;
+      }
+    };
+
+    const { text } = await this.getAdapter().callTool({
+      name,
+      instructions,
+      prompt,
+      input,
+      tool: tracked,
+      model: this.settings.models[role] || this.settings.model
+    });
+
+    return { toolResult, text };
+  }
+}
+
+module.exports = new LLMProvider();
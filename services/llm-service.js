@@ -1,80 +1,27 @@
-const { Agent, run, tool } = require('@openai/agents');
 const { z } = require('zod');
 const clickhouseService = require('./clickhouse-service');
-
+const authService = require('./auth-service');
+const sqlValidator = require('./sql-validator');
+const sqlAnalyzer = require('./sql-analyzer');
+const schemaCatalog = require('./schema-catalog');
+const llmProvider = require('./llm-provider');
+const dataPolicy = require('./data-policy');
+const queryRepair = require('./query-repair');
+const queryLimits = require('./query-limits');
+const resultShape = require('./result-shape');
+const metricsLayer = require('./metrics-layer');
+const geoService = require('./geo-service');
+const queryCache = require('./query-cache');
+
+// Query generation and correction agents. The model behind them comes from
+// llm-provider.js (OpenAI, an OpenAI-compatible server or the offline fake).
 class LLMService {
-  constructor() {
-    this.tableSchema = {
-      'daily_worker_summary': {
-        name: 'daily_worker_summary',
-        description: 'Daily worker summary containing workforce analytics data',
-        columns: [
-          { name: 'id', type: 'UInt64', description: 'Unique record ID' },
-          { name: 'client_id', type: 'UInt32', description: 'Client ID - optimized for compression' },
-          { name: 'staff_id', type: 'UInt32', description: 'Staff ID - optimized for compression' },
-          { name: 'client_name', type: 'LowCardinality(String)', description: 'Client name with dictionary encoding' },
-          { name: 'staff_name', type: 'LowCardinality(String)', description: 'Staff name with dictionary encoding' },
-          { name: 'work_date', type: 'Date', description: 'Work date - primary time dimension' },
-          { name: 'checkin_time', type: 'Nullable(DateTime)', description: 'Check-in timestamp' },
-          { name: 'checkout_time', type: 'Nullable(DateTime)', description: 'Check-out timestamp' },
-          { name: 'checkin_lat', type: 'Nullable(Float64)', description: 'Check-in latitude coordinate' },
-          { name: 'checkin_lng', type: 'Nullable(Float64)', description: 'Check-in longitude coordinate' },
-          { name: 'checkout_lat', type: 'Nullable(Float64)', description: 'Check-out latitude coordinate' },
-          { name: 'checkout_lng', type: 'Nullable(Float64)', description: 'Check-out longitude coordinate' },
-          { name: 'checkin_project_id', type: 'Nullable(Int32)', description: 'Check-in project ID (NULL or -1 = outside project location)' },
-          { name: 'checkout_project_id', type: 'Nullable(Int32)', description: 'Check-out project ID (NULL or -1 = outside project location)' },
-          { name: 'total_work_hours', type: 'Decimal(9, 2)', description: 'Total work hours with 2 decimal precision' },
-          { name: 'total_break_hours', type: 'Decimal(9, 2)', description: 'Total break hours' },
-          { name: 'overtime_hours', type: 'Decimal(9, 2)', description: 'Overtime hours' },
-          { name: 'leave_type', type: 'LowCardinality(Nullable(String))', description: 'Leave type if absent. Exact values: NULL (present/no record), "comp_off", "off_day", "sick_leave", "unpaid_leave"' },
-          { name: 'is_present', type: 'UInt8', description: 'Attendance flag (1=present, 0=absent)' },
-          { name: 'has_overtime', type: 'UInt8', description: 'Overtime flag (1=has overtime, 0=no overtime)' },
-          { name: 'effective_work_hours', type: 'Decimal(9, 2)', description: 'Net productive hours (total_work_hours - total_break_hours)' },
-          { name: 'attendance_score', type: 'Float32', description: 'Attendance performance score' },
-          { name: 'created_at', type: 'DateTime', description: 'Record creation timestamp' }
-        ]
-      },
-      'client_projects': {
-        name: 'client_projects',
-        description: 'Client projects with location and metadata information',
-        columns: [
-          { name: 'project_id', type: 'UInt32', description: 'Unique project identifier' },
-          { name: 'client_id', type: 'UInt32', description: 'Client ID that owns this project' },
-          { name: 'project_name', type: 'LowCardinality(String)', description: 'Short project name for display' },
-          { name: 'project_code', type: 'LowCardinality(Nullable(String))', description: 'Project code/abbreviation for reference' },
-          { name: 'project_full_name', type: 'String', description: 'Complete project name with full details' },
-          { name: 'latitude', type: 'Nullable(Float64)', description: 'Project location latitude coordinate' },
-          { name: 'longitude', type: 'Nullable(Float64)', description: 'Project location longitude coordinate' },
-          { name: 'is_active', type: 'UInt8', description: 'Project active status (1=active, 0=inactive)' },
-          { name: 'created_at', type: 'DateTime', description: 'Record creation timestamp' },
-          { name: 'updated_at', type: 'DateTime', description: 'Last update timestamp' },
-          { name: 'has_location', type: 'UInt8', description: 'Whether project has GPS coordinates (1=has location, 0=no location)' },
-          { name: 'location_string', type: 'String', description: 'Formatted location string for display' }
-        ]
-      }
-    };
-
-    // Initialize the query generation agent
-    this.queryAgent = new Agent({
-      name: 'ClickHouse Query Generator',
-      instructions: this.getAgentInstructions(),
-      tools: [this.createQueryGeneratorTool()]
-    });
-
-    // Initialize the query correction agent for handling ClickHouse errors
-    this.correctionAgent = new Agent({
-      name: 'ClickHouse Query Error Corrector',
-      instructions: this.getCorrectionAgentInstructions(),
-      tools: [this.createQueryCorrectorTool()]
-    });
-  }
-
   getAgentInstructions() {
     return `You are a ClickHouse SQL query generator for workforce analytics dashboards. Your job is to convert natural language requests into optimized ClickHouse SQL queries.
 
 CRITICAL RULES:
 1. ONLY generate SELECT statements - no other SQL commands
-2. ALWAYS use the table name "daily_worker_summary"
+2. ONLY use the tables listed under AVAILABLE TABLES in the request, starting from the primary table
 3. Return ONLY the SQL query without any markdown formatting, explanations, or additional text
 4. Generate queries appropriate for the specified card type
 5. Use proper ClickHouse functions and syntax
@@ -90,6 +37,9 @@ CRITICAL RULES:
 15. If asked about non-existent fields, use the closest matching existing column
 16. NEVER use implicit column aliases (like COUNT(*) days_present) - use explicit AS or no alias
 17. CRITICAL: Each SELECT item must be properly separated by commas with NO extra text
+18. When the request includes CONVERSATION SO FAR, treat the new message as a follow-up: edit the most recent successful query (add or change filters, grouping, columns) instead of starting over, unless the user clearly asks for something unrelated
+19. When the request lists METRICS and the user asks for one of them (attendance rate, effective hours, outside-project check-ins, ...), set metricQuery to the metrics, dimensions, segments and filters you need and leave query null. Write raw SQL only when no metric fits, and then reuse the metric's exact expression for any metric you include
+20. For map cards over many points or a wide area ("where do people check in", "hotspots", "density"), set clusterQuery instead of writing SQL: it groups locations into geohash clusters with point_count, total_hours and staff_count per cluster. Leave query null when you use it
 
 CARD TYPE GUIDELINES:
 
@@ -114,6 +64,7 @@ MAP CARD:
 - Group by coordinates when aggregating multiple records at same location
 - Handle NULL coordinates gracefully with WHERE clauses
 - NEVER rename coordinate columns - use checkin_lat, checkin_lng, checkout_lat, checkout_lng as-is
+- For clustered maps use clusterQuery (not SQL); its lat/lng are cluster centroids
 
 KPI CARD:
 - Return SINGLE aggregate value (one row, one column)
@@ -123,7 +74,7 @@ KPI CARD:
 - MUST use human-readable column aliases with AS keyword for KPI display
 - Column name becomes the KPI title, value becomes the KPI value
 - Use natural language titles that end users can understand
-- Examples: "COUNT(*) AS Staff with Poor Attendance", "AVG(attendance_score) AS Average Attendance Rate"
+- Examples: "COUNT(*) AS Staff with Poor Attendance", "COUNT(DISTINCT staff_id) AS Staff Working Today"
 - For "unpaid regularly" queries: use subquery pattern for single result
 
 COMMON PATTERNS:
@@ -136,7 +87,7 @@ COMMON PATTERNS:
 - For client analysis: GROUP BY client_name, client_id
 - For attendance: Use is_present, leave_type
 - For time analysis: Use total_work_hours, overtime_hours, effective_work_hours
-- For project location tracking: Use checkin_project_id, checkout_project_id (NULL or -1 = outside project)
+- For project location tracking: Use the at_project / outside_project segments from METRICS
 - For project analysis: JOIN with client_projects table on project_id
 - For location-based queries: Use latitude/longitude from both tables
 
@@ -167,18 +118,15 @@ DATE-BASED FILTERING (CRITICAL - EXACT SYNTAX):
 - For "yesterday": WHERE work_date = yesterday()
 - For "today": WHERE work_date = today()
 
-CRITICAL LIMITATIONS - NO FINANCIAL DATA:
-- NO earnings, payment, salary, wage, or financial data exists in this schema
-- NO payment history, financial records, or compensation data
-- This is ONLY workforce attendance and time tracking data
+DATA AVAILABILITY:
+- AVAILABLE TABLES lists every table and column you may use; anything else is withheld by data policy or does not exist
+- If the request needs data that is not listed, do not invent columns or substitute unrelated ones
 
 HANDLING "PAID/UNPAID" QUERIES:
 - If user asks about "unpaid" in workforce context, interpret as attendance issues:
   * "unpaid staff" = staff with low work hours or poor attendance
   * "people who have gone unpaid" = people not working regularly
   * Use is_present, total_work_hours, attendance_score columns
-- Never generate queries with financial columns (Payment, Salary, Wage, Pay, Earnings, Cost, Price, Amount)
-- For actual payment queries (salary, wage), explain financial data is not available
 
 EXAMPLE QUERIES:
 - "Show total hours by staff" → SELECT staff_name, SUM(total_work_hours) FROM daily_worker_summary GROUP BY staff_name ORDER BY SUM(total_work_hours) DESC LIMIT 20
@@ -187,22 +135,23 @@ EXAMPLE QUERIES:
 - "Current month data" → SELECT COUNT(*) FROM daily_worker_summary WHERE toYYYYMM(work_date) = toYYYYMM(today())
 - "How many staff worked last month" → SELECT COUNT(DISTINCT staff_id) FROM daily_worker_summary WHERE toYYYYMM(work_date) = toYYYYMM(addMonths(today(), -1))
 - "Staff count this month" → SELECT COUNT(DISTINCT staff_id) FROM daily_worker_summary WHERE toYYYYMM(work_date) = toYYYYMM(today())
-- "Attendance rate KPI" → SELECT AVG(is_present) * 100 FROM daily_worker_summary
+- "Attendance rate KPI" → metricQuery { metrics: ["attendance_rate"] }
+- "Monthly attendance rate by client" → metricQuery { metrics: ["attendance_rate"], dimensions: ["date", "client"], timeGrain: "month" }
 - "Top 10 staff by check-in times" → SELECT staff_name, AVG(toHour(checkin_time)) FROM daily_worker_summary WHERE checkin_time IS NOT NULL GROUP BY staff_name ORDER BY AVG(toHour(checkin_time)) ASC LIMIT 10
 - "Earliest check-in times" → SELECT staff_name, MIN(checkin_time) FROM daily_worker_summary WHERE checkin_time IS NOT NULL GROUP BY staff_name ORDER BY MIN(checkin_time) ASC LIMIT 10
 - "Check-in locations map" → SELECT checkin_lat, checkin_lng, staff_name, client_name, total_work_hours FROM daily_worker_summary WHERE checkin_lat IS NOT NULL AND checkin_lng IS NOT NULL LIMIT 100
 - "Work sites by hours" → SELECT checkin_lat, checkin_lng, SUM(total_work_hours) FROM daily_worker_summary WHERE checkin_lat IS NOT NULL GROUP BY checkin_lat, checkin_lng ORDER BY SUM(total_work_hours) DESC LIMIT 50
-- "People present at projects" → SELECT COUNT(*) FROM daily_worker_summary WHERE checkin_project_id IS NOT NULL AND checkin_project_id != -1 AND is_present = 1
-- "People outside project locations" → SELECT COUNT(*) FROM daily_worker_summary WHERE (checkin_project_id IS NULL OR checkin_project_id = -1) AND is_present = 1
-- "Staff working outside projects" → SELECT staff_name, COUNT(*) FROM daily_worker_summary WHERE (checkin_project_id IS NULL OR checkin_project_id = -1) GROUP BY staff_name ORDER BY COUNT(*) DESC
+- "People present at projects" → metricQuery { metrics: ["present_staff_count"], segments: ["at_project"] }
+- "People outside project locations" → metricQuery { metrics: ["present_staff_count"], segments: ["outside_project"] }
+- "Staff working outside projects" → metricQuery { metrics: ["outside_project_checkins"], dimensions: ["staff"] }
 - "Project attendance with names" → SELECT p.project_name, COUNT(d.staff_id) FROM daily_worker_summary d JOIN client_projects p ON d.checkin_project_id = p.project_id WHERE d.is_present = 1 GROUP BY p.project_name ORDER BY COUNT(d.staff_id) DESC
-- "Show this week's check-ins outside projects" → SELECT staff_name, client_name, checkin_lat, checkin_lng, work_date FROM daily_worker_summary WHERE work_date >= toMonday(today()) AND work_date < addDays(toMonday(today()), 7) AND (checkin_project_id IS NULL OR checkin_project_id = -1) AND checkin_time IS NOT NULL ORDER BY work_date DESC
+- "Show this week's check-ins outside projects" → SELECT staff_name, client_name, checkin_lat, checkin_lng, work_date FROM daily_worker_summary WHERE work_date >= toMonday(today()) AND work_date < addDays(toMonday(today()), 7) AND <outside_project segment SQL from METRICS> ORDER BY work_date DESC
 - "Get people who present this week" → SELECT DISTINCT staff_name FROM daily_worker_summary WHERE work_date >= toMonday(today()) AND work_date < addDays(toMonday(today()), 7) AND is_present = 1 ORDER BY staff_name
 - "Last week top 10 staff performance" → SELECT staff_name, SUM(total_work_hours), SUM(effective_work_hours), COUNT(*), AVG(attendance_score) FROM daily_worker_summary WHERE work_date >= subtractDays(toMonday(today()), 7) AND work_date < toMonday(today()) GROUP BY staff_name ORDER BY SUM(effective_work_hours) DESC LIMIT 10
 - "People who have gone unpaid regularly" (TABLE) → SELECT staff_name, COUNT(*), SUM(total_work_hours), AVG(attendance_score) FROM daily_worker_summary WHERE toYYYYMM(work_date) = toYYYYMM(addMonths(today(), -1)) AND (is_present = 0 OR total_work_hours < 4) GROUP BY staff_name HAVING COUNT(*) >= 5 ORDER BY COUNT(*) DESC
 - "People who have gone unpaid regularly" (KPI) → SELECT COUNT(*) AS "People Needing Attention" FROM (SELECT staff_id FROM daily_worker_summary WHERE toYYYYMM(work_date) = toYYYYMM(addMonths(today(), -1)) AND (is_present = 0 OR total_work_hours < 4) GROUP BY staff_id HAVING COUNT(*) >= 5)
 - "Staff with poor attendance last month" (KPI) → SELECT COUNT(*) AS "Staff with Poor Attendance" FROM (SELECT staff_id FROM daily_worker_summary WHERE toYYYYMM(work_date) = toYYYYMM(addMonths(today(), -1)) AND is_present = 0 GROUP BY staff_id HAVING COUNT(*) >= 3)
-- "Average attendance rate" (KPI) → SELECT AVG(attendance_score) AS "Average Attendance Rate" FROM daily_worker_summary WHERE toYYYYMM(work_date) = toYYYYMM(today())
+- "Average attendance rate this month" (KPI) → metricQuery { metrics: ["attendance_rate"], filters: [{ field: "date", op: "this_month", value: null }] }
 - "Total work hours this month" (KPI) → SELECT SUM(total_work_hours) AS "Total Work Hours This Month" FROM daily_worker_summary WHERE toYYYYMM(work_date) = toYYYYMM(today())
 - "How many staff worked today" (KPI) → SELECT COUNT(DISTINCT staff_id) AS "Staff Working Today" FROM daily_worker_summary WHERE work_date = today()
 - "How many people are sick all times" (KPI) → SELECT COUNT(DISTINCT staff_id) AS "People Ever Sick" FROM daily_worker_summary WHERE leave_type = 'sick_leave'
@@ -218,16 +167,14 @@ CORRECTION APPROACH:
 3. Apply targeted fixes based on the actual error, not pre-assumptions
 4. Focus on translating ClickHouse errors into proper fixes
 
-AVAILABLE SCHEMA:
-- daily_worker_summary: ${Object.values(this.tableSchema.daily_worker_summary.columns).map(col => col.name).join(', ')}
-- client_projects: ${Object.values(this.tableSchema.client_projects.columns).map(col => col.name).join(', ')}
+The available schema is included with each correction request.
 
 COMMON ERROR PATTERNS & FIXES:
 
 COLUMN NOT FOUND ERRORS:
 - Error: "Unknown identifier 'WEEK'" → Fix: Use "toWeek(work_date)"
 - Error: "Unknown identifier 'DAY'" → Fix: Use "toDayOfWeek(work_date)" or "work_date"
-- Error: "Unknown identifier 'Payment'" → Fix: Explain financial data not available
+- Error: "Unknown identifier 'Payment'" → Fix: Explain the data is not available (unfixable)
 
 SYNTAX ERRORS:
 - Error: "Syntax error near 'GROUP BY'" → Fix: Check GROUP BY placement and columns
@@ -248,9 +195,14 @@ AGGREGATION ERRORS:
 - Error: "Column must appear in GROUP BY" → Fix: Either add to GROUP BY or remove from SELECT
 - Error: "Aggregate function in non-aggregate query" → Fix: Add GROUP BY or remove aggregation
 
+RESULT SHAPE ERRORS (the query ran but its result cannot be drawn as the card):
+- Error: "Result does not fit a bar card: it needs a numeric value column" → Fix: Aggregate a measure next to the label column
+- Error: "Result does not fit a kpi card: it needs exactly one row" → Fix: Remove GROUP BY or wrap the query in an outer aggregate
+- Error: "Result does not fit a map card: it needs a latitude and a longitude column" → Fix: Select the lat/lng columns
+
 ERROR CATEGORIZATION:
 1. FIXABLE: Column name issues, syntax problems, type mismatches → Provide corrected query
-2. UNFIXABLE: Financial data requests, missing tables → Explain limitation
+2. UNFIXABLE: Data that is not in the schema, missing tables → Explain limitation
 3. UNCLEAR: Complex errors → Ask for clarification or suggest alternatives
 
 CORRECTION PRINCIPLES:
@@ -264,13 +216,13 @@ Your response should focus on the specific error encountered, not generic valida
   }
 
   createQueryCorrectorTool() {
-    return tool({
+    return {
       name: 'correct_clickhouse_query',
       description: 'Correct a ClickHouse SQL query based on specific database error message',
       parameters: z.object({
         canCorrect: z.boolean().describe('Whether the error can be corrected'),
         correctedQuery: z.string().nullable().describe('The corrected SQL query (null if cannot be corrected)'),
-        errorType: z.enum(['column_not_found', 'syntax_error', 'type_mismatch', 'join_error', 'aggregation_error', 'function_error', 'unfixable', 'other']).describe('Category of the error'),
+        errorType: z.enum(['column_not_found', 'syntax_error', 'type_mismatch', 'join_error', 'aggregation_error', 'function_error', 'result_shape', 'unfixable', 'other']).describe('Category of the error'),
         explanation: z.string().describe('Explanation of what caused the error and how it was fixed'),
         userFriendlyMessage: z.string().describe('User-friendly explanation of what went wrong'),
         suggestedAlternatives: z.array(z.string()).nullable().describe('Alternative approaches if the query cannot be corrected')
@@ -285,87 +237,150 @@ Your response should focus on the specific error encountered, not generic valida
           suggestedAlternatives: input.suggestedAlternatives || null
         };
       }
-    });
+    };
   }
 
-  createQueryGeneratorTool() {
-    return tool({
+  // user is the caller; the generated SQL must pass the data policy for them
+  createQueryGeneratorTool(user = null) {
+    return {
       name: 'generate_clickhouse_query',
       description: 'Generate a ClickHouse SQL query based on user request and card type',
       parameters: z.object({
-        query: z.string().describe('The generated ClickHouse SQL query'),
+        query: z.string().nullable().describe('The generated ClickHouse SQL query (null when metricQuery is set)'),
+        metricQuery: z.object({
+          metrics: z.array(z.string()).describe('Metric names from METRICS, all from one table'),
+          dimensions: z.array(z.string()).describe('Dimension names to group by'),
+          timeGrain: z.enum(['hour', 'day', 'week', 'month', 'quarter', 'year']).nullable().describe('Grain for time dimensions (null = their default)'),
+          segments: z.array(z.string()).describe('Segment names to filter by'),
+          filters: z.array(z.object({
+            field: z.string().describe('Dimension or column name'),
+            op: z.string().describe('Filter operator, e.g. eq, in, between, last_n_days, this_month, last_month'),
+            value: z.union([z.string(), z.number(), z.array(z.union([z.string(), z.number()]))]).nullable()
+          })).describe('Structured filters'),
+          limit: z.number().nullable().describe('Maximum rows (null = default)')
+        }).nullable().describe('Metrics-layer request to compile instead of writing SQL (null to use query)'),
+        clusterQuery: z.object({
+          table: z.string().describe('Table with check-in/check-out coordinates'),
+          type: z.enum(['checkin', 'checkout', 'both']).describe('Which locations to cluster'),
+          zoom: z.number().nullable().describe('Map zoom level 0-22 that sizes the clusters (null = city level)'),
+          bbox: z.array(z.number()).nullable().describe('[minLng, minLat, maxLng, maxLat] to limit the area (null = everywhere)'),
+          filters: z.array(z.object({
+            field: z.string().describe('Column name'),
+            op: z.string().describe('Filter operator, e.g. eq, in, between, last_n_days, this_month, last_month'),
+            value: z.union([z.string(), z.number(), z.array(z.union([z.string(), z.number()]))]).nullable()
+          })).describe('Structured filters')
+        }).nullable().describe('Map card only: locations clustered by geohash with point counts and summed hours, as /locations returns them (null to use query)'),
         explanation: z.string().describe('Brief explanation of what the query does'),
         cardType: z.enum(['table', 'bar', 'line', 'pie', 'map', 'kpi']).describe('The card type this query is optimized for'),
         columns: z.array(z.string()).describe('List of column names returned by the query')
       }),
       execute: async (input) => {
-        // Check for actual financial columns in the query (not just mentions in explanation)
-        const financialColumns = ['payment', 'salary', 'wage', 'earnings', 'cost', 'price', 'amount', 'compensation'];
-        const hasFinancialColumns = financialColumns.some(term =>
-          input.query.toLowerCase().includes(term)
-        );
-
-        if (hasFinancialColumns) {
-          throw new Error('Financial columns are not available in this workforce tracking system. This schema only contains attendance, work hours, and location data.');
+        let query = input.query;
+        let columns = input.columns;
+
+        // Metric requests compile to SQL from the registry, so definitions cannot drift
+        if (input.metricQuery) {
+          const compiled = await metricsLayer.compile(input.metricQuery, { labels: input.cardType === 'kpi' });
+          if (compiled.error) {
+            throw new Error(`Invalid metricQuery: ${compiled.error}`);
+          }
+          // Inline the filter values: chat SQL is stored on cards and re-run without parameters
+          query = metricsLayer.inlineParams(compiled.query, compiled.params);
+          columns = compiled.columns.map(col => col.name);
         }
 
-        // Validate that it's a SELECT query
-        if (!input.query.trim().toUpperCase().startsWith('SELECT')) {
-          throw new Error('Only SELECT queries are allowed');
+        // Clustered maps compile to the same geohash query as /api/tables/:name/locations
+        if (input.clusterQuery && !input.metricQuery) {
+          if (input.cardType !== 'map') {
+            throw new Error('clusterQuery is only for map cards');
+          }
+          const tables = await this.getSchemaContext(user);
+          const table = tables[input.clusterQuery.table];
+          if (!table) {
+            throw new Error(`Table ${input.clusterQuery.table} does not exist. Available tables: ${Object.keys(tables).join(', ')}`);
+          }
+          const compiled = geoService.compileClusterQuery(input.clusterQuery, { tableName: table.name, schema: table.columns });
+          if (compiled.error) {
+            throw new Error(`Invalid clusterQuery: ${compiled.error}`);
+          }
+          query = metricsLayer.inlineParams(compiled.query, compiled.params);
+          columns = compiled.columns;
         }
 
-        // Validate that it uses the correct table
-        if (!input.query.toLowerCase().includes('daily_worker_summary')) {
-          throw new Error('Query must use the daily_worker_summary table');
+        if (!query) {
+          throw new Error('Provide query, metricQuery or clusterQuery');
+        }
+
+        // Validate that it's a single read-only statement
+        const validation = this.validateQuery(query);
+        if (!validation.valid) {
+          throw new Error(validation.token ? `${validation.error} (at "${validation.token}")` : validation.error);
+        }
+
+        // Validate that it only touches data the policy allows in generated SQL
+        const policy = await dataPolicy.checkQuery(user, query, { generated: true });
+        if (!policy.allowed) {
+          throw new Error(policy.error);
+        }
+
+        // Validate that it only reads tables from the schema catalog
+        const { tables } = sqlAnalyzer.getTableReferences(query);
+        if (tables.length === 0) {
+          throw new Error('Query must read from one of the available tables');
+        }
+        const catalog = await schemaCatalog.getCatalog();
+        const unknown = tables.find(table => !catalog[table.name]);
+        if (unknown) {
+          throw new Error(`Table ${unknown.name} does not exist. Available tables: ${Object.keys(catalog).join(', ')}`);
         }
 
         return {
-          query: input.query,
+          query,
+          metrics: input.metricQuery ? input.metricQuery.metrics : null,
           explanation: input.explanation,
           cardType: input.cardType,
-          columns: input.columns,
+          columns,
           validated: true
         };
       }
-    });
+    };
   }
 
-  // Intelligent financial request detection
-  isGenuineFinancialRequest(userMessage) {
-    const message = userMessage.toLowerCase();
-
-    // Clear financial terms that indicate actual financial data requests
-    const clearFinancialTerms = ['salary', 'salaries', 'wage', 'wages', 'payment', 'payments', 'compensation', 'money', 'dollar', 'cost', 'price', 'earnings', 'finance', 'financial'];
-
-    // Attendance-related context keywords that suggest workforce tracking queries
-    const attendanceContexts = ['absent', 'attendance', 'present', 'working', 'work', 'staff', 'employee', 'people', 'regularly', 'missing', 'show up', 'came to work', 'not working', 'not present'];
-
-    // Check for clear financial terms
-    const hasFinancialTerms = clearFinancialTerms.some(term => message.includes(term));
-
-    // Special handling for "paid/unpaid" - could be attendance-related
-    const hasPaidTerms = message.includes('paid') || message.includes('unpaid');
-    const hasAttendanceContext = attendanceContexts.some(context => message.includes(context));
-
-    // If it has clear financial terms (not paid/unpaid), block it
-    if (hasFinancialTerms) {
-      return true;
-    }
-
-    // If it mentions paid/unpaid but has attendance context, allow it
-    if (hasPaidTerms && hasAttendanceContext) {
-      return false; // This is likely an attendance query, not financial
-    }
-
-    // If it mentions paid/unpaid without attendance context, block it
-    if (hasPaidTerms && !hasAttendanceContext) {
-      return true;
-    }
+  // Catalog tables the user may query, with columns narrowed to their allowlist
+  // and to what the data policy allows in generated SQL
+  async getSchemaContext(user = null) {
+    const catalog = await schemaCatalog.getCatalog();
+    const tables = {};
+    Object.values(catalog).forEach(table => {
+      if (user && !authService.canAccessTable(user, table.name)) return;
+      if (dataPolicy.isTableDenied(user, table.name, { generated: true })) return;
+      const columns = user
+        ? authService.filterSchema(user, table.name, table.columns, { generated: true })
+        : dataPolicy.filterColumns(user, table.name, table.columns, { generated: true });
+      tables[table.name] = {
+        ...table,
+        columns: schemaCatalog.scopeColumns(user, table, columns)
+      };
+    });
+    return tables;
+  }
 
-    return false;
+  // Prior turns of a chat session as prompt text (see chat-session-store.js)
+  formatHistory(history = []) {
+    return history.map((turn, index) => {
+      const lines = [`${index + 1}. USER: "${turn.message}" (${turn.cardType} card on ${turn.tableName})`];
+      if (turn.success) {
+        lines.push(`   SQL: ${turn.query}`);
+        lines.push(`   RESULT COLUMNS: ${turn.columns.map(col => `${col.name} (${col.type})`).join(', ') || 'none'}; ${turn.rowCount} rows`);
+      } else {
+        lines.push(`   FAILED: ${turn.error || 'no result'}${turn.query ? ` (SQL: ${turn.query})` : ''}`);
+      }
+      return lines.join('\n');
+    }).join('\n');
   }
 
-  async generateQuery(userMessage, cardType, tableName = 'daily_worker_summary') {
+  // options.history holds earlier turns of the chat session, oldest first
+  async generateQuery(userMessage, cardType, tableName = 'daily_worker_summary', options = {}) {
     console.log('\n🔄 QUERY GENERATION PIPELINE START');
     console.log('=====================================');
     console.log(`📝 User Message: "${userMessage}"`);
@@ -383,65 +398,59 @@ Your response should focus on the specific error encountered, not generic valida
         throw new Error(`Invalid card type. Must be one of: ${validCardTypes.join(', ')}`);
       }
 
-      // Get table schema information
-      const tableInfo = this.tableSchema[tableName];
-      if (!tableInfo) {
+      // Get table schema information from the introspected catalog
+      const tables = await this.getSchemaContext(options.user);
+      if (!tables[tableName]) {
         throw new Error(`Table ${tableName} not found in schema`);
       }
 
-      // Create the prompt with context
-      const availableTables = Object.keys(this.tableSchema).map(name => {
-        const table = this.tableSchema[name];
-        return `${table.name}: ${table.description}\nColumns: ${table.columns.map(col => `${col.name} (${col.type})`).join(', ')}`;
-      }).join('\n\n');
-
-      // Check if this is a genuine financial data request (not attendance-related)
-      const isFinancialRequest = this.isGenuineFinancialRequest(userMessage);
+      // Create the prompt with context, primary table first
+      const availableTables = schemaCatalog.formatForPrompt([
+        tables[tableName],
+        ...Object.values(tables).filter(table => table.name !== tableName)
+      ]);
+      const metrics = metricsLayer.formatForPrompt(options.user, [
+        tableName,
+        ...Object.keys(tables).filter(name => name !== tableName)
+      ]);
 
-      if (isFinancialRequest) {
-        console.log('🚫 FINANCIAL REQUEST DETECTED - Request blocked before LLM generation');
-        console.log(`❌ Request appears to be asking for financial data not available in workforce tracking system`);
-        console.log('=====================================\n');
+      console.log('✅ Pre-validation passed - proceeding to LLM generation');
+      this.emitProgress(options, 'validated', { cardType, tableName });
 
-        return {
-          success: false,
-          error: 'Financial data is not available in this workforce tracking system. This database only contains attendance, work hours, and location tracking data. Please try asking about work hours, attendance rates, or staff performance metrics instead.',
-          query: null,
-          explanation: 'Financial data request cannot be fulfilled',
-          cardType: cardType,
-          columns: [],
-          tableName: tableName
-        };
+      const history = options.history || [];
+      if (history.length > 0) {
+        console.log(`💬 Follow-up in a session with ${history.length} prior turn(s)`);
       }
 
-      console.log('✅ Pre-validation passed - proceeding to LLM generation');
-
-      const prompt = `
+      const prompt = `${history.length > 0 ? `
+CONVERSATION SO FAR (oldest first):
+${this.formatHistory(history)}
+` : ''}
 USER REQUEST: "${userMessage}"
 CARD TYPE: ${cardType}
 
-CRITICAL: Before generating any query, check if the user is asking about financial data (payments, salaries, wages, etc.). If so, do NOT generate a query - instead throw an error explaining that financial data is not available.
-
 Generate a ClickHouse SQL query that:
 1. Answers the user's request for a ${cardType} visualization
-2. Can use tables: daily_worker_summary, client_projects
+2. Reads from the primary table ${tableName}; can also use: ${Object.keys(tables).filter(name => name !== tableName).join(', ') || 'no other tables'}
 3. Returns clean SQL without markdown or explanations
 4. Is optimized for ${cardType} display
 5. ${cardType === 'kpi' ? 'MANDATORY: Use AS aliases with human-readable titles (e.g., COUNT(*) AS "Total Staff Count")' : 'NEVER use column aliases (AS) - use original column names only'}
 6. For project-related queries, JOIN with client_projects when needed
-7. Remember: checkin_project_id/checkout_project_id NULL or -1 = outside project location
+7. Take definitions such as outside-project check-ins or attendance rate from the METRICS metrics and segments, never from your own expression
 8. CRITICAL: Use work_date with ClickHouse date functions for time filtering (e.g., toYYYYMM(work_date))
 9. NEVER use columns like DAY, WEEK, MONTH, YEAR - these do NOT exist! Use work_date instead!
-10. NEVER use financial columns like Payment, Salary, Wage - they do NOT exist!
+10. ONLY use columns listed under AVAILABLE TABLES - other data is withheld by data policy
 ${cardType === 'kpi' ? '11. KPI REQUIREMENT: Return single row with human-readable AS alias (e.g., "SELECT COUNT(*) AS \\"People Needing Attention\\"")' : ''}
 
 AVAILABLE TABLES:
 ${availableTables}
-
+${metrics ? `
+METRICS (shared definitions - prefer metricQuery over writing SQL for these; output names come from the registry):
+${metrics}
+` : ''}
 IMPORTANT: Use exact column names from the schema. ${cardType === 'kpi' ? 'FOR KPI: Use AS aliases with natural language display names in quotes.' : 'Do NOT rename columns with AS aliases.'}
 CRITICAL COLUMN RULES:
 - NEVER use DAY, WEEK, MONTH, YEAR as column names - they DO NOT EXIST!
-- NEVER use Payment, Salary, Wage, Pay, Earnings - they DO NOT EXIST!
 - Always use work_date with functions: toYear(work_date), toMonth(work_date), toDayOfWeek(work_date)
 - For weekly filtering: work_date >= toMonday(today()) AND work_date < addDays(toMonday(today()), 7)
 
@@ -466,39 +475,42 @@ Generate ONLY the SQL query using the generate_clickhouse_query tool.`;
 
       // Run the agent
       console.log('🤖 Calling LLM Agent for query generation...');
-      const result = await run(this.queryAgent, prompt);
-
-      // Extract the tool result
-      if (result.messages && result.messages.length > 0) {
-        for (const message of result.messages) {
-          if (message.tool_calls && message.tool_calls.length > 0) {
-            for (const toolCall of message.tool_calls) {
-              if (toolCall.function && toolCall.function.name === 'generate_clickhouse_query') {
-                const toolResult = JSON.parse(toolCall.function.arguments);
-
-                console.log('✅ LLM GENERATED QUERY:');
-                console.log(`🔍 Query: ${toolResult.query}`);
-                console.log(`💭 Explanation: ${toolResult.explanation}`);
-                console.log(`📊 Card Type: ${toolResult.cardType}`);
-                console.log(`🏷️ Columns: ${toolResult.columns.join(', ')}`);
-                console.log('=====================================\n');
-
-                return {
-                  success: true,
-                  query: toolResult.query,
-                  explanation: toolResult.explanation,
-                  cardType: toolResult.cardType,
-                  columns: toolResult.columns,
-                  tableName: tableName
-                };
-              }
-            }
-          }
+      const result = await llmProvider.callTool({
+        role: 'generator',
+        name: 'ClickHouse Query Generator',
+        instructions: this.getAgentInstructions(),
+        prompt,
+        input: userMessage,
+        tool: this.createQueryGeneratorTool(options.user)
+      });
+
+      // Use the validated tool call
+      if (result.toolResult) {
+        const toolResult = result.toolResult;
+
+        console.log('✅ LLM GENERATED QUERY:');
+        console.log(`🔍 Query: ${toolResult.query}`);
+        console.log(`💭 Explanation: ${toolResult.explanation}`);
+        console.log(`📊 Card Type: ${toolResult.cardType}`);
+        console.log(`🏷️ Columns: ${toolResult.columns.join(', ')}`);
+        if (toolResult.metrics) {
+          console.log(`📐 Metrics: ${toolResult.metrics.join(', ')}`);
         }
+        console.log('=====================================\n');
+
+        return {
+          success: true,
+          query: toolResult.query,
+          metrics: toolResult.metrics,
+          explanation: toolResult.explanation,
+          cardType: toolResult.cardType,
+          columns: toolResult.columns,
+          tableName: tableName
+        };
       }
 
-      // Fallback - parse SQL from final output if tool calls not found
-      let extractedQuery = result.finalOutput || 'SELECT * FROM daily_worker_summary LIMIT 10';
+      // Fallback - parse SQL from final output if the tool was never called successfully
+      let extractedQuery = result.text || 'SELECT * FROM daily_worker_summary LIMIT 10';
 
       // Extract SQL from markdown code blocks (more flexible pattern)
       const sqlMatch = extractedQuery.match(/```(?:sql)?\s*\n?([\s\S]*?)\n?```/);
@@ -541,25 +553,35 @@ Generate ONLY the SQL query using the generate_clickhouse_query tool.`;
     }
   }
 
-  async correctQueryWithLLM(originalQuery, clickhouseError, userMessage, cardType) {
+  // options.attempts is the chain of queries already tried (oldest first) and
+  // options.hints the schema-aware suggestions from query-repair.js
+  async correctQueryWithLLM(originalQuery, clickhouseError, userMessage, cardType, options = {}) {
+    const startTime = Date.now();
     try {
-      const startTime = Date.now();
       console.log('🔧 CORRECTION AGENT START');
       console.log(`🔍 Original Query: ${originalQuery}`);
       console.log(`❌ ClickHouse Error: ${clickhouseError}`);
 
       // Create correction prompt
-      const availableTables = Object.keys(this.tableSchema).map(name => {
-        const table = this.tableSchema[name];
-        return `${table.name}: ${table.description}\nColumns: ${table.columns.map(col => `${col.name} (${col.type})`).join(', ')}`;
-      }).join('\n\n');
+      const availableTables = schemaCatalog.formatForPrompt(
+        Object.values(await this.getSchemaContext(options.user))
+      );
+
+      const attempts = options.attempts || [];
+      const hints = options.hints || [];
 
       const prompt = `
 ORIGINAL USER REQUEST: "${userMessage}"
 CARD TYPE: ${cardType}
 GENERATED QUERY: "${originalQuery}"
 CLICKHOUSE ERROR: "${clickhouseError}"
-
+${attempts.length > 1 ? `
+PREVIOUS ATTEMPTS (oldest first) - do not repeat any of these queries:
+${attempts.map(entry => `${entry.attempt}. ${entry.query}\n   ERROR: ${entry.error}`).join('\n')}
+` : ''}${hints.length > 0 ? `
+REPAIR HINTS:
+${hints.map(hint => `- ${hint}`).join('\n')}
+` : ''}
 AVAILABLE SCHEMA:
 ${availableTables}
 
@@ -575,37 +597,35 @@ Key considerations:
 Use the correct_clickhouse_query tool to provide your correction.`;
 
       // Run the correction agent
-      const result = await run(this.correctionAgent, prompt);
-
-      // Extract the tool result
-      if (result.messages && result.messages.length > 0) {
-        for (const message of result.messages) {
-          if (message.tool_calls && message.tool_calls.length > 0) {
-            for (const toolCall of message.tool_calls) {
-              if (toolCall.function && toolCall.function.name === 'correct_clickhouse_query') {
-                const toolResult = JSON.parse(toolCall.function.arguments);
-
-                const correctionTime = Date.now() - startTime;
-                console.log(`🔧 CORRECTION COMPLETED in ${correctionTime}ms`);
-                console.log(`✅ Can Correct: ${toolResult.canCorrect}`);
-                console.log(`📝 Error Type: ${toolResult.errorType}`);
-                if (toolResult.correctedQuery) {
-                  console.log(`🔧 Corrected Query: ${toolResult.correctedQuery}`);
-                }
-
-                return {
-                  canCorrect: toolResult.canCorrect,
-                  correctedQuery: toolResult.correctedQuery,
-                  errorType: toolResult.errorType,
-                  explanation: toolResult.explanation,
-                  userFriendlyMessage: toolResult.userFriendlyMessage,
-                  suggestedAlternatives: toolResult.suggestedAlternatives,
-                  correctionTimeMs: correctionTime
-                };
-              }
-            }
-          }
+      const result = await llmProvider.callTool({
+        role: 'corrector',
+        name: 'ClickHouse Query Error Corrector',
+        instructions: this.getCorrectionAgentInstructions(),
+        prompt,
+        input: userMessage,
+        tool: this.createQueryCorrectorTool()
+      });
+
+      if (result.toolResult) {
+        const toolResult = result.toolResult;
+
+        const correctionTime = Date.now() - startTime;
+        console.log(`🔧 CORRECTION COMPLETED in ${correctionTime}ms`);
+        console.log(`✅ Can Correct: ${toolResult.canCorrect}`);
+        console.log(`📝 Error Type: ${toolResult.errorType}`);
+        if (toolResult.correctedQuery) {
+          console.log(`🔧 Corrected Query: ${toolResult.correctedQuery}`);
         }
+
+        return {
+          canCorrect: toolResult.canCorrect,
+          correctedQuery: toolResult.correctedQuery,
+          errorType: toolResult.errorType,
+          explanation: toolResult.explanation,
+          userFriendlyMessage: toolResult.userFriendlyMessage,
+          suggestedAlternatives: toolResult.suggestedAlternatives,
+          correctionTimeMs: correctionTime
+        };
       }
 
       console.log('❌ CORRECTION FAILED - No tool result found');
@@ -633,50 +653,196 @@ Use the correct_clickhouse_query tool to provide your correction.`;
     }
   }
 
-  // Basic safety validation (kept for safety checks in generation)
-  basicValidation(query) {
-    if (!query || typeof query !== 'string') {
-      return { valid: false, error: 'Query must be a non-empty string' };
+  // Report a pipeline stage to options.onProgress (used by the SSE chat route).
+  // A failing listener must never break the pipeline itself.
+  emitProgress(options, stage, data) {
+    if (typeof options.onProgress !== 'function') return;
+    try {
+      options.onProgress(stage, data);
+    } catch (error) {
+      console.warn(`⚠️ Progress listener failed at ${stage}:`, error.message);
     }
+  }
+
+  // Safety validation shared with /api/query (see sql-validator.js)
+  validateQuery(query) {
+    return sqlValidator.validate(query);
+  }
 
-    if (!query.trim().toUpperCase().startsWith('SELECT')) {
-      return { valid: false, error: 'Only SELECT queries are allowed' };
+  // EXPLAIN the secured query and apply the dry-run thresholds for the caller's role.
+  // Returns { summary } when the query may run, or { failure } with the result to return:
+  // a syntax error (which the correction loop can repair), or a refused/unconfirmed query.
+  async dryRunQuery(access, queryResult, options) {
+    const failure = (fields) => ({
+      failure: {
+        success: false,
+        data: [],
+        query: queryResult.query,
+        explanation: queryResult.explanation,
+        cardType: queryResult.cardType,
+        columns: queryResult.columns,
+        ...fields,
+        metadata: {
+          executionTimeMs: 0,
+          failedAt: new Date().toISOString()
+        }
+      }
+    });
+
+    let explained;
+    try {
+      explained = await clickhouseService.explainQuery(access.query, {
+        params: access.params,
+        execution: options.execution || null
+      });
+    } catch (error) {
+      console.log(`❌ DRY RUN FAILED: ${error.message}`);
+      return failure({ error: error.message });
     }
 
-    return { valid: true, query: query };
+    const role = options.user ? options.user.role : null;
+    const assessment = queryLimits.assessEstimate(explained.estimate, role, { confirmed: options.confirmed === true });
+    const summary = {
+      estimate: explained.estimate,
+      decision: assessment.decision,
+      reason: assessment.reason,
+      thresholds: assessment.thresholds
+    };
+    this.emitProgress(options, 'dry_run', summary);
+
+    if (assessment.decision === 'refuse') {
+      console.log(`🚫 DRY RUN REFUSED: ${assessment.reason}`);
+      return failure({ refused: true, error: assessment.reason, dryRun: summary });
+    }
+    if (assessment.decision === 'confirm') {
+      console.log(`✋ DRY RUN NEEDS CONFIRMATION: ${assessment.reason}`);
+      return failure({ confirmationRequired: true, error: assessment.reason, dryRun: summary });
+    }
+    return { summary };
   }
 
-  async executeGeneratedQuery(queryResult) {
+  async executeGeneratedQuery(queryResult, options = {}) {
+    const startTime = Date.now();
     try {
-      const startTime = Date.now();
-
       if (!queryResult.success || !queryResult.query) {
         throw new Error('Invalid query result provided');
       }
 
+      // The fallback path extracts SQL from free text, so validate before anything runs
+      const validation = this.validateQuery(queryResult.query);
+      if (!validation.valid) {
+        console.log(`🚫 GENERATED QUERY REJECTED: ${validation.error}`);
+        return {
+          success: false,
+          data: [],
+          error: validation.error,
+          validation,
+          query: queryResult.query,
+          explanation: queryResult.explanation,
+          cardType: queryResult.cardType,
+          columns: queryResult.columns,
+          metadata: {
+            executionTimeMs: 0,
+            failedAt: new Date().toISOString()
+          }
+        };
+      }
+
+      // Enforce the caller's table/column allowlists and tenant scope on the generated SQL.
+      // This runs after generation, so nothing the model writes can widen the scope.
+      const access = await authService.secureQuery(options.user, queryResult.query, { generated: true });
+      if (!access.allowed) {
+        console.log(`🚫 GENERATED QUERY REJECTED: ${access.error}`);
+        return {
+          success: false,
+          accessDenied: true,
+          data: [],
+          error: access.error,
+          policy: access.policy || null,
+          query: queryResult.query,
+          explanation: access.policy ? access.policy.reason : queryResult.explanation,
+          cardType: queryResult.cardType,
+          columns: queryResult.columns,
+          metadata: {
+            executionTimeMs: 0,
+            failedAt: new Date().toISOString()
+          }
+        };
+      }
+
+      // Dry run: EXPLAIN catches syntax errors without reading data, and the row
+      // estimate decides whether the query may run (see dryRun in query-limits.json)
+      const dryRun = await this.dryRunQuery(access, queryResult, options);
+      if (dryRun.failure) {
+        return dryRun.failure;
+      }
+
       console.log('\n⚡ DIRECT QUERY EXECUTION START');
       console.log('===============================');
       console.log(`🚀 Query: ${queryResult.query}`);
 
-      // Execute the query directly in ClickHouse (fail-fast approach)
-      const result = await clickhouseService.executeCustomQuery(queryResult.query);
+      // Execute the tenant-scoped query directly in ClickHouse (fail-fast approach).
+      // JSON format returns the result column types along with the rows. The same SQL
+      // for the same tenant scope is served from the query cache.
+      const { value: result, cache } = await queryCache.wrap({
+        route: 'chat',
+        sql: access.query,
+        params: access.params,
+        user: options.user,
+        bypass: options.bypassCache === true
+      }, () => clickhouseService.executeCustomQuery(access.query, 'JSON', {
+        params: access.params,
+        execution: options.execution || null
+      }));
       const executionTime = Date.now() - startTime;
 
       if (result.success) {
-        console.log(`✅ EXECUTION SUCCESSFUL in ${executionTime}ms - Returned ${result.data ? result.data.length : 0} rows`);
+        const rows = result.data.data || [];
+        const resultColumns = (result.data.meta || []).map(col => ({ name: col.name, type: col.type }));
+
+        // A result that cannot be drawn as the requested card is a failure the correction loop can fix
+        const shape = resultShape.inspect(queryResult.cardType, resultColumns, rows);
+        if (!shape.valid) {
+          console.log(`❌ RESULT SHAPE MISMATCH in ${executionTime}ms: ${shape.error}`);
+          console.log('===============================\n');
+
+          return {
+            success: false,
+            shapeMismatch: true,
+            data: [],
+            error: shape.error,
+            query: queryResult.query,
+            explanation: queryResult.explanation,
+            cardType: queryResult.cardType,
+            columns: queryResult.columns,
+            metadata: {
+              executionTimeMs: executionTime,
+              failedAt: new Date().toISOString()
+            }
+          };
+        }
+
+        console.log(`✅ EXECUTION SUCCESSFUL in ${executionTime}ms - Returned ${rows.length} rows`);
+        shape.adaptations.forEach(adaptation => console.log(`🧩 ${adaptation}`));
         console.log('===============================\n');
 
         return {
           success: true,
-          data: result.data,
+          data: rows,
           error: null,
           query: queryResult.query,
           explanation: queryResult.explanation,
           cardType: queryResult.cardType,
           columns: queryResult.columns,
+          resultColumns,
+          encoding: shape.encoding,
+          kpis: shape.kpis,
+          dryRun: dryRun.summary,
           metadata: {
-            rowCount: result.data ? result.data.length : 0,
+            rowCount: rows.length,
             executionTimeMs: executionTime,
+            adaptations: shape.adaptations,
+            cache,
             generatedAt: new Date().toISOString()
           }
         };
@@ -720,9 +886,14 @@ Use the correct_clickhouse_query tool to provide your correction.`;
   }
 
   // Main method implementing the optimized fail-fast flow
-  async processUserRequest(userMessage, cardType, tableName = 'daily_worker_summary') {
+  // options.user is the authenticated caller; generated SQL is checked against its allowlists.
+  // options.onProgress(stage, data) is called as each stage finishes: validated, sql,
+  // explanation, dry_run, execution, correction. The final result is the return value.
+  // options.confirmed runs queries whose dry-run estimate needs confirmation.
+  // options.bypassCache re-runs the SQL instead of serving it from the query cache.
+  async processUserRequest(userMessage, cardType, tableName = 'daily_worker_summary', options = {}) {
+    const totalStartTime = Date.now();
     try {
-      const totalStartTime = Date.now();
 
       console.log('\n🚀 OPTIMIZED LLM SERVICE PIPELINE START');
       console.log('=======================================');
@@ -732,7 +903,7 @@ Use the correct_clickhouse_query tool to provide your correction.`;
 
       // Step 1: Generate the query (1 LLM call)
       const generationStartTime = Date.now();
-      const queryResult = await this.generateQuery(userMessage, cardType, tableName);
+      const queryResult = await this.generateQuery(userMessage, cardType, tableName, options);
       const generationTime = Date.now() - generationStartTime;
 
       if (!queryResult.success) {
@@ -750,9 +921,24 @@ Use the correct_clickhouse_query tool to provide your correction.`;
       }
 
       console.log(`✅ QUERY GENERATED in ${generationTime}ms`);
+      this.emitProgress(options, 'sql', {
+        query: queryResult.query,
+        cardType: queryResult.cardType,
+        columns: queryResult.columns,
+        attempt: 1,
+        metadata: { generationTimeMs: generationTime }
+      });
+      this.emitProgress(options, 'explanation', {
+        explanation: queryResult.explanation,
+        metadata: { generationTimeMs: generationTime }
+      });
 
       // Step 2: Execute directly in ClickHouse (fail-fast approach)
-      const firstExecutionResult = await this.executeGeneratedQuery(queryResult);
+      const firstExecutionResult = await this.executeGeneratedQuery(queryResult, options);
+      this.emitProgress(options, 'execution', this.executionProgress(firstExecutionResult, 1, generationTime));
+
+      // Every executed query, in order, for metadata.attempts
+      const attempts = [this.describeAttempt(1, 'generated', queryResult.query, firstExecutionResult)];
 
       if (firstExecutionResult.success) {
         // Success path - 70-80% of queries should reach here
@@ -767,106 +953,215 @@ Use the correct_clickhouse_query tool to provide your correction.`;
             totalTimeMs: totalTime,
             generationTimeMs: generationTime,
             correctionTimeMs: 0,
-            flowType: 'fast_path'
+            flowType: 'fast_path',
+            attempts
           }
         };
       }
 
       console.log(`❌ FIRST EXECUTION FAILED: ${firstExecutionResult.error}`);
-      console.log('🔄 ATTEMPTING ERROR CORRECTION...');
-
-      // Step 3: If execution failed, use correction agent (1 more LLM call)
-      const correctionResult = await this.correctQueryWithLLM(
-        queryResult.query,
-        firstExecutionResult.error,
-        userMessage,
-        cardType
-      );
-
-      if (!correctionResult.canCorrect || !correctionResult.correctedQuery) {
-        // Cannot correct the error
-        const totalTime = Date.now() - totalStartTime;
-        console.log(`❌ CORRECTION NOT POSSIBLE in ${totalTime}ms`);
-        console.log(`💭 User Message: ${correctionResult.userFriendlyMessage}`);
-        console.log('=======================================\n');
 
+      // Authorization failures and dry-run decisions are not something the
+      // correction agent should work around
+      const stopFlow = this.getStopFlowType(firstExecutionResult);
+      if (stopFlow) {
         return {
-          success: false,
-          error: correctionResult.userFriendlyMessage,
-          data: [],
-          query: queryResult.query,
-          explanation: queryResult.explanation,
-          cardType: queryResult.cardType,
-          columns: queryResult.columns,
+          ...firstExecutionResult,
           metadata: {
-            totalTimeMs: totalTime,
+            ...firstExecutionResult.metadata,
+            totalTimeMs: Date.now() - totalStartTime,
             generationTimeMs: generationTime,
-            executionTimeMs: firstExecutionResult.metadata?.executionTimeMs || 0,
-            correctionTimeMs: correctionResult.correctionTimeMs || 0,
-            flowType: 'correction_failed',
-            errorType: correctionResult.errorType,
-            originalError: firstExecutionResult.error
-          },
-          errorDetails: {
-            errorType: correctionResult.errorType,
-            explanation: correctionResult.explanation,
-            suggestedAlternatives: correctionResult.suggestedAlternatives
+            correctionTimeMs: 0,
+            flowType: stopFlow,
+            attempts
           }
         };
       }
 
-      console.log(`✅ CORRECTION SUCCESSFUL - Retrying with corrected query`);
-
-      // Step 4: Execute the corrected query
-      const correctedQueryResult = {
-        ...queryResult,
-        query: correctionResult.correctedQuery
-      };
-
-      const secondExecutionResult = await this.executeGeneratedQuery(correctedQueryResult);
-      const totalTime = Date.now() - totalStartTime;
-
-      if (secondExecutionResult.success) {
-        console.log(`🎉 CORRECTION PATH SUCCESS in ${totalTime}ms (2 LLM calls + 2 DB calls)`);
-        console.log('=======================================\n');
-
-        return {
-          ...secondExecutionResult,
-          metadata: {
-            ...secondExecutionResult.metadata,
-            totalTimeMs: totalTime,
-            generationTimeMs: generationTime,
-            correctionTimeMs: correctionResult.correctionTimeMs || 0,
-            flowType: 'correction_success',
-            originalQuery: queryResult.query,
-            correctedQuery: correctionResult.correctedQuery
+      // Step 3: Repair rounds. Each round tries a deterministic fix for the last error
+      // first (see query-repair.js) and only then spends a correction agent call.
+      const maxRounds = llmProvider.correction.maxRounds;
+      const tables = Object.values(await this.getSchemaContext(options.user));
+      const tried = new Set([queryResult.query]);
+      let correctionTime = 0;
+      let lastExecution = firstExecutionResult;
+      let lastQuery = queryResult.query;
+      let lastCorrection = null;
+
+      for (let round = 1; round <= maxRounds; round++) {
+        console.log(`🔄 CORRECTION ROUND ${round}/${maxRounds}...`);
+        this.emitProgress(options, 'correction', {
+          status: 'started',
+          round,
+          error: lastExecution.error,
+          metadata: { generationTimeMs: generationTime, correctionTimeMs: correctionTime }
+        });
+
+        let candidate = null;
+        let source = 'llm';
+        const repair = queryRepair.repair(lastQuery, lastExecution.error, tables);
+
+        if (repair.query && !tried.has(repair.query)) {
+          candidate = repair.query;
+          source = repair.type;
+          console.log(`🩹 DETERMINISTIC REPAIR: ${repair.description}`);
+          this.emitProgress(options, 'correction', {
+            status: 'repaired',
+            round,
+            repair: repair.type,
+            explanation: repair.description,
+            correctedQuery: candidate,
+            metadata: { generationTimeMs: generationTime, correctionTimeMs: correctionTime }
+          });
+        } else {
+          lastCorrection = await this.correctQueryWithLLM(
+            lastQuery,
+            lastExecution.error,
+            userMessage,
+            cardType,
+            { ...options, attempts, hints: repair.hints }
+          );
+          correctionTime += lastCorrection.correctionTimeMs || 0;
+
+          const corrected = lastCorrection.canCorrect && lastCorrection.correctedQuery &&
+            !tried.has(lastCorrection.correctedQuery);
+          this.emitProgress(options, 'correction', {
+            status: corrected ? 'corrected' : 'failed',
+            round,
+            correctedQuery: lastCorrection.correctedQuery || null,
+            errorType: lastCorrection.errorType,
+            explanation: lastCorrection.explanation,
+            metadata: { generationTimeMs: generationTime, correctionTimeMs: correctionTime }
+          });
+
+          if (!corrected) {
+            // Cannot correct the error (or the agent repeated an earlier query)
+            const totalTime = Date.now() - totalStartTime;
+            console.log(`❌ CORRECTION NOT POSSIBLE in ${totalTime}ms`);
+            console.log(`💭 User Message: ${lastCorrection.userFriendlyMessage}`);
+            console.log('=======================================\n');
+
+            return {
+              success: false,
+              error: lastCorrection.canCorrect
+                ? `Query still failed after ${round - 1} correction round(s): ${lastExecution.error}`
+                : lastCorrection.userFriendlyMessage,
+              data: [],
+              query: lastQuery,
+              explanation: queryResult.explanation,
+              cardType: queryResult.cardType,
+              columns: queryResult.columns,
+              metadata: {
+                totalTimeMs: totalTime,
+                generationTimeMs: generationTime,
+                executionTimeMs: lastExecution.metadata?.executionTimeMs || 0,
+                correctionTimeMs: correctionTime,
+                correctionRounds: round,
+                flowType: 'correction_failed',
+                errorType: lastCorrection.errorType,
+                originalError: firstExecutionResult.error,
+                attempts
+              },
+              errorDetails: {
+                errorType: lastCorrection.errorType,
+                explanation: lastCorrection.explanation,
+                suggestedAlternatives: lastCorrection.suggestedAlternatives
+              }
+            };
           }
-        };
-      } else {
-        console.log(`❌ CORRECTED QUERY ALSO FAILED in ${totalTime}ms`);
-        console.log('=======================================\n');
 
-        return {
-          success: false,
-          error: `Even the corrected query failed: ${secondExecutionResult.error}`,
-          data: [],
-          query: correctionResult.correctedQuery,
-          explanation: queryResult.explanation,
+          candidate = lastCorrection.correctedQuery;
+        }
+
+        // Step 4: Execute the repaired query
+        tried.add(candidate);
+        this.emitProgress(options, 'sql', {
+          query: candidate,
           cardType: queryResult.cardType,
           columns: queryResult.columns,
-          metadata: {
-            totalTimeMs: totalTime,
-            generationTimeMs: generationTime,
-            correctionTimeMs: correctionResult.correctionTimeMs || 0,
-            flowType: 'correction_also_failed',
-            originalQuery: queryResult.query,
-            correctedQuery: correctionResult.correctedQuery,
-            originalError: firstExecutionResult.error,
-            correctedError: secondExecutionResult.error
-          }
-        };
+          attempt: round + 1,
+          metadata: { generationTimeMs: generationTime, correctionTimeMs: correctionTime }
+        });
+
+        const execution = await this.executeGeneratedQuery({ ...queryResult, query: candidate }, options);
+        this.emitProgress(options, 'execution', this.executionProgress(execution, round + 1, generationTime));
+        attempts.push(this.describeAttempt(round + 1, source, candidate, execution));
+
+        if (execution.success) {
+          const totalTime = Date.now() - totalStartTime;
+          console.log(`🎉 CORRECTION PATH SUCCESS in ${totalTime}ms (round ${round})`);
+          console.log('=======================================\n');
+
+          return {
+            ...execution,
+            metadata: {
+              ...execution.metadata,
+              totalTimeMs: totalTime,
+              generationTimeMs: generationTime,
+              correctionTimeMs: correctionTime,
+              correctionRounds: round,
+              flowType: 'correction_success',
+              originalQuery: queryResult.query,
+              correctedQuery: candidate,
+              attempts
+            }
+          };
+        }
+
+        const roundStopFlow = this.getStopFlowType(execution);
+        if (roundStopFlow) {
+          return {
+            ...execution,
+            metadata: {
+              ...execution.metadata,
+              totalTimeMs: Date.now() - totalStartTime,
+              generationTimeMs: generationTime,
+              correctionTimeMs: correctionTime,
+              correctionRounds: round,
+              flowType: roundStopFlow,
+              attempts
+            }
+          };
+        }
+
+        console.log(`❌ ROUND ${round} QUERY FAILED: ${execution.error}`);
+        lastExecution = execution;
+        lastQuery = candidate;
       }
 
+      const totalTime = Date.now() - totalStartTime;
+      console.log(`❌ CORRECTION ROUNDS EXHAUSTED in ${totalTime}ms`);
+      console.log('=======================================\n');
+
+      return {
+        success: false,
+        error: maxRounds > 0
+          ? `Query still failed after ${maxRounds} correction round(s): ${lastExecution.error}`
+          : lastExecution.error,
+        data: [],
+        query: lastQuery,
+        explanation: queryResult.explanation,
+        cardType: queryResult.cardType,
+        columns: queryResult.columns,
+        metadata: {
+          totalTimeMs: totalTime,
+          generationTimeMs: generationTime,
+          correctionTimeMs: correctionTime,
+          correctionRounds: maxRounds,
+          flowType: maxRounds > 0 ? 'correction_exhausted' : 'execution_failed',
+          originalQuery: queryResult.query,
+          correctedQuery: lastQuery !== queryResult.query ? lastQuery : null,
+          originalError: firstExecutionResult.error,
+          correctedError: lastQuery !== queryResult.query ? lastExecution.error : null,
+          attempts
+        },
+        errorDetails: lastCorrection ? {
+          errorType: lastCorrection.errorType,
+          explanation: lastCorrection.explanation,
+          suggestedAlternatives: lastCorrection.suggestedAlternatives
+        } : undefined
+      };
+
     } catch (error) {
       const totalTime = Date.now() - totalStartTime;
       console.error('Error in optimized pipeline:', error);
@@ -888,14 +1183,49 @@ Use the correct_clickhouse_query tool to provide your correction.`;
     }
   }
 
-  // Get available tables and their schemas
-  getAvailableSchemas() {
-    return this.tableSchema;
+  // Failed executions that end the pipeline instead of starting a correction round
+  getStopFlowType(executionResult) {
+    if (executionResult.accessDenied) return 'access_denied';
+    if (executionResult.refused) return 'dry_run_refused';
+    if (executionResult.confirmationRequired) return 'confirmation_required';
+    return null;
+  }
+
+  // One entry of metadata.attempts
+  describeAttempt(attempt, source, query, executionResult) {
+    return {
+      attempt,
+      source,
+      query,
+      success: executionResult.success,
+      error: executionResult.success ? null : executionResult.error,
+      executionTimeMs: executionResult.metadata?.executionTimeMs || 0
+    };
+  }
+
+  // Progress event for one execution attempt (rows are only sent with the final result)
+  executionProgress(executionResult, attempt, generationTime) {
+    return {
+      attempt,
+      success: executionResult.success,
+      error: executionResult.success ? null : executionResult.error,
+      rowCount: executionResult.success ? executionResult.metadata.rowCount : 0,
+      metadata: {
+        generationTimeMs: generationTime,
+        executionTimeMs: executionResult.metadata?.executionTimeMs || 0
+      }
+    };
+  }
+
+  // Get available tables and their schemas (only what the user may see)
+  async getAvailableSchemas(user = null) {
+    return await this.getSchemaContext(user);
   }
 
   // Get schema for specific table
-  getTableSchema(tableName) {
-    return this.tableSchema[tableName] || null;
+  async getTableSchema(tableName, user = null) {
+    const tables = await this.getSchemaContext(user);
+    return tables[tableName] || null;
   }
 }
 
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const clickhouseService = require('./clickhouse-service');
+const authService = require('./auth-service');
+const dataPolicy = require('./data-policy');
+const filterBuilder = require('./filter-builder');
+const sqlAnalyzer = require('./sql-analyzer');
+
+const DEFAULT_METRICS_PATH = path.join(__dirname, '..', 'config', 'metrics.json');
+
+// Time grain -> ClickHouse function that truncates a Date/DateTime to it
+const TIME_GRAINS = {
+  hour: 'toStartOfHour',
+  day: 'toDate',
+  week: 'toMonday',
+  month: 'toStartOfMonth',
+  quarter: 'toStartOfQuarter',
+  year: 'toStartOfYear'
+};
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+
+// Named metrics, dimensions and segments from config/metrics.json (or METRICS_PATH),
+// so chat, KPI cards and analytics compute "attendance rate" the same way.
+// Per table:
+//   metrics     name -> { sql, label, description }   aggregate expression
+//   dimensions  name -> { sql, label, type, defaultGrain }   type "time" groups by a time grain
+//   segments    name -> { sql, description }   reusable WHERE condition
+// Metric names are unique across tables; a request reads one table.
+class MetricsLayer {
+  constructor() {
+    this.metricsPath = process.env.METRICS_PATH || DEFAULT_METRICS_PATH;
+    this.tables = this.loadRegistry().tables || {};
+    this.metrics = {};
+    Object.entries(this.tables).forEach(([tableName, table]) => {
+      Object.entries(table.metrics || {}).forEach(([name, metric]) => {
+        if (this.metrics[name]) {
+          console.warn(`⚠️ Metric ${name} is defined for ${this.metrics[name].table} and ${tableName}; keeping ${this.metrics[name].table}`);
+          return;
+        }
+        this.metrics[name] = { ...metric, name, table: tableName };
+      });
+    });
+  }
+
+  loadRegistry() {
+    try {
+      return JSON.parse(fs.readFileSync(this.metricsPath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Could not load metrics registry ${this.metricsPath}:`, error.message);
+      return { tables: {} };
+    }
+  }
+
+  // Whether every column `sql` reads is allowed for the user (allowlist and data policy)
+  canUse(user, tableName, sql, options = {}) {
+    if (!authService.canAccessTable(user, tableName)) return false;
+    if (dataPolicy.isTableDenied(user, tableName, options)) return false;
+
+    const allowedColumns = authService.getAllowedColumns(user, tableName);
+    const denied = dataPolicy.getDeniedColumns(user, tableName, options);
+    return sqlAnalyzer.getIdentifiers(sql).every(name =>
+      !denied.includes(name) && (!allowedColumns || allowedColumns.includes(name))
+    );
+  }
+
+  // Registry entries the user may use, grouped by table (for GET /api/metrics and prompts)
+  list(user, options = {}) {
+    const tables = {};
+    Object.entries(this.tables).forEach(([tableName, table]) => {
+      const usable = entries => Object.entries(entries || {})
+        .filter(([, entry]) => this.canUse(user, tableName, entry.sql, options))
+        .map(([name, entry]) => ({ name, ...entry }));
+
+      const metrics = usable(table.metrics).filter(metric => this.metrics[metric.name].table === tableName);
+      if (metrics.length === 0) return;
+
+      tables[tableName] = {
+        metrics,
+        dimensions: usable(table.dimensions),
+        segments: usable(table.segments)
+      };
+    });
+    return tables;
+  }
+
+  // Registry text for the query generator prompt
+  formatForPrompt(user, tableNames) {
+    const tables = this.list(user, { generated: true });
+    const sections = tableNames
+      .filter(tableName => tables[tableName])
+      .map(tableName => {
+        const { metrics, dimensions, segments } = tables[tableName];
+        const lines = [`TABLE ${tableName}`];
+        metrics.forEach(metric => lines.push(`- metric ${metric.name}: ${metric.description} = ${metric.sql}`));
+        dimensions.forEach(dimension => lines.push(`- dimension ${dimension.name}: ${dimension.sql}${dimension.type === 'time' ? ` (time, default grain ${dimension.defaultGrain || 'day'})` : ''}`));
+        segments.forEach(segment => lines.push(`- segment ${segment.name}: ${segment.description} = ${segment.sql}`));
+        return lines.join('\n');
+      });
+    return sections.join('\n\n');
+  }
+
+  // Compile { metrics, dimensions, timeGrain, segments, filters, orderBy, limit } to SQL.
+  // Filters use the structured filter format and may name a dimension or a column.
+  // options.labels aliases metrics with their labels (KPI titles) instead of their names.
+  // Returns { query, params, table, columns } or { error }.
+  async compile(request = {}, { labels = false } = {}) {
+    const metricNames = Array.isArray(request.metrics) ? request.metrics : [];
+    if (metricNames.length === 0) {
+      return { error: `metrics must list at least one metric. Available: ${Object.keys(this.metrics).join(', ')}` };
+    }
+
+    const unknown = metricNames.find(name => !this.metrics[name]);
+    if (unknown) {
+      return { error: `Unknown metric "${unknown}". Available: ${Object.keys(this.metrics).join(', ')}` };
+    }
+
+    const tableName = this.metrics[metricNames[0]].table;
+    const foreign = metricNames.find(name => this.metrics[name].table !== tableName);
+    if (foreign) {
+      return { error: `Metric ${foreign} reads ${this.metrics[foreign].table}; all metrics in a request must come from ${tableName}` };
+    }
+
+    const table = this.tables[tableName];
+    const schema = await clickhouseService.getTableSchema(tableName);
+
+    // Dimensions, with time dimensions truncated to the requested (or default) grain
+    const dimensions = [];
+    for (const name of request.dimensions || []) {
+      const dimension = (table.dimensions || {})[name];
+      if (!dimension) {
+        return { error: `Unknown dimension "${name}" for ${tableName}. Available: ${Object.keys(table.dimensions || {}).join(', ')}` };
+      }
+
+      let expression = dimension.sql;
+      let grain = null;
+      if (dimension.type === 'time') {
+        grain = request.timeGrain || dimension.defaultGrain || 'day';
+        if (!TIME_GRAINS[grain]) {
+          return { error: `Unknown timeGrain "${grain}". Use one of: ${Object.keys(TIME_GRAINS).join(', ')}` };
+        }
+        const column = schema.find(col => col.name === dimension.sql);
+        if (grain === 'hour' && column && !/^DateTime/.test(filterBuilder.baseType(column.type))) {
+          return { error: `Dimension ${name} is a date; the smallest grain is day` };
+        }
+        expression = `${TIME_GRAINS[grain]}(${dimension.sql})`;
+      }
+      dimensions.push({ name, expression, grain, label: dimension.label || name, time: dimension.type === 'time' });
+    }
+
+    const conditions = [];
+    for (const name of request.segments || []) {
+      const segment = (table.segments || {})[name];
+      if (!segment) {
+        return { error: `Unknown segment "${name}" for ${tableName}. Available: ${Object.keys(table.segments || {}).join(', ')}` };
+      }
+      conditions.push(`(${segment.sql})`);
+    }
+
+    // Filters may name a dimension backed by a plain column
+    let params = {};
+    try {
+      const filters = filterBuilder.normalizeFilters(request.filters).map(filter => {
+        const dimension = (table.dimensions || {})[filter.field];
+        return dimension && schema.some(col => col.name === dimension.sql)
+          ? { ...filter, field: dimension.sql }
+          : filter;
+      });
+      const built = filterBuilder.build(filters, schema, {
+        paramPrefix: 'metric_filter',
+        quoteIdentifier: name => clickhouseService.quoteIdentifier(name)
+      });
+      conditions.push(...built.conditions);
+      params = built.params;
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    const metrics = metricNames.map(name => ({
+      name,
+      expression: this.metrics[name].sql,
+      label: this.metrics[name].label || name
+    }));
+    const outputName = metric => (labels ? metric.label : metric.name);
+
+    const limit = request.limit === undefined || request.limit === null ? DEFAULT_LIMIT : parseInt(request.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+    }
+
+    const orderBy = this.buildOrderBy(request.orderBy, dimensions, metrics, outputName);
+    if (orderBy.error) return orderBy;
+
+    // Inner aliases (__d0, __m0) keep output names from shadowing columns in
+    // WHERE/GROUP BY (ClickHouse resolves aliases before columns)
+    const quote = name => clickhouseService.quoteIdentifier(name);
+    const inner = [
+      ...dimensions.map((dimension, index) => `${dimension.expression} AS __d${index}`),
+      ...metrics.map((metric, index) => `${metric.expression} AS __m${index}`)
+    ];
+    const outer = [
+      ...dimensions.map((dimension, index) => `__d${index} AS ${quote(dimension.name)}`),
+      ...metrics.map((metric, index) => `__m${index} AS ${quote(outputName(metric))}`)
+    ];
+
+    const innerQuery = [
+      `SELECT ${inner.join(', ')} FROM ${quote(tableName)}`,
+      conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : null,
+      dimensions.length > 0 ? `GROUP BY ${dimensions.map((_, index) => `__d${index}`).join(', ')}` : null
+    ].filter(Boolean).join(' ');
+    const query = [
+      `SELECT ${outer.join(', ')} FROM (${innerQuery})`,
+      orderBy.clause,
+      `LIMIT ${limit}`
+    ].filter(Boolean).join(' ');
+
+    return {
+      query,
+      params,
+      table: tableName,
+      columns: [
+        ...dimensions.map(dimension => ({ name: dimension.name, label: dimension.label, role: 'dimension', grain: dimension.grain })),
+        ...metrics.map(metric => ({ name: outputName(metric), label: metric.label, role: 'metric', metric: metric.name }))
+      ]
+    };
+  }
+
+  // ORDER BY on output names: the request's { field, direction } list, otherwise time
+  // dimensions ascending, otherwise the first metric descending
+  buildOrderBy(orderBy, dimensions, metrics, outputName) {
+    const quote = name => clickhouseService.quoteIdentifier(name);
+    const entries = orderBy ? (Array.isArray(orderBy) ? orderBy : [orderBy]) : null;
+
+    if (entries) {
+      const names = [...dimensions.map(dimension => dimension.name), ...metrics.map(metric => metric.name)];
+      const parts = [];
+      for (const entry of entries) {
+        const field = typeof entry === 'string' ? entry : entry.field;
+        const direction = String(entry.direction || 'ASC').toUpperCase();
+        if (!names.includes(field)) {
+          return { error: `Cannot order by "${field}": use one of ${names.join(', ')}` };
+        }
+        if (!['ASC', 'DESC'].includes(direction)) {
+          return { error: `Invalid order direction "${direction}"` };
+        }
+        const metric = metrics.find(item => item.name === field);
+        parts.push(`${quote(metric ? outputName(metric) : field)} ${direction}`);
+      }
+      return { clause: parts.length > 0 ? `ORDER BY ${parts.join(', ')}` : null };
+    }
+
+    const time = dimensions.filter(dimension => dimension.time);
+    if (time.length > 0) {
+      return { clause: `ORDER BY ${time.map(dimension => `${quote(dimension.name)} ASC`).join(', ')}` };
+    }
+    if (dimensions.length > 0) {
+      return { clause: `ORDER BY ${quote(outputName(metrics[0]))} DESC` };
+    }
+    return { clause: null };
+  }
+
+  // Substitute {name:Type} parameters with literals, for SQL that is stored and
+  // re-run without its parameters (chat-generated cards)
+  inlineParams(query, params) {
+    const literal = (value, type) => {
+      if (Array.isArray(value)) {
+        const itemType = (type.match(/^Array\((.*)\)$/) || [])[1] || 'String';
+        return `[${value.map(item => literal(item, itemType)).join(', ')}]`;
+      }
+      if (filterBuilder.columnKind(type) === 'numeric') {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+          throw new Error(`Invalid numeric filter value "${value}"`);
+        }
+        return String(number);
+      }
+      return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    };
+
+    return query.replace(/\{(\w+):([^{}]+)\}/g, (match, name, type) =>
+      Object.prototype.hasOwnProperty.call(params, name) ? literal(params[name], type) : match
+    );
+  }
+}
+
+module.exports = new MetricsLayer();
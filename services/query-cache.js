@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sqlAnalyzer = require('./sql-analyzer');
+
+const DEFAULT_QUERY_CACHE_PATH = path.join(__dirname, '..', 'config', 'query-cache.json');
+
+// Tag for entries built from system.tables itself (the table list), dropped on any table change
+const TABLE_LIST = 'system.tables';
+
+// JSON with object keys sorted, so equal parameters always give the same key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Default backend: an in-process LRU bounded by entry count and approximate size.
+// The map's insertion order is the eviction order.
+//
+// Any object with the same methods can replace it (queryCache.setBackend), e.g. one
+// shared by several server processes. Methods may return promises:
+//   get(key)          entry or null; counts as a use for eviction
+//   set(key, entry)   entry is { value, route, tables, size, createdAt, expiresAt }
+//   delete(key)
+//   clear()
+//   entries()         iterable of [key, entry] without counting as a use
+class MemoryBackend {
+  constructor({ maxEntries, maxBytes }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.store = new Map();
+    this.bytes = 0;
+  }
+
+  get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    this.store.delete(key);
+    this.store.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    this.delete(key);
+    this.store.set(key, entry);
+    this.bytes += entry.size;
+    while (this.store.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.store.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this.store.get(key);
+    if (!entry) return;
+    this.store.delete(key);
+    this.bytes -= entry.size;
+  }
+
+  clear() {
+    this.store.clear();
+    this.bytes = 0;
+  }
+
+  entries() {
+    return Array.from(this.store.entries());
+  }
+}
+
+// Result cache for read queries. Keys are a hash of the route, the normalized SQL
+// (comments and whitespace dropped, keywords upper-cased), the bound parameters,
+// the caller's tenant scope (role, table allowlist, client IDs) and any extra
+// request options such as the page. Every entry remembers the tables its SQL
+// reads, so it can be dropped when one of them changes:
+//   - manually, with invalidateTables() (POST /api/cache/invalidate)
+//   - automatically, when a table's system.tables entry changes (see watch)
+// Other caches of table data (vector tiles) follow along through onInvalidate().
+//
+// config/query-cache.json (or QUERY_CACHE_PATH):
+//   enabled             false turns every route off
+//   maxEntries          entries kept before the least recently used are evicted
+//   maxBytes            approximate total size (JSON length) kept
+//   maxEntryBytes       larger results are not cached
+//   defaultTtlSeconds   TTL for routes without an entry
+//   routes              route -> TTL in seconds (0 = not cached); route names match query-limits.json
+//   watch.intervalSeconds  how often system.tables is compared (0 = never)
+class QueryCache {
+  constructor() {
+    this.cachePath = process.env.QUERY_CACHE_PATH || DEFAULT_QUERY_CACHE_PATH;
+    this.config = this.loadConfig();
+    this.backend = new MemoryBackend(this.config);
+    this.tableVersions = null;
+    this.watcher = null;
+    this.listeners = [];
+  }
+
+  loadConfig() {
+    let config = {};
+    try {
+      config = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Could not load query cache config ${this.cachePath}:`, error.message);
+    }
+
+    const positive = (value, fallback) => (Number.isInteger(value) && value > 0 ? value : fallback);
+    const seconds = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+    const defaultTtlSeconds = seconds(config.defaultTtlSeconds, 60);
+    const routes = {};
+    Object.entries(config.routes || {}).forEach(([route, ttl]) => {
+      routes[route] = seconds(ttl, defaultTtlSeconds) * 1000;
+    });
+
+    return {
+      enabled: config.enabled !== false,
+      maxEntries: positive(config.maxEntries, 1000),
+      maxBytes: positive(config.maxBytes, 64 * 1024 * 1024),
+      maxEntryBytes: positive(config.maxEntryBytes, 8 * 1024 * 1024),
+      defaultTtlMs: defaultTtlSeconds * 1000,
+      routes,
+      watchIntervalMs: seconds((config.watch || {}).intervalSeconds, 30) * 1000
+    };
+  }
+
+  // Replace the storage backend (see MemoryBackend for the interface)
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  // TTL for a route in milliseconds; 0 when the route is not cached
+  getTtl(route) {
+    if (!this.config.enabled) return 0;
+    return this.config.routes[route] !== undefined ? this.config.routes[route] : this.config.defaultTtlMs;
+  }
+
+  // Comments and whitespace dropped and keywords upper-cased, so formatting does not split entries
+  normalizeSql(sql) {
+    try {
+      return sqlAnalyzer.tokenize(sql)
+        .map(token => (sqlAnalyzer.isKeyword(token) ? token.upper : sql.slice(token.position, token.end)))
+        .join(' ');
+    } catch (error) {
+      return String(sql).trim().replace(/\s+/g, ' ');
+    }
+  }
+
+  // Everything about the caller that can change what a query returns
+  scopeKey(user) {
+    if (!user) return null;
+    return {
+      role: user.role,
+      tables: user.tables,
+      clientIds: [...(user.clientIds || [])].map(String).sort()
+    };
+  }
+
+  buildKey({ route, sql, params = {}, user = null, extra = null }) {
+    return crypto.createHash('sha256')
+      .update(stableStringify([route, this.normalizeSql(sql), params, this.scopeKey(user), extra]))
+      .digest('hex');
+  }
+
+  // Tables a query reads (FROM/JOIN targets, inside subqueries too); database-qualified
+  // references are listed both ways, e.g. system.tables and tables
+  getTables(sql) {
+    try {
+      const names = sqlAnalyzer.getTableReferences(sql).tables
+        .flatMap(table => (table.database ? [`${table.database}.${table.name}`, table.name] : [table.name]));
+      return Array.from(new Set(names));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Cached { value, age } (age in seconds) or null
+  async get(key) {
+    const entry = await this.backend.get(key);
+    if (!entry) return null;
+    if (Date.now() >= entry.expiresAt) {
+      await this.backend.delete(key);
+      return null;
+    }
+    return { value: entry.value, age: Math.floor((Date.now() - entry.createdAt) / 1000) };
+  }
+
+  async set(key, value, { route, ttl, tables }) {
+    const size = Buffer.byteLength(JSON.stringify(value) || '');
+    if (size > this.config.maxEntryBytes) return;
+    const now = Date.now();
+    await this.backend.set(key, { value, route, tables, size, createdAt: now, expiresAt: now + ttl });
+  }
+
+  // Run `load` through the cache. `sql`, `params`, `user` and `extra` make up the key;
+  // `tables` overrides the tables read from the SQL; `bypass` skips the lookup but
+  // still stores the fresh result. Failed results ({ success: false }) are not stored.
+  // Returns { value, cache } where cache is { status: 'HIT'|'MISS', age } or null
+  // when the route is not cached.
+  async wrap({ route, sql, params = {}, user = null, extra = null, tables = null, bypass = false }, load) {
+    const ttl = this.getTtl(route);
+    if (!ttl) {
+      return { value: await load(), cache: null };
+    }
+
+    const key = this.buildKey({ route, sql, params, user, extra });
+    if (!bypass) {
+      const cached = await this.get(key);
+      if (cached) {
+        return { value: cached.value, cache: { status: 'HIT', age: cached.age } };
+      }
+    }
+
+    const value = await load();
+    if (value && value.success !== false) {
+      await this.set(key, value, { route, ttl, tables: tables || this.getTables(sql) });
+    }
+    return { value, cache: { status: 'MISS', age: 0 } };
+  }
+
+  // Call `listener(tables)` whenever entries are dropped (tables is null when everything
+  // is cleared); it may return the number of entries it dropped itself
+  onInvalidate(listener) {
+    this.listeners.push(listener);
+  }
+
+  async notify(tables) {
+    const counts = await Promise.all(this.listeners.map(listener => listener(tables)));
+    return counts.reduce((sum, count) => sum + (Number(count) || 0), 0);
+  }
+
+  // Drop every entry that reads one of `tables`, here and in the caches registered
+  // with onInvalidate(); returns the number removed
+  async invalidateTables(tables) {
+    const names = new Set(tables);
+    const entries = Array.from(await this.backend.entries());
+    const stale = entries.filter(([, entry]) => (entry.tables || []).some(name => names.has(name)));
+    for (const [key] of stale) {
+      await this.backend.delete(key);
+    }
+    if (stale.length > 0) {
+      console.log(`🧹 Query cache: dropped ${stale.length} entries for ${Array.from(names).join(', ')}`);
+    }
+    return stale.length + await this.notify(Array.from(names));
+  }
+
+  // Drop everything, including the caches registered with onInvalidate(); returns the number removed
+  async clear() {
+    const count = Array.from(await this.backend.entries()).length;
+    await this.backend.clear();
+    return count + await this.notify(null);
+  }
+
+  // Client asked for fresh data (Cache-Control: no-cache or no-store)
+  wantsBypass(req) {
+    return /\bno-(cache|store)\b/i.test(req.get('Cache-Control') || '');
+  }
+
+  // X-Cache: HIT|MISS and Age (seconds since the result was computed)
+  setHeaders(res, cache) {
+    if (!cache || res.headersSent) return;
+    res.set('X-Cache', cache.status);
+    res.set('Age', String(cache.age));
+  }
+
+  // Compare table versions from `loadVersions` (table -> fingerprint) with the last
+  // check and drop entries of tables that changed, appeared or disappeared. The first
+  // call only records the versions. Returns the changed table names.
+  async checkTableVersions(loadVersions) {
+    const versions = await loadVersions();
+    const previous = this.tableVersions;
+    this.tableVersions = versions;
+    if (!previous) return [];
+
+    const names = new Set([...previous.keys(), ...versions.keys()]);
+    const changed = Array.from(names).filter(name => previous.get(name) !== versions.get(name));
+    if (changed.length > 0) {
+      await this.invalidateTables([...changed, TABLE_LIST]);
+    }
+    return changed;
+  }
+
+  // Check table versions every watch.intervalSeconds (does not keep the process alive)
+  startWatching(loadVersions) {
+    this.stopWatching();
+    if (!this.config.enabled || !this.config.watchIntervalMs) return;
+
+    const check = () => this.checkTableVersions(loadVersions).catch(error => {
+      console.warn('⚠️ Query cache: could not check table versions:', error.message);
+    });
+    check();
+    this.watcher = setInterval(check, this.config.watchIntervalMs);
+    this.watcher.unref();
+    console.log(`👀 Query cache watching system.tables every ${this.config.watchIntervalMs / 1000}s`);
+  }
+
+  stopWatching() {
+    if (this.watcher) {
+      clearInterval(this.watcher);
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = new QueryCache();
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const limitsConfig = require('../config/query-limits.json');
+const clickhouseService = require('./clickhouse-service');
+
+const NUMERIC_LIMITS = ['max_execution_time', 'max_result_rows', 'max_memory_usage'];
+const QUERY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// ClickHouse resource limits and cancellation for request-scoped queries.
+//
+// Limits come from config/query-limits.json: the route's settings override the
+// defaults, and a role's numeric limits cap them (the stricter value wins).
+// Every request gets a query ID (the client may choose one with X-Query-Id) that
+// is attached to its ClickHouse calls, returned in the X-Query-Id header and
+// can be cancelled with DELETE /api/queries/running/:queryId.
+// The dryRun section sets how many estimated rows a query may scan before it needs
+// confirmation (confirmRows) or is refused (maxRows); roles can only lower them.
+class QueryLimits {
+  constructor(config = limitsConfig) {
+    this.defaults = config.default || {};
+    this.routes = config.routes || {};
+    this.roles = config.roles || {};
+    this.dryRun = config.dryRun || {};
+    this.running = new Map();
+  }
+
+  // Effective ClickHouse settings for a route and role
+  getSettings(route, role) {
+    const routeSettings = { ...this.defaults, ...(this.routes[route] || {}) };
+    const roleSettings = this.roles[role] || {};
+
+    const settings = { ...routeSettings };
+    NUMERIC_LIMITS.forEach(name => {
+      if (roleSettings[name] !== undefined) {
+        settings[name] = settings[name] !== undefined
+          ? Math.min(settings[name], roleSettings[name])
+          : roleSettings[name];
+      }
+    });
+    if (roleSettings.readonly !== undefined) {
+      settings.readonly = roleSettings.readonly;
+    }
+
+    // Let ClickHouse stop read-only queries when the HTTP connection goes away
+    if (settings.readonly) {
+      settings.cancel_http_readonly_queries_on_client_close = 1;
+    }
+
+    return settings;
+  }
+
+  // Estimated-row thresholds for a role: { confirmRows, maxRows } (null = no limit)
+  getDryRunThresholds(role) {
+    const roleThresholds = (this.dryRun.roles || {})[role] || {};
+    const thresholds = {};
+    ['confirmRows', 'maxRows'].forEach(name => {
+      const values = [this.dryRun[name], roleThresholds[name]].filter(value => Number.isFinite(value));
+      thresholds[name] = values.length > 0 ? Math.min(...values) : null;
+    });
+    return thresholds;
+  }
+
+  // Decide whether an EXPLAIN ESTIMATE result may run:
+  // { decision: 'allow' | 'confirm' | 'refuse', reason, thresholds }.
+  // `confirmed` skips the confirmation threshold but never the hard limit.
+  assessEstimate(estimate, role, { confirmed = false } = {}) {
+    const thresholds = this.getDryRunThresholds(role);
+    if (!estimate) {
+      return { decision: 'allow', reason: null, thresholds };
+    }
+
+    const rows = estimate.rows.toLocaleString('en-US');
+    if (thresholds.maxRows !== null && estimate.rows > thresholds.maxRows) {
+      return {
+        decision: 'refuse',
+        reason: `Query would scan about ${rows} rows, above the limit of ${thresholds.maxRows.toLocaleString('en-US')}. Add filters (e.g. a date range) to narrow it down.`,
+        thresholds
+      };
+    }
+    if (!confirmed && thresholds.confirmRows !== null && estimate.rows > thresholds.confirmRows) {
+      return {
+        decision: 'confirm',
+        reason: `Query would scan about ${rows} rows across ${estimate.parts} parts and needs confirmation to run.`,
+        thresholds
+      };
+    }
+    return { decision: 'allow', reason: null, thresholds };
+  }
+
+  // Create the execution context for a request: { queryId, settings, signal }.
+  // The ClickHouse query is aborted and killed if the client disconnects first.
+  createContext(req, res, route) {
+    const requestedId = req.get('X-Query-Id');
+    const queryId = requestedId && QUERY_ID_PATTERN.test(requestedId) && !this.running.has(requestedId)
+      ? requestedId
+      : crypto.randomUUID();
+    const controller = new AbortController();
+
+    this.running.set(queryId, {
+      queryId,
+      route,
+      owner: req.user ? req.user.id : null,
+      startedAt: new Date().toISOString(),
+      controller
+    });
+    res.set('X-Query-Id', queryId);
+
+    res.on('close', () => {
+      this.running.delete(queryId);
+      if (!res.writableFinished) {
+        console.log(`🔌 Client disconnected, cancelling query ${queryId}`);
+        this.abort(queryId, controller);
+      }
+    });
+
+    return {
+      queryId,
+      settings: this.getSettings(route, req.user ? req.user.role : null),
+      signal: controller.signal
+    };
+  }
+
+  // Stop waiting for the query locally and kill it on the server
+  abort(queryId, controller) {
+    controller.abort();
+    clickhouseService.killQuery(queryId).catch(error => {
+      console.warn(`Could not kill query ${queryId}:`, error.message);
+    });
+  }
+
+  getRunning(queryId) {
+    return this.running.get(queryId) || null;
+  }
+
+  // Cancel a running request's queries. Returns { success, status, error }.
+  async cancel(queryId, user, { canCancelAny = false } = {}) {
+    const entry = this.getRunning(queryId);
+    if (!entry) {
+      return { success: false, status: 404, error: `Query ${queryId} is not running` };
+    }
+    if (!canCancelAny && (!user || entry.owner !== user.id)) {
+      return { success: false, status: 403, error: 'You can only cancel your own queries' };
+    }
+
+    entry.controller.abort();
+    await clickhouseService.killQuery(queryId);
+    this.running.delete(queryId);
+
+    return { success: true, status: 200 };
+  }
+}
+
+module.exports = new QueryLimits();
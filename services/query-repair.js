@@ -0,0 +1,255 @@
+const sqlAnalyzer = require('./sql-analyzer');
+
+// Aggregate function names, including ClickHouse combinators (sumIf, uniqExact, quantileTDigest, ...)
+const AGGREGATE_PATTERN = /^(count|sum|avg|min|max|any|anyLast|anyHeavy|argMin|argMax|uniq\w*|groupArray\w*|groupUniqArray|groupBit\w*|median\w*|quantile\w*|stddev\w*|var\w*|covar\w*|corr|topK\w*|sumMap|minMap|maxMap)(If|Distinct|OrNull|OrDefault|Array|Merge|State)*$/i;
+
+// Keywords that end a top-level WHERE/GROUP BY/HAVING clause
+const CLAUSE_END = new Set(['GROUP', 'HAVING', 'ORDER', 'LIMIT', 'SETTINGS', 'UNION', 'EXCEPT', 'INTERSECT', 'WINDOW', 'QUALIFY', 'FORMAT', 'WITH']);
+
+const MAX_SUGGESTIONS = 3;
+
+// Deterministic repairs for common ClickHouse errors, tried before asking the
+// correction agent for another round:
+//   unknown identifier     -> replace it with the nearest schema column (when there is
+//                             exactly one close match), otherwise pass suggestions as hints
+//   aggregate in WHERE     -> move the aggregate conditions to HAVING
+class QueryRepair {
+  // Returns { query, type, description, hints } where query is null when no
+  // deterministic fix applies. `tables` are schema-catalog tables ({ name, columns }).
+  repair(query, error, tables = []) {
+    const message = String(error || '');
+    const result = { query: null, type: null, description: null, hints: [] };
+
+    let tokens;
+    try {
+      tokens = sqlAnalyzer.tokenize(query);
+    } catch (parseError) {
+      return result;
+    }
+
+    const unknown = this.getUnknownIdentifiers(message);
+    if (unknown.length > 0) {
+      const columns = this.getCandidateColumns(tokens, tables);
+      for (const name of unknown) {
+        const suggestions = this.suggestColumns(name, columns);
+        if (suggestions.length === 0) {
+          result.hints.push(`Column ${name} does not exist in the referenced tables`);
+          continue;
+        }
+
+        result.hints.push(`Column ${name} does not exist; nearest schema columns: ${suggestions.map(s => s.name).join(', ')}`);
+
+        const [best, second] = suggestions;
+        const unique = !second || second.distance > best.distance;
+        if (!result.query && unique) {
+          const replaced = this.replaceIdentifier(query, tokens, name, best.name);
+          if (replaced !== query) {
+            result.query = replaced;
+            result.type = 'unknown_identifier';
+            result.description = `Replaced unknown column ${name} with ${best.name}`;
+          }
+        }
+      }
+      return result;
+    }
+
+    if (/found in WHERE|ILLEGAL_AGGREGATION/i.test(message)) {
+      const moved = this.moveAggregatesToHaving(query, tokens);
+      if (moved) {
+        result.query = moved;
+        result.type = 'aggregate_in_where';
+        result.description = 'Moved aggregate conditions from WHERE to HAVING';
+      } else {
+        result.hints.push('Aggregate functions cannot be used in WHERE; filter on them in HAVING');
+      }
+    }
+
+    return result;
+  }
+
+  // Identifier names from the error message formats of current and older ClickHouse versions
+  getUnknownIdentifiers(message) {
+    const names = new Set();
+
+    const missing = message.match(/Missing columns?:\s*((?:'[^']+'\s*)+)/i);
+    if (missing) {
+      (missing[1].match(/'[^']+'/g) || []).forEach(name => names.add(name.slice(1, -1)));
+    }
+
+    const pattern = /Unknown (?:expression (?:or function )?|column )?identifier[:\s]+[`'"]?([A-Za-z_][\w.]*)/gi;
+    let match;
+    while ((match = pattern.exec(message)) !== null) {
+      names.add(match[1]);
+    }
+
+    // alias.column: only the column part can be fixed
+    return Array.from(names).map(name => name.split('.').pop());
+  }
+
+  // Columns of the tables the query reads (all tables if it reads none we know)
+  getCandidateColumns(tokens, tables) {
+    const { tables: referenced } = sqlAnalyzer.getTableReferences(tokens);
+    const names = new Set(referenced.map(table => table.name));
+    const relevant = tables.filter(table => names.has(table.name));
+    const source = relevant.length > 0 ? relevant : tables;
+
+    const columns = new Set();
+    source.forEach(table => table.columns.forEach(col => columns.add(col.name)));
+    return Array.from(columns);
+  }
+
+  // Closest columns by edit distance, best first
+  suggestColumns(name, columns) {
+    const target = name.toLowerCase();
+    const maxDistance = Math.max(2, Math.floor(target.length / 3));
+
+    return columns
+      .map(column => {
+        const candidate = column.toLowerCase();
+        // Prefix/suffix matches (hours -> total_work_hours) count as close
+        const partial = candidate.includes(target) || target.includes(candidate);
+        const distance = this.editDistance(target, candidate);
+        return { name: column, distance: partial ? Math.min(distance, maxDistance) : distance };
+      })
+      .filter(entry => entry.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // Replace every column reference to `name` (not function names or table names)
+  replaceIdentifier(query, tokens, name, replacement) {
+    const { tables } = sqlAnalyzer.getTableReferences(tokens);
+    const tablePositions = new Set(tables.map(table => table.position));
+
+    let output = query;
+    // Right to left so earlier positions stay valid
+    for (let index = tokens.length - 1; index >= 0; index--) {
+      const token = tokens[index];
+      if (!sqlAnalyzer.isIdentifier(token) || token.value !== name) continue;
+      if (tablePositions.has(token.position)) continue;
+      const next = tokens[index + 1];
+      if (token.type === 'word' && next && next.value === '(') continue;
+
+      const original = query.slice(token.position, token.end);
+      output = output.slice(0, token.position) + original.replace(name, replacement) + output.slice(token.end);
+    }
+    return output;
+  }
+
+  // Index of the token that ends the clause starting after `start` (top level only)
+  findClauseEnd(tokens, start) {
+    let depth = 0;
+    for (let index = start + 1; index < tokens.length; index++) {
+      const token = tokens[index];
+      if (token.value === '(') depth++;
+      else if (token.value === ')') depth--;
+      if (depth < 0) return index;
+      if (depth === 0 && CLAUSE_END.has(token.upper)) return index;
+    }
+    return tokens.length;
+  }
+
+  // Top-level index of a keyword in the outermost SELECT, or -1
+  findTopLevel(tokens, keyword, from = 0) {
+    let depth = 0;
+    for (let index = from; index < tokens.length; index++) {
+      const token = tokens[index];
+      if (token.value === '(') depth++;
+      else if (token.value === ')') depth--;
+      else if (depth === 0 && token.upper === keyword) return index;
+    }
+    return -1;
+  }
+
+  // Split a WHERE clause (token range) on top-level AND, keeping BETWEEN ... AND together
+  splitConjuncts(tokens, start, end) {
+    const conjuncts = [];
+    let depth = 0;
+    let pendingBetween = false;
+    let partStart = start;
+
+    for (let index = start; index < end; index++) {
+      const token = tokens[index];
+      if (token.value === '(') depth++;
+      else if (token.value === ')') depth--;
+      else if (depth === 0 && token.upper === 'BETWEEN') pendingBetween = true;
+      else if (depth === 0 && token.upper === 'OR') return null; // Not a plain conjunction
+      else if (depth === 0 && token.upper === 'AND') {
+        if (pendingBetween) {
+          pendingBetween = false;
+          continue;
+        }
+        conjuncts.push({ start: partStart, end: index });
+        partStart = index + 1;
+      }
+    }
+    conjuncts.push({ start: partStart, end });
+    return conjuncts;
+  }
+
+  hasAggregate(tokens, start, end) {
+    for (let index = start; index < end; index++) {
+      const token = tokens[index];
+      const next = tokens[index + 1];
+      if (token.type === 'word' && next && next.value === '(' && AGGREGATE_PATTERN.test(token.value)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Rewrite the outermost WHERE so aggregate conditions move to HAVING; null if not possible
+  moveAggregatesToHaving(query, tokens) {
+    const whereIndex = this.findTopLevel(tokens, 'WHERE');
+    if (whereIndex === -1) return null;
+
+    const whereEnd = this.findClauseEnd(tokens, whereIndex);
+    const conjuncts = this.splitConjuncts(tokens, whereIndex + 1, whereEnd);
+    if (!conjuncts) return null;
+
+    const text = part => query.slice(tokens[part.start].position, tokens[part.end - 1].end);
+    const moved = conjuncts.filter(part => this.hasAggregate(tokens, part.start, part.end));
+    const kept = conjuncts.filter(part => !moved.includes(part));
+    if (moved.length === 0) return null;
+
+    const movedCondition = moved.map(part => `(${text(part)})`).join(' AND ');
+    const afterWhere = whereEnd < tokens.length ? tokens[whereEnd].position : query.length;
+    const whereText = kept.length > 0 ? `WHERE ${kept.map(text).join(' AND ')} ` : '';
+    let output = query.slice(0, tokens[whereIndex].position) + whereText + query.slice(afterWhere);
+
+    // Re-tokenize the rewritten query to place HAVING
+    const rewritten = sqlAnalyzer.tokenize(output);
+    const havingIndex = this.findTopLevel(rewritten, 'HAVING');
+    if (havingIndex !== -1) {
+      const havingEnd = this.findClauseEnd(rewritten, havingIndex);
+      const existing = output.slice(rewritten[havingIndex + 1].position, rewritten[havingEnd - 1].end);
+      return output.slice(0, rewritten[havingIndex].position) +
+        `HAVING ${movedCondition} AND (${existing})` +
+        output.slice(rewritten[havingEnd - 1].end);
+    }
+
+    const groupIndex = this.findTopLevel(rewritten, 'GROUP');
+    const insertAfter = groupIndex !== -1 ? this.findClauseEnd(rewritten, groupIndex + 1) : this.findClauseEnd(rewritten, 0);
+    const insertAt = insertAfter < rewritten.length ? rewritten[insertAfter].position : output.length;
+    output = `${output.slice(0, insertAt).trimEnd()} HAVING ${movedCondition} ${output.slice(insertAt)}`;
+    return output.trim();
+  }
+}
+
+module.exports = new QueryRepair();
@@ -0,0 +1,138 @@
+const filterBuilder = require('./filter-builder');
+const geoService = require('./geo-service');
+
+// Checks that a generated query's result fits its card type and says how the
+// frontend should bind it. Adapts where the intent is clear (label/value columns
+// in any order, lat/lng pairs under any common name, one KPI per column of a
+// single-row result); anything else is a mismatch the correction loop can fix.
+//
+// The encoding names result columns: { x, y, series, lat, lng, value }.
+//   table     -          all null
+//   bar/line  x = label (time for line), y = measure, series = optional second label
+//   pie       x = label, value = measure
+//   map       lat/lng = coordinates, value = optional measure
+//   kpi       value = first column; kpis lists every column of the single row
+class ResultShape {
+  // `columns` are { name, type } from the result metadata.
+  // Returns { valid, encoding, kpis, adaptations, error }.
+  inspect(cardType, columns, rows = []) {
+    const encoding = { x: null, y: null, series: null, lat: null, lng: null, value: null };
+    const result = { valid: true, encoding, kpis: null, adaptations: [], error: null };
+    const invalid = (problem) => ({
+      ...result,
+      valid: false,
+      error: `Result does not fit a ${cardType} card: ${problem}. Got ${this.describe(columns)}.`
+    });
+
+    const measures = columns.filter(col => this.kind(col) === 'numeric');
+    const labels = columns.filter(col => this.kind(col) !== 'numeric');
+
+    switch (cardType) {
+      case 'bar':
+      case 'line':
+      case 'pie': {
+        if (columns.length < 2) {
+          return invalid('it needs a label column and a numeric value column');
+        }
+        if (measures.length === 0) {
+          return invalid('it needs a numeric value column');
+        }
+
+        // Labels may be numeric too (toYYYYMM, toHour, ...): then the first column is the label
+        const dimensions = labels.length > 0 ? labels : [columns[0]];
+        const values = measures.filter(col => !dimensions.includes(col));
+        if (values.length === 0) {
+          return invalid('it needs a numeric value column besides the label');
+        }
+
+        const x = (cardType === 'line' && dimensions.find(col => this.kind(col) === 'date')) || dimensions[0];
+        encoding.x = x.name;
+        if (columns[0] !== x) {
+          result.adaptations.push(`Used ${x.name} as the label column`);
+        }
+
+        if (cardType === 'pie') {
+          encoding.value = values[0].name;
+          if (columns.length > 2) {
+            result.adaptations.push(`Pie uses ${x.name} and ${values[0].name}; other columns are ignored`);
+          }
+        } else {
+          encoding.y = values[0].name;
+          const series = dimensions.find(col => col !== x);
+          if (series) {
+            encoding.series = series.name;
+            result.adaptations.push(`Split ${values[0].name} into series by ${series.name}`);
+          }
+          if (values.length > 1) {
+            result.adaptations.push(`Plotted ${values[0].name}; other value columns are ignored`);
+          }
+        }
+        return result;
+      }
+
+      case 'map': {
+        const pair = this.findCoordinates(columns, rows);
+        if (!pair) {
+          return invalid('it needs a latitude and a longitude column (e.g. checkin_lat, checkin_lng)');
+        }
+
+        encoding.lat = pair.lat.name;
+        encoding.lng = pair.lng.name;
+        const value = measures.find(col => !geoService.parseCoordinateName(col.name));
+        encoding.value = value ? value.name : null;
+        return result;
+      }
+
+      case 'kpi': {
+        if (rows.length !== 1) {
+          return invalid(`it needs exactly one row, the query returned ${rows.length}`);
+        }
+
+        encoding.value = columns[0].name;
+        result.kpis = columns.map(col => ({ label: col.name, value: rows[0][col.name] }));
+        if (columns.length > 1) {
+          result.adaptations.push(`Split the row into ${columns.length} KPIs`);
+        }
+        return result;
+      }
+
+      default:
+        return result;
+    }
+  }
+
+  kind(column) {
+    return filterBuilder.columnKind(column.type);
+  }
+
+  // First numeric lat/lng pair, preferring pairs with the same prefix (checkin_lat + checkin_lng).
+  // Values outside the coordinate ranges rule a pair out.
+  findCoordinates(columns, rows) {
+    const numeric = columns.filter(col => this.kind(col) === 'numeric');
+    const axis = col => (geoService.parseCoordinateName(col.name) || {}).axis;
+    const lats = numeric.filter(col => axis(col) === 'lat');
+    const lngs = numeric.filter(col => axis(col) === 'lng');
+
+    const inRange = (column, limit) => rows.every(row => {
+      const value = row[column.name];
+      return value === null || value === undefined || Math.abs(Number(value)) <= limit;
+    });
+
+    const pairs = [];
+    lats.forEach(lat => lngs.forEach(lng => {
+      const samePrefix = geoService.parseCoordinateName(lat.name).prefix === geoService.parseCoordinateName(lng.name).prefix;
+      pairs.push({ lat, lng, samePrefix });
+    }));
+
+    return pairs
+      .filter(pair => inRange(pair.lat, 90) && inRange(pair.lng, 180))
+      .sort((a, b) => Number(b.samePrefix) - Number(a.samePrefix))[0] || null;
+  }
+
+  describe(columns) {
+    if (columns.length === 0) return 'no columns';
+    return `${columns.length} column(s): ${columns.map(col => `${col.name} (${col.type})`).join(', ')}`;
+  }
+}
+
+module.exports = new ResultShape();
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const clickhouseService = require('./clickhouse-service');
+const filterBuilder = require('./filter-builder');
+const tenantScope = require('./tenant-scope');
+
+const DEFAULT_OVERLAY_PATH = path.join(__dirname, '..', 'config', 'schema-overlay.json');
+const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const SAMPLE_ROWS = 100000;
+const MAX_SAMPLE_VALUES = 20;
+
+// Schema context for the chat pipeline, introspected from ClickHouse:
+// column types and comments from system.columns, primary/sorting keys from
+// system.tables, and sampled distinct values for LowCardinality/Enum columns.
+// config/schema-overlay.json (or SCHEMA_OVERLAY_PATH) adds human descriptions
+// and exact value lists, and can hide tables from chat.
+class SchemaCatalog {
+  constructor() {
+    this.overlayPath = process.env.SCHEMA_OVERLAY_PATH || DEFAULT_OVERLAY_PATH;
+    this.catalog = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  loadOverlay() {
+    try {
+      return JSON.parse(fs.readFileSync(this.overlayPath, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Could not load schema overlay ${this.overlayPath}:`, error.message);
+      return { tables: {} };
+    }
+  }
+
+  // Tables keyed by name: { name, description, engine, primaryKey, sortingKey, columns }
+  async getCatalog() {
+    if (this.catalog && (Date.now() - this.loadedAt) < CACHE_TTL) {
+      return this.catalog;
+    }
+
+    // Concurrent chat requests share one introspection
+    if (!this.loading) {
+      this.loading = this.introspect()
+        .then(catalog => {
+          this.catalog = catalog;
+          this.loadedAt = Date.now();
+          return catalog;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return await this.loading;
+  }
+
+  async getTable(tableName) {
+    const catalog = await this.getCatalog();
+    return catalog[tableName] || null;
+  }
+
+  // Drop the cached catalog so the next request re-reads ClickHouse and the overlay
+  refresh() {
+    this.catalog = null;
+    this.loadedAt = 0;
+  }
+
+  async introspect() {
+    const overlay = this.loadOverlay();
+    const hidden = new Set(overlay.hiddenTables || []);
+    const database = process.env.CLICKHOUSE_DB;
+
+    const tablesResult = await clickhouseService.runQuery({
+      query: `
+        SELECT name, engine, comment, primary_key, sorting_key
+        FROM system.tables
+        WHERE database = {database:String}
+          AND NOT startsWith(name, '_canvas_')
+          AND NOT is_temporary
+        ORDER BY name
+      `,
+      params: { database }
+    });
+    const tableRows = await tablesResult.json();
+
+    const columnsResult = await clickhouseService.runQuery({
+      query: `
+        SELECT table, name, type, comment, is_in_primary_key, is_in_sorting_key
+        FROM system.columns
+        WHERE database = {database:String}
+          AND NOT startsWith(table, '_canvas_')
+        ORDER BY table, position
+      `,
+      params: { database }
+    });
+    const columnRows = await columnsResult.json();
+
+    const catalog = {};
+    for (const row of tableRows) {
+      if (hidden.has(row.name)) continue;
+
+      const tableOverlay = (overlay.tables || {})[row.name] || {};
+      const columns = columnRows
+        .filter(col => col.table === row.name)
+        .map(col => this.buildColumn(col, (tableOverlay.columns || {})[col.name]));
+
+      catalog[row.name] = {
+        name: row.name,
+        description: tableOverlay.description || row.comment || '',
+        engine: row.engine,
+        primaryKey: row.primary_key || '',
+        sortingKey: row.sorting_key || '',
+        columns
+      };
+
+      try {
+        await this.sampleValues(row.name, catalog[row.name].columns);
+      } catch (error) {
+        console.warn(`⚠️ Could not sample values for ${row.name}:`, error.message);
+      }
+    }
+
+    console.log(`📚 Schema catalog loaded: ${Object.keys(catalog).length} tables`);
+    return catalog;
+  }
+
+  // Merge a system.columns row with its overlay entry (a description string or
+  // { description, values })
+  buildColumn(row, overlayEntry) {
+    const entry = typeof overlayEntry === 'string' ? { description: overlayEntry } : (overlayEntry || {});
+    const column = {
+      name: row.name,
+      type: row.type,
+      description: entry.description || row.comment || '',
+      inPrimaryKey: Boolean(row.is_in_primary_key),
+      inSortingKey: Boolean(row.is_in_sorting_key)
+    };
+
+    if (Array.isArray(entry.values)) {
+      column.values = entry.values;
+      column.valuesComplete = true;
+    } else if (/^Enum/.test(filterBuilder.baseType(row.type))) {
+      column.values = this.parseEnumValues(row.type);
+      column.valuesComplete = true;
+    }
+
+    return column;
+  }
+
+  parseEnumValues(type) {
+    const values = [];
+    const pattern = /'((?:[^'\\]|\\.)*)'\s*=/g;
+    let match;
+    while ((match = pattern.exec(type)) !== null) {
+      values.push(match[1]);
+    }
+    return values;
+  }
+
+  // Fill in example values for LowCardinality string columns that have no list yet
+  async sampleValues(tableName, columns) {
+    const targets = columns.filter(col => !col.values && /LowCardinality/.test(col.type) && /String/.test(col.type));
+    if (targets.length === 0) return;
+
+    const quoted = targets.map(col => clickhouseService.quoteIdentifier(col.name));
+    const result = await clickhouseService.runQuery({
+      query: `
+        SELECT ${quoted.map((col, index) => `groupUniqArray(${MAX_SAMPLE_VALUES + 1})(toString(${col})) AS v${index}`).join(', ')}
+        FROM (SELECT ${quoted.join(', ')} FROM ${clickhouseService.quoteIdentifier(tableName)} LIMIT ${SAMPLE_ROWS})
+      `
+    });
+    const [row] = await result.json();
+    if (!row) return;
+
+    targets.forEach((col, index) => {
+      const values = (row[`v${index}`] || []).sort();
+      col.values = values.slice(0, MAX_SAMPLE_VALUES);
+      col.valuesComplete = values.length <= MAX_SAMPLE_VALUES;
+      col.valuesSampled = true;
+    });
+  }
+
+  // Columns as `user` may see them. Sampled values come from every tenant's rows, so
+  // tenant-restricted callers do not get them for tables with the tenant column;
+  // overlay and Enum value lists are not data and stay.
+  scopeColumns(user, table, columns) {
+    if (!user || tenantScope.isUnrestricted(user)) return columns;
+    if (!table.columns.some(col => col.name === tenantScope.tenantColumn)) return columns;
+
+    return columns.map(col => {
+      if (!col.valuesSampled) return col;
+      const { values, valuesComplete, valuesSampled, ...rest } = col;
+      return rest;
+    });
+  }
+
+  // Prompt text for a list of catalog tables
+  formatForPrompt(tables) {
+    return tables.map(table => {
+      const lines = [`${table.name}: ${table.description || 'No description'}`];
+      if (table.sortingKey) lines.push(`Sorting key: ${table.sortingKey}`);
+      if (table.primaryKey && table.primaryKey !== table.sortingKey) lines.push(`Primary key: ${table.primaryKey}`);
+      lines.push('Columns:');
+
+      table.columns.forEach(col => {
+        let line = `- ${col.name} (${col.type})`;
+        if (col.description) line += `: ${col.description}`;
+        if (col.values && col.values.length > 0) {
+          const list = col.values.map(value => `'${value}'`).join(', ');
+          line += col.valuesComplete ? `. Exact values: ${list}` : `. Example values: ${list}, ...`;
+        }
+        lines.push(line);
+      });
+
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+}
+
+module.exports = new SchemaCatalog();
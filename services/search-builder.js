@@ -0,0 +1,85 @@
+const searchConfig = require('../config/search.json');
+const filterBuilder = require('./filter-builder');
+
+// Builds the free-text search condition for a table or a wrapped query.
+// Searchable columns come from config/search.json when the table is listed there,
+// otherwise from the column types (strings and dates by default).
+class SearchBuilder {
+  constructor(config = searchConfig) {
+    this.defaults = config.default || {};
+    this.tables = config.tables || {};
+  }
+
+  // Settings for a table, falling back to the defaults
+  getTableConfig(tableName) {
+    return { ...this.defaults, ...(this.tables[tableName] || {}) };
+  }
+
+  // Pick the searchable columns out of DESCRIBE output ({ name, type })
+  getSearchColumns(columns, tableName = null) {
+    const config = this.getTableConfig(tableName);
+
+    if (Array.isArray(config.columns)) {
+      const available = columns.map(col => col.name);
+      const configured = config.columns.filter(name => available.includes(name));
+      // A wrapped query may not return the configured columns; fall back to types
+      if (configured.length > 0) {
+        return configured;
+      }
+    }
+
+    const kinds = config.columnKinds || ['string', 'date'];
+    return columns
+      .filter(col => kinds.includes(filterBuilder.columnKind(col.type)))
+      .map(col => col.name)
+      .slice(0, config.maxColumns || 20);
+  }
+
+  // Normalize a skip index expression so it can be compared with a column name
+  normalizeExpression(expr = '') {
+    return expr.replace(/[`\s]/g, '').toLowerCase();
+  }
+
+  // Condition for one column; uses an ngram/token bloom filter index on lower(col) when
+  // one covers it. Indexes on the raw column only serve case-sensitive LIKE, so those
+  // columns keep the ILIKE scan and search stays case-insensitive.
+  columnCondition(name, quoteIdentifier, skipIndexes) {
+    const column = quoteIdentifier(name);
+    const lowerExpr = `lower(${this.normalizeExpression(name)})`;
+
+    const index = skipIndexes.find(idx =>
+      ['ngrambf_v1', 'tokenbf_v1'].includes(idx.type) &&
+      this.normalizeExpression(idx.expr) === lowerExpr
+    );
+
+    if (index) {
+      // Matches the indexed lower(col) expression so the index can skip granules
+      return `lower(${column}) LIKE concat('%', lower({search:String}), '%')`;
+    }
+
+    return `ifNull(toString(${column}), '') ILIKE concat('%', {search:String}, '%')`;
+  }
+
+  // Build the search condition, or null when nothing is searchable
+  build(searchTerm, columns, { tableName = null, quoteIdentifier, skipIndexes = [] } = {}) {
+    if (!searchTerm || searchTerm.trim() === '') {
+      return null;
+    }
+
+    const searchColumns = this.getSearchColumns(columns, tableName);
+    if (searchColumns.length === 0) {
+      return null;
+    }
+
+    const indexes = this.getTableConfig(tableName).useSkipIndexes ? skipIndexes : [];
+    const conditions = searchColumns.map(name => this.columnCondition(name, quoteIdentifier, indexes));
+
+    return {
+      condition: `(${conditions.join(' OR ')})`,
+      params: { search: searchTerm.trim() },
+      columns: searchColumns
+    };
+  }
+}
+
+module.exports = new SearchBuilder();
@@ -0,0 +1,382 @@
+// Lightweight SQL tokenizer for inspecting SELECT statements before they run.
+// It does not build a full AST; it understands enough structure (strings,
+// quoted identifiers, comments, parentheses, FROM/JOIN targets, CTE names)
+// to tell which tables and columns a query touches.
+
+const KEYWORDS = new Set([
+  'select', 'from', 'where', 'and', 'or', 'not', 'as', 'on', 'using', 'join', 'inner', 'left', 'right',
+  'full', 'outer', 'cross', 'any', 'all', 'semi', 'anti', 'asof', 'global', 'array', 'group', 'by',
+  'order', 'having', 'limit', 'offset', 'union', 'except', 'intersect', 'distinct', 'with', 'case',
+  'when', 'then', 'else', 'end', 'in', 'is', 'null', 'like', 'ilike', 'between', 'asc', 'desc',
+  'nulls', 'first', 'last', 'interval', 'prewhere', 'final', 'sample', 'settings', 'format', 'true',
+  'false', 'exists', 'over', 'partition', 'rows', 'range', 'preceding', 'following', 'current',
+  'row', 'unbounded', 'totals', 'rollup', 'cube', 'fill', 'to', 'step', 'ties', 'fetch', 'next',
+  'only', 'qualify', 'window', 'collate', 'day', 'week', 'month', 'year', 'hour', 'minute', 'second',
+  'quarter', 'date', 'timestamp'
+]);
+
+class SqlAnalyzer {
+  // Split SQL into tokens: { type, value, upper } where type is
+  // word | quoted_identifier | string | number | operator | punctuation
+  tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < sql.length) {
+      const ch = sql[i];
+
+      // Whitespace
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      // Line comments
+      if (ch === '-' && sql[i + 1] === '-') {
+        while (i < sql.length && sql[i] !== '\n') i++;
+        continue;
+      }
+      if (ch === '#' && sql[i + 1] === '!') {
+        while (i < sql.length && sql[i] !== '\n') i++;
+        continue;
+      }
+
+      // Block comments
+      if (ch === '/' && sql[i + 1] === '*') {
+        const end = sql.indexOf('*/', i + 2);
+        if (end === -1) {
+          throw new Error('Unterminated block comment');
+        }
+        i = end + 2;
+        continue;
+      }
+
+      // String literals and quoted identifiers
+      if (ch === "'" || ch === '"' || ch === '`') {
+        let value = '';
+        let j = i + 1;
+        let closed = false;
+        while (j < sql.length) {
+          if (sql[j] === '\\') {
+            value += sql[j + 1] || '';
+            j += 2;
+            continue;
+          }
+          if (sql[j] === ch) {
+            if (sql[j + 1] === ch) {
+              value += ch;
+              j += 2;
+              continue;
+            }
+            closed = true;
+            break;
+          }
+          value += sql[j];
+          j++;
+        }
+        if (!closed) {
+          throw new Error(ch === "'" ? 'Unterminated string literal' : 'Unterminated quoted identifier');
+        }
+        tokens.push({
+          type: ch === "'" ? 'string' : 'quoted_identifier',
+          value,
+          upper: value.toUpperCase(),
+          position: i,
+          end: j + 1
+        });
+        i = j + 1;
+        continue;
+      }
+
+      // Numbers
+      if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(sql[i + 1] || ''))) {
+        const match = sql.slice(i).match(/^(0x[0-9a-f]+|[0-9]*\.?[0-9]+(e[+-]?[0-9]+)?)/i);
+        tokens.push({ type: 'number', value: match[0], upper: match[0].toUpperCase(), position: i, end: i + match[0].length });
+        i += match[0].length;
+        continue;
+      }
+
+      // Words (keywords, identifiers, function names)
+      if (/[A-Za-z_$]/.test(ch)) {
+        const match = sql.slice(i).match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+        tokens.push({ type: 'word', value: match[0], upper: match[0].toUpperCase(), position: i, end: i + match[0].length });
+        i += match[0].length;
+        continue;
+      }
+
+      // Query parameters such as {name:Type}
+      if (ch === '{') {
+        const end = sql.indexOf('}', i);
+        const value = end === -1 ? sql.slice(i) : sql.slice(i, end + 1);
+        tokens.push({ type: 'parameter', value, upper: value.toUpperCase(), position: i, end: i + value.length });
+        i += value.length;
+        continue;
+      }
+
+      // Multi-character operators
+      const twoChars = sql.slice(i, i + 2);
+      if (['<=', '>=', '!=', '<>', '==', '||', '->', '::'].includes(twoChars)) {
+        tokens.push({ type: 'operator', value: twoChars, upper: twoChars, position: i, end: i + 2 });
+        i += 2;
+        continue;
+      }
+
+      tokens.push({
+        type: /[(),;.]/.test(ch) ? 'punctuation' : 'operator',
+        value: ch,
+        upper: ch,
+        position: i,
+        end: i + 1
+      });
+      i++;
+    }
+
+    return tokens;
+  }
+
+  isKeyword(token) {
+    return token && token.type === 'word' && KEYWORDS.has(token.value.toLowerCase());
+  }
+
+  isIdentifier(token) {
+    return token && (token.type === 'quoted_identifier' || (token.type === 'word' && !this.isKeyword(token)));
+  }
+
+  // CTEs defined by WITH name AS (...), as { name, open, close } with the token
+  // indexes of the body's parentheses. Only WITH-clause items count: WINDOW name AS (...)
+  // and WITH TOTALS / WITH FILL define no CTE.
+  getCtes(tokens, parentheses = this.getParentheses(tokens)) {
+    const ctes = [];
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+      if (token.upper !== 'WITH' || !next || ['TOTALS', 'FILL', 'TIES', 'ROLLUP', 'CUBE'].includes(next.upper)) return;
+
+      // Items run up to the SELECT at the WITH's own depth; nested parentheses are skipped
+      for (let i = index + 1; i < tokens.length; i++) {
+        const item = tokens[i];
+        if (item.upper === 'SELECT') break;
+        if (item.value === '(') {
+          if (parentheses.partner[i] === undefined) break;
+          i = parentheses.partner[i];
+          continue;
+        }
+
+        const startsItem = i === index + 1 || tokens[i - 1].value === ',';
+        const as = tokens[i + 1];
+        const open = tokens[i + 2];
+        if (startsItem && this.isIdentifier(item) && as && as.upper === 'AS' && open && open.value === '(' &&
+          parentheses.partner[i + 2] !== undefined) {
+          ctes.push({ name: item.value, open: i + 2, close: parentheses.partner[i + 2] });
+        }
+      }
+    });
+    return ctes;
+  }
+
+  // Index of the `(` enclosing each token (-1 at the top level) and, for every
+  // parenthesis, the index of its partner
+  getParentheses(tokens) {
+    const enclosing = [];
+    const partner = {};
+    const stack = [];
+    tokens.forEach((token, index) => {
+      if (token.value === ')' && stack.length > 0) {
+        const open = stack.pop();
+        partner[open] = index;
+        partner[index] = open;
+      }
+      enclosing[index] = stack.length > 0 ? stack[stack.length - 1] : -1;
+      if (token.value === '(') stack.push(index);
+    });
+    return { enclosing, partner };
+  }
+
+  // Name of the function whose arguments hold the token at `index`, or null
+  // (top level, subquery or plain parentheses)
+  getEnclosingFunction(tokens, index, parentheses) {
+    const open = parentheses.enclosing[index];
+    if (open === -1) return null;
+    const first = tokens[open + 1];
+    if (first && ['SELECT', 'WITH', '('].includes(first.upper)) return null;
+    const callee = tokens[open - 1];
+    return callee && callee.type === 'word' && !this.isKeyword(callee) ? callee.value.toLowerCase() : null;
+  }
+
+  // Tables read by FROM / JOIN (every item of a comma-separated FROM list) and by
+  // `IN table`, with table functions reported separately. Each table carries its
+  // source span (position/end), whether an alias or FINAL follows and whether it is
+  // an IN target (inList). Sources that are neither a table, a table function, a
+  // CTE nor a subquery (e.g. a {name:Identifier} parameter) are listed in
+  // `unresolved`; callers enforcing access must reject those queries.
+  // A CTE's name read inside its own body is the table of that name. `cteNames`
+  // lists every CTE; callers must reject names that are also real tables, since
+  // the CTE hides the table from these references.
+  getTableReferences(sql) {
+    const tokens = Array.isArray(sql) ? sql : this.tokenize(sql);
+    const parentheses = this.getParentheses(tokens);
+    const ctes = this.getCtes(tokens, parentheses);
+    const cteNames = new Set(ctes.map(cte => cte.name));
+    const tables = [];
+    const tableFunctions = [];
+    const unresolved = [];
+
+    // Table name at `index` (optionally database-qualified): { database, name, nextIndex }
+    const readName = index => {
+      const first = tokens[index];
+      const dot = tokens[index + 1];
+      if (dot && dot.value === '.' && this.isIdentifier(tokens[index + 2])) {
+        return { database: first.value, name: tokens[index + 2].value, nextIndex: index + 3 };
+      }
+      return { database: null, name: first.value, nextIndex: index + 1 };
+    };
+
+    // Whether an unqualified name at `index` reads a CTE rather than a table
+    const isCte = (name, index) => ctes.some(cte => cte.name === name && (index < cte.open || index > cte.close));
+
+    // One FROM/JOIN item starting at `index`; returns the index after it (and its alias)
+    const readSource = index => {
+      const first = tokens[index];
+      let nextIndex;
+
+      if (first && first.value === '(') {
+        // Subquery: its own FROM clauses are found by the main scan
+        if (parentheses.partner[index] === undefined) {
+          unresolved.push({ value: first.value, position: first.position });
+          return tokens.length;
+        }
+        nextIndex = parentheses.partner[index] + 1;
+      } else if (first && this.isIdentifier(first)) {
+        const { database, name, nextIndex: afterName } = readName(index);
+        nextIndex = afterName;
+
+        if (tokens[nextIndex] && tokens[nextIndex].value === '(') {
+          tableFunctions.push({ name: name.toLowerCase(), position: first.position });
+          nextIndex = parentheses.partner[nextIndex] !== undefined ? parentheses.partner[nextIndex] + 1 : tokens.length;
+        } else if (!database && isCte(name, index)) {
+          // CTE, checked through its own body
+        } else {
+          const end = tokens[nextIndex - 1].end;
+          let following = tokens[nextIndex];
+          const final = Boolean(following && following.upper === 'FINAL');
+          if (final) {
+            nextIndex++;
+            following = tokens[nextIndex];
+          }
+          const hasAlias = Boolean(following) &&
+            (following.upper === 'AS' || this.isIdentifier(following));
+
+          tables.push({
+            database,
+            name,
+            position: first.position,
+            end: final ? tokens[nextIndex - 1].end : end,
+            final,
+            hasAlias,
+            inList: false
+          });
+        }
+      } else {
+        unresolved.push({ value: first ? first.value : '', position: first ? first.position : null });
+        return tokens.length;
+      }
+
+      // [AS] alias, then FINAL / SAMPLE k [OFFSET m]
+      if (tokens[nextIndex] && tokens[nextIndex].upper === 'AS') {
+        nextIndex += 2;
+      } else if (this.isIdentifier(tokens[nextIndex])) {
+        nextIndex++;
+      }
+      while (tokens[nextIndex] && (['FINAL', 'SAMPLE', 'OFFSET', '/'].includes(tokens[nextIndex].upper) ||
+        tokens[nextIndex].type === 'number')) {
+        nextIndex++;
+      }
+      return nextIndex;
+    };
+
+    tokens.forEach((token, index) => {
+      if (token.upper === 'FROM' || token.upper === 'JOIN') {
+        // Not a clause inside function arguments: extract(YEAR FROM d), trim(BOTH ' ' FROM s)
+        if (this.getEnclosingFunction(tokens, index, parentheses)) return;
+
+        // ARRAY JOIN unfolds a column, it reads no table
+        const previous = tokens[index - 1];
+        if (token.upper === 'JOIN' && previous && previous.upper === 'ARRAY') return;
+
+        let nextIndex = readSource(index + 1);
+        while (tokens[nextIndex] && tokens[nextIndex].value === ',') {
+          nextIndex = readSource(nextIndex + 1);
+        }
+        return;
+      }
+
+      // x IN table reads the table's rows as the set; position(needle IN haystack) does not
+      const target = tokens[index + 1];
+      if (token.upper === 'IN' && this.isIdentifier(target) &&
+        this.getEnclosingFunction(tokens, index, parentheses) !== 'position') {
+        const { database, name, nextIndex } = readName(index + 1);
+        if (tokens[nextIndex] && tokens[nextIndex].value === '(') return; // IN tuple(...)
+        if (!database && isCte(name, index + 1)) return;
+        tables.push({
+          database,
+          name,
+          position: target.position,
+          end: tokens[nextIndex - 1].end,
+          final: false,
+          hasAlias: false,
+          inList: true
+        });
+      }
+    });
+
+    return { tables, tableFunctions, cteNames: Array.from(cteNames), unresolved };
+  }
+
+  // Identifiers that may be column references (function names and keywords excluded)
+  getIdentifiers(sql) {
+    const tokens = Array.isArray(sql) ? sql : this.tokenize(sql);
+    const identifiers = [];
+
+    tokens.forEach((token, index) => {
+      if (!this.isIdentifier(token)) return;
+
+      const next = tokens[index + 1];
+      // Function calls: name(...)
+      if (token.type === 'word' && next && next.value === '(') return;
+      // Qualifiers: alias.column, only the last part can be a column
+      if (next && next.value === '.') return;
+
+      identifiers.push(token.value);
+    });
+
+    return identifiers;
+  }
+
+  // Whether the query selects * or a column matcher that can name columns it never
+  // spells out: COLUMNS('regexp'), APPLY and EXCEPT (count(*), multiplication and
+  // the EXCEPT set operator are not wildcards)
+  hasWildcard(sql) {
+    const tokens = Array.isArray(sql) ? sql : this.tokenize(sql);
+    return tokens.some((token, index) => {
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      if (token.value === '*') {
+        return !previous ||
+          ['SELECT', 'DISTINCT', ',', '.'].includes(previous.upper);
+      }
+      if (token.type !== 'word') return false;
+      if (token.upper === 'APPLY') return true;
+      if (token.upper === 'COLUMNS') {
+        return Boolean(next) && next.value === '(';
+      }
+      if (token.upper === 'EXCEPT') {
+        const afterNext = tokens[index + 2];
+        const setOperator = next && (next.upper === 'SELECT' || next.upper === 'ALL' || next.upper === 'DISTINCT' ||
+          (next.value === '(' && afterNext && ['SELECT', 'WITH'].includes(afterNext.upper)));
+        return !setOperator;
+      }
+      return false;
+    });
+  }
+}
+
+module.exports = new SqlAnalyzer();
@@ -0,0 +1,136 @@
+const safetyConfig = require('../config/sql-safety.json');
+const sqlAnalyzer = require('./sql-analyzer');
+
+// Read-only safety checks for SQL coming from users and the LLM.
+// A query passes when it is a single WITH/SELECT statement (UNION allowed),
+// uses no blocked functions or clauses, reads table functions only from the
+// allowlist and reads tables only from allowlisted databases.
+//
+// Failures are structured: { valid: false, error, code, token, position }
+// where token is the offending piece of SQL and position its offset.
+class SqlValidator {
+  constructor(config = safetyConfig) {
+    this.allowedTableFunctions = new Set((config.allowedTableFunctions || []).map(name => name.toLowerCase()));
+    this.blockedFunctions = new Set((config.blockedFunctions || []).map(name => name.toLowerCase()));
+    this.blockedClauses = (config.blockedClauses || []).map(clause => clause.toUpperCase().split(/\s+/));
+    this.extraDatabases = config.allowedDatabases || [];
+  }
+
+  // The connection's database plus any configured extras
+  getAllowedDatabases() {
+    return [process.env.CLICKHOUSE_DB, ...this.extraDatabases].filter(Boolean);
+  }
+
+  reject(code, error, token = null) {
+    return {
+      valid: false,
+      code,
+      error,
+      token: token ? token.value : null,
+      position: token ? token.position : null
+    };
+  }
+
+  // Validate a query. Returns { valid: true, query } with trailing semicolons
+  // removed, or a structured failure.
+  validate(sql) {
+    if (!sql || typeof sql !== 'string' || sql.trim() === '') {
+      return this.reject('empty_query', 'Query must be a non-empty string');
+    }
+
+    const query = sql.trim().replace(/;+\s*$/, '').trim();
+
+    let tokens;
+    try {
+      tokens = sqlAnalyzer.tokenize(query);
+    } catch (error) {
+      return this.reject('parse_error', `Could not parse query: ${error.message}`);
+    }
+
+    if (tokens.length === 0) {
+      return this.reject('empty_query', 'Query must be a non-empty string');
+    }
+
+    // Exactly one statement
+    const separator = tokens.find(token => token.type === 'punctuation' && token.value === ';');
+    if (separator) {
+      return this.reject('multiple_statements', 'Only a single statement is allowed', separator);
+    }
+
+    // Statement type: WITH or SELECT, optionally inside parentheses
+    const first = tokens.find(token => token.type !== 'punctuation' || token.value !== '(');
+    if (!first || !['SELECT', 'WITH'].includes(first.upper)) {
+      return this.reject(
+        'statement_not_allowed',
+        `Only SELECT queries (with optional WITH and UNION) are allowed, found "${first ? first.value : ''}"`,
+        first
+      );
+    }
+
+    const clauseError = this.checkClauses(tokens);
+    if (clauseError) return clauseError;
+
+    const functionError = this.checkFunctions(tokens);
+    if (functionError) return functionError;
+
+    const sourceError = this.checkSources(tokens);
+    if (sourceError) return sourceError;
+
+    return { valid: true, query };
+  }
+
+  // Clauses such as INTO OUTFILE or SETTINGS that change what a SELECT does
+  checkClauses(tokens) {
+    for (let i = 0; i < tokens.length; i++) {
+      const clause = this.blockedClauses.find(words =>
+        words.every((word, offset) => tokens[i + offset] && tokens[i + offset].type === 'word' && tokens[i + offset].upper === word)
+      );
+      if (clause) {
+        return this.reject('clause_not_allowed', `${clause.join(' ')} is not allowed`, tokens[i]);
+      }
+    }
+    return null;
+  }
+
+  // Blocked functions anywhere in the query, e.g. SELECT file('...') or FROM url(...)
+  checkFunctions(tokens) {
+    const blocked = tokens.find((token, index) =>
+      token.type === 'word' &&
+      tokens[index + 1] && tokens[index + 1].value === '(' &&
+      this.blockedFunctions.has(token.value.toLowerCase())
+    );
+
+    return blocked
+      ? this.reject('function_not_allowed', `Function ${blocked.value}() is not allowed`, blocked)
+      : null;
+  }
+
+  // FROM/JOIN targets: table functions must be allowlisted, databases must be allowlisted
+  checkSources(tokens) {
+    const { tables, tableFunctions } = sqlAnalyzer.getTableReferences(tokens);
+
+    const tableFunction = tableFunctions.find(fn => !this.allowedTableFunctions.has(fn.name));
+    if (tableFunction) {
+      const token = tokens.find(t => t.position === tableFunction.position);
+      return this.reject(
+        'table_function_not_allowed',
+        `Table function ${token.value}() is not allowed`,
+        token
+      );
+    }
+
+    const allowedDatabases = this.getAllowedDatabases();
+    const foreign = tables.find(table => table.database && !allowedDatabases.includes(table.database));
+    if (foreign) {
+      return this.reject(
+        'database_not_allowed',
+        `Reading from database "${foreign.database}" is not allowed`,
+        { value: `${foreign.database}.${foreign.name}`, position: foreign.position }
+      );
+    }
+
+    return null;
+  }
+}
+
+module.exports = new SqlValidator();
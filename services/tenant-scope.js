@@ -0,0 +1,168 @@
+const accessControl = require('../config/access-control.json');
+const sqlAnalyzer = require('./sql-analyzer');
+const filterBuilder = require('./filter-builder');
+const clickhouseService = require('./clickhouse-service');
+
+// Row-level tenant scoping. Every table that has the tenant column (client_id by
+// default) is only ever read through `client_id IN <caller's client IDs>`.
+// Callers with user.clientIds === null (roles with allTenants) are unrestricted.
+class TenantScope {
+  constructor() {
+    this.tenantColumn = accessControl.tenantColumn || 'client_id';
+  }
+
+  isUnrestricted(user) {
+    return Boolean(user) && user.clientIds === null;
+  }
+
+  getTenantIds(user) {
+    return user && Array.isArray(user.clientIds) ? user.clientIds.map(String) : [];
+  }
+
+  // Predicate restricting a table to the caller's tenants, or null when the
+  // table has no tenant column or the caller sees every tenant
+  buildPredicate(user, schema, quoteIdentifier = name => clickhouseService.quoteIdentifier(name)) {
+    if (this.isUnrestricted(user)) return null;
+
+    const column = schema.find(col => col.name === this.tenantColumn);
+    if (!column) return null;
+
+    const ids = this.getTenantIds(user);
+    if (filterBuilder.columnKind(column.type) === 'numeric') {
+      return {
+        condition: `${quoteIdentifier(column.name)} IN {tenant_ids:Array(UInt64)}`,
+        params: { tenant_ids: ids.map(Number).filter(Number.isFinite) }
+      };
+    }
+
+    return {
+      condition: `toString(${quoteIdentifier(column.name)}) IN {tenant_ids_str:Array(String)}`,
+      params: { tenant_ids_str: ids }
+    };
+  }
+
+  // Explicit `client_id = N` / `client_id IN (...)` references to other tenants
+  findForeignTenantReference(user, tokens) {
+    if (this.isUnrestricted(user)) return null;
+
+    const allowed = this.getTenantIds(user);
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (!sqlAnalyzer.isIdentifier(token) || token.value !== this.tenantColumn) continue;
+
+      const next = tokens[i + 1];
+      if (!next) continue;
+
+      let values = [];
+      if (['=', '=='].includes(next.value) && tokens[i + 2]) {
+        values = [tokens[i + 2]];
+      } else if (next.upper === 'IN' && tokens[i + 2] && tokens[i + 2].value === '(') {
+        for (let j = i + 3; j < tokens.length && tokens[j].value !== ')'; j++) {
+          if (tokens[j].value !== ',') values.push(tokens[j]);
+        }
+      }
+
+      const foreign = values.find(value =>
+        ['number', 'string'].includes(value.type) && !allowed.includes(String(value.value))
+      );
+      if (foreign) {
+        return foreign.value;
+      }
+    }
+
+    return null;
+  }
+
+  // Reject structured or simple filters that ask for another tenant's client_id
+  checkFilters(user, filters) {
+    if (this.isUnrestricted(user)) return null;
+
+    const allowed = this.getTenantIds(user);
+    const foreign = filterBuilder.normalizeFilters(filters)
+      .filter(filter => filter.field === this.tenantColumn && [null, 'eq', 'in', 'contains'].includes(filter.op))
+      .flatMap(filter => (Array.isArray(filter.value) ? filter.value : [filter.value]))
+      .find(value => !allowed.includes(String(value).trim()));
+
+    return foreign !== undefined
+      ? `${this.tenantColumn} ${foreign} is outside your tenant scope`
+      : null;
+  }
+
+  // Rewrite every tenant-scoped table read in a query into a filtered subquery.
+  // Returns { allowed, error, query, params }.
+  async scopeQuery(user, sql) {
+    if (this.isUnrestricted(user)) {
+      return { allowed: true, query: sql, params: {} };
+    }
+
+    let tokens;
+    try {
+      tokens = sqlAnalyzer.tokenize(sql);
+    } catch (error) {
+      return { allowed: false, error: `Could not parse query: ${error.message}` };
+    }
+
+    const foreign = this.findForeignTenantReference(user, tokens);
+    if (foreign !== null) {
+      return {
+        allowed: false,
+        error: `${this.tenantColumn} ${foreign} is outside your tenant scope`
+      };
+    }
+
+    const { tables, cteNames, unresolved } = sqlAnalyzer.getTableReferences(tokens);
+    if (unresolved.length > 0) {
+      return {
+        allowed: false,
+        error: `Could not resolve the query source "${unresolved[0].value}"; only tables, table functions, CTEs and subqueries can be read`
+      };
+    }
+
+    // A CTE named after a table hides the table's references from the scoping below
+    if (cteNames.length > 0) {
+      let catalog;
+      try {
+        catalog = await clickhouseService.getTables();
+      } catch (error) {
+        return { allowed: false, error: `Could not check tenant scope: ${error.message}` };
+      }
+      const shadowed = cteNames.find(name => catalog.some(table => table.name === name));
+      if (shadowed) {
+        return { allowed: false, error: `CTE ${shadowed} has the name of a table; rename it` };
+      }
+    }
+
+    const params = {};
+    let scoped = sql;
+
+    // Splice from the end so earlier positions stay valid
+    const references = [...tables].sort((a, b) => b.position - a.position);
+    for (const table of references) {
+      // Without the schema there is no telling whether the table needs the predicate
+      let schema;
+      try {
+        schema = await clickhouseService.getTableSchema(table.name);
+      } catch (error) {
+        return { allowed: false, error: `Could not check tenant scope of ${table.name}: ${error.message}` };
+      }
+
+      const predicate = this.buildPredicate(user, schema);
+      if (!predicate) continue;
+
+      const quotedName = clickhouseService.quoteIdentifier(table.name);
+      const source = table.database
+        ? `${clickhouseService.quoteIdentifier(table.database)}.${quotedName}`
+        : quotedName;
+      // IN targets are a set, not a FROM item, so they take no alias
+      const replacement = `(SELECT * FROM ${source}${table.final ? ' FINAL' : ''} WHERE ${predicate.condition})` +
+        (table.hasAlias || table.inList ? '' : ` AS ${quotedName}`);
+
+      scoped = scoped.slice(0, table.position) + replacement + scoped.slice(table.end);
+      Object.assign(params, predicate.params);
+    }
+
+    return { allowed: true, query: scoped, params };
+  }
+}
+
+module.exports = new TenantScope();
@@ -0,0 +1,144 @@
+const clickhouseService = require('./clickhouse-service');
+const filterBuilder = require('./filter-builder');
+const geoService = require('./geo-service');
+
+const REQUIRED_COLUMNS = ['staff_id', 'staff_name', 'work_date', 'checkin_time', 'checkout_time', 'checkin_lat', 'checkin_lng', 'checkout_lat', 'checkout_lng'];
+const OPTIONAL_COLUMNS = ['client_name', 'checkin_project_id', 'checkout_project_id'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DAYS = 7;
+
+// Movement trails: each worker-day with both a check-in and a check-out location is
+// a check-in -> check-out segment with its great-circle length, the time on site
+// and whether both ends were booked on the same project. Segments come back as
+// GeoJSON LineStrings; per-staff and overall stats are computed in ClickHouse so
+// they cover the whole range, not only the returned segments.
+class TrailService {
+  // Structured filters for staff (`staffId`: one ID or a comma-separated list) and the
+  // work_date range (`from`/`to`, YYYY-MM-DD; the last 7 days without either),
+  // followed by any filter_<col> filters. Throws on invalid input.
+  buildFilters({ staffId = '', from = '', to = '', filters = {} }) {
+    const structured = [];
+
+    if (staffId !== '') {
+      const ids = String(staffId).split(',').map(id => id.trim()).filter(Boolean);
+      if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+        throw new Error('Invalid staffId. Use a staff ID or a comma-separated list of IDs');
+      }
+      structured.push({ field: 'staff_id', op: 'in', value: ids.map(Number) });
+    }
+
+    [from, to].forEach(date => {
+      if (date !== '' && !DATE_PATTERN.test(date)) {
+        throw new Error('Invalid date. Use YYYY-MM-DD for from and to');
+      }
+    });
+    if (from && to) {
+      if (from > to) throw new Error('from must not be after to');
+      structured.push({ field: 'work_date', op: 'between', value: [from, to] });
+    } else if (from) {
+      structured.push({ field: 'work_date', op: 'gte', value: from });
+    } else if (to) {
+      structured.push({ field: 'work_date', op: 'lte', value: to });
+    } else {
+      structured.push({ field: 'work_date', op: 'last_n_days', value: DEFAULT_DAYS });
+    }
+
+    return [...structured, ...filterBuilder.normalizeFilters(filters)];
+  }
+
+  // Segment and summary queries over `schema` (readable columns). `farMeters` marks
+  // check-outs far from their check-in. Returns { segmentsQuery, summaryQuery, params }.
+  // Throws on bad filters or missing columns.
+  buildQueries({ tableName, schema, filters, farMeters, limit, staffLimit }) {
+    const has = name => schema.some(col => col.name === name);
+    const missing = REQUIRED_COLUMNS.find(name => !has(name));
+    if (missing) {
+      throw new Error(`Trails need ${tableName}.${missing}`);
+    }
+
+    const quote = name => clickhouseService.quoteIdentifier(name);
+    const built = filterBuilder.build(filters, schema, {
+      paramPrefix: 'trail_filter',
+      quoteIdentifier: quote
+    });
+
+    const checkin = geoService.getLocationColumns('checkin');
+    const checkout = geoService.getLocationColumns('checkout');
+    const conditions = [
+      `${checkin.lat} IS NOT NULL AND ${checkin.lng} IS NOT NULL`,
+      `${checkout.lat} IS NOT NULL AND ${checkout.lng} IS NOT NULL`,
+      ...built.conditions
+    ];
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const distance = `greatCircleDistance(${checkin.lng}, ${checkin.lat}, ${checkout.lng}, ${checkout.lat})`;
+    const minutes = `dateDiff('minute', ${checkin.time}, ${checkout.time})`;
+    // Project IDs NULL or -1 mean outside any project
+    const sameProject = has(checkin.project) && has(checkout.project)
+      ? `(${checkin.project} = ${checkout.project} AND ${checkin.project} IS NOT NULL AND ${checkin.project} != -1)`
+      : '0';
+    const optional = OPTIONAL_COLUMNS.filter(has);
+
+    const segmentsQuery = [
+      `SELECT staff_id, staff_name, work_date, ${checkin.time}, ${checkout.time},`,
+      ` ${checkin.lat}, ${checkin.lng}, ${checkout.lat}, ${checkout.lng},`,
+      optional.length > 0 ? ` ${optional.join(', ')},` : '',
+      ` round(${distance}, 1) AS distance_m, ${minutes} AS time_on_site_minutes, ${sameProject} AS same_project`,
+      ` FROM ${quote(tableName)} ${where}`,
+      ` ORDER BY staff_id, ${checkin.time}`,
+      ' LIMIT {limit:UInt32}'
+    ].join('');
+
+    // One row per staff member plus a totals row over the whole range
+    const summaryQuery = [
+      'SELECT staff_id, any(staff_name) AS staff_name, count() AS segments, uniqExact(staff_id) AS staff_count,',
+      ' round(sum(__distance), 1) AS total_distance_m, round(avg(__distance), 1) AS avg_distance_m,',
+      ' round(quantile(0.5)(__distance), 1) AS median_distance_m, round(max(__distance), 1) AS max_distance_m,',
+      ' round(avg(__minutes), 1) AS avg_time_on_site_minutes, countIf(__same) AS same_project_segments,',
+      ' countIf(__distance > {trail_far_meters:Float64}) AS far_checkouts',
+      ` FROM (SELECT staff_id, staff_name, ${distance} AS __distance, ${minutes} AS __minutes, ${sameProject} AS __same`,
+      ` FROM ${quote(tableName)} ${where})`,
+      ' GROUP BY staff_id WITH TOTALS',
+      ' ORDER BY far_checkouts DESC, max_distance_m DESC',
+      ' LIMIT {trail_staff_limit:UInt32}'
+    ].join('');
+
+    return {
+      segmentsQuery,
+      summaryQuery,
+      params: { ...built.params, limit, trail_far_meters: farMeters, trail_staff_limit: staffLimit }
+    };
+  }
+
+  // Segment rows as a FeatureCollection of check-in -> check-out LineStrings;
+  // every other column becomes a property
+  toFeatureCollection(rows) {
+    const checkin = geoService.getLocationColumns('checkin');
+    const checkout = geoService.getLocationColumns('checkout');
+    const coordinate = (row, columns) => [Number(row[columns.lng]), Number(row[columns.lat])];
+
+    return {
+      type: 'FeatureCollection',
+      features: rows.map(row => {
+        const properties = { ...row, same_project: Boolean(Number(row.same_project)) };
+        [checkin.lat, checkin.lng, checkout.lat, checkout.lng].forEach(name => delete properties[name]);
+        return {
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: [coordinate(row, checkin), coordinate(row, checkout)] },
+          properties
+        };
+      })
+    };
+  }
+
+  // Totals row of the summary query as overall stats (staff_id/staff_name dropped)
+  describeTotals(totals) {
+    if (!totals) return null;
+    const summary = { ...totals };
+    delete summary.staff_id;
+    delete summary.staff_name;
+    return summary;
+  }
+}
+
+module.exports = new TrailService();
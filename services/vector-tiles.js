@@ -0,0 +1,380 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const clickhouseService = require('./clickhouse-service');
+const geoService = require('./geo-service');
+const queryCache = require('./query-cache');
+
+const DEFAULT_TILES_PATH = path.join(__dirname, '..', 'config', 'tiles.json');
+const MAX_ZOOM = 22;
+const MVT_TYPE = 'application/vnd.mapbox-vector-tile';
+
+// Protocol buffer wire types and MVT geometry commands (vector-tile-spec 2.1)
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+const MOVE_TO = 1;
+const POINT = 1;
+
+// Minimal protobuf writer: enough for the MVT messages written below
+class ProtobufWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  varint(value) {
+    const bytes = [];
+    let remaining = value;
+    while (remaining >= 0x80) {
+      bytes.push((remaining % 0x80) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    bytes.push(remaining);
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  tag(field, wireType) {
+    return this.varint(field * 8 + wireType);
+  }
+
+  uint(field, value) {
+    return this.tag(field, VARINT).varint(value);
+  }
+
+  double(field, value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(value);
+    this.tag(field, FIXED64);
+    this.chunks.push(buffer);
+    return this;
+  }
+
+  bytes(field, buffer) {
+    this.tag(field, LENGTH_DELIMITED).varint(buffer.length);
+    this.chunks.push(buffer);
+    return this;
+  }
+
+  string(field, value) {
+    return this.bytes(field, Buffer.from(String(value), 'utf8'));
+  }
+
+  message(field, writer) {
+    return this.bytes(field, writer.finish());
+  }
+
+  packed(field, values) {
+    const inner = new ProtobufWriter();
+    values.forEach(value => inner.varint(value));
+    return this.bytes(field, inner.finish());
+  }
+
+  finish() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+const zigzag = value => (value >= 0 ? value * 2 : -value * 2 - 1);
+
+// Mapbox Vector Tiles of lat/lng points, built from ClickHouse: each coordinate
+// pair of a table (checkin_lat/checkin_lng -> layer "checkin", latitude/longitude
+// -> layer "points") becomes a layer of points snapped to a `cellSize` pixel grid,
+// one feature per occupied cell with point_count (and the sum of `sumColumn`).
+// Tiles are cached in memory and, when cache.directory (or TILE_CACHE_DIR) is set,
+// on disk (one subdirectory per table), keyed by a hash of the tile, filters and the
+// caller's data scope. A table's tiles are dropped along with its query cache entries.
+//
+// config/tiles.json (or TILES_PATH): extent, cellSize, bufferPixels, maxFeatures
+// (per tile), sumColumn, cache { maxEntries, ttlSeconds, directory }.
+class VectorTileService {
+  constructor() {
+    this.tilesPath = process.env.TILES_PATH || DEFAULT_TILES_PATH;
+    this.config = this.loadConfig();
+    this.cache = new Map();
+    queryCache.onInvalidate(tables => this.invalidateTables(tables));
+  }
+
+  loadConfig() {
+    let config = {};
+    try {
+      config = JSON.parse(fs.readFileSync(this.tilesPath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Could not load tile config ${this.tilesPath}:`, error.message);
+    }
+
+    const positive = (value, fallback) => (Number.isInteger(value) && value > 0 ? value : fallback);
+    const cache = config.cache || {};
+    return {
+      extent: positive(config.extent, 4096),
+      cellSize: positive(config.cellSize, 8),
+      bufferPixels: Number.isInteger(config.bufferPixels) && config.bufferPixels >= 0 ? config.bufferPixels : 64,
+      maxFeatures: positive(config.maxFeatures, 50000),
+      sumColumn: config.sumColumn || null,
+      cache: {
+        maxEntries: Number.isInteger(cache.maxEntries) && cache.maxEntries >= 0 ? cache.maxEntries : 2000,
+        ttlMs: positive(cache.ttlSeconds, 600) * 1000,
+        directory: process.env.TILE_CACHE_DIR || cache.directory || null
+      }
+    };
+  }
+
+  getContentType() {
+    return MVT_TYPE;
+  }
+
+  // z/x/y from the URL as integers; throws when the tile does not exist
+  parseTile(z, x, y) {
+    const tile = { z: Number(z), x: Number(x), y: Number(y) };
+    if (!Number.isInteger(tile.z) || tile.z < 0 || tile.z > MAX_ZOOM) {
+      throw new Error(`Invalid zoom. Must be an integer between 0 and ${MAX_ZOOM}`);
+    }
+    const size = 2 ** tile.z;
+    if (![tile.x, tile.y].every(value => Number.isInteger(value) && value >= 0 && value < size)) {
+      throw new Error(`Invalid tile. x and y must be integers between 0 and ${size - 1} at zoom ${tile.z}`);
+    }
+    return tile;
+  }
+
+  // Longitude/latitude bounds of a Web Mercator tile, widened by `buffer` tile fractions
+  tileBounds({ z, x, y }, buffer = 0) {
+    const size = 2 ** z;
+    const lng = value => (value / size) * 360 - 180;
+    const lat = value => (Math.atan(Math.sinh(Math.PI * (1 - (2 * value) / size))) * 180) / Math.PI;
+    return {
+      minLng: Math.max(-180, lng(x - buffer)),
+      maxLng: Math.min(180, lng(x + 1 + buffer)),
+      minLat: Math.max(-85.0511, lat(y + 1 + buffer)),
+      maxLat: Math.min(85.0511, lat(y - buffer))
+    };
+  }
+
+  // Grid cells per layer for one tile. `where` is a prebuilt { clause, params } (filters,
+  // search and tenant scope) over the table. Returns { query, params }.
+  buildTileQuery({ tableName, schema, pairs, tile, where = { clause: '', params: {} } }) {
+    const { extent, cellSize, bufferPixels, maxFeatures, sumColumn } = this.config;
+    const quote = name => clickhouseService.quoteIdentifier(name);
+    const bounds = this.tileBounds(tile, bufferPixels / extent);
+    const sum = sumColumn && schema.some(col => col.name === sumColumn) ? sumColumn : null;
+    const filters = where.clause ? where.clause.replace(/^WHERE /, '') : null;
+
+    // Tile-local pixel coordinates (Web Mercator) divided into cells
+    const branches = pairs.map(pair => {
+      const lat = quote(pair.lat);
+      const lng = quote(pair.lng);
+      const px = `((${lng} + 180) / 360 * {tile_size:Float64} - {tile_x:Float64}) * {tile_extent:Float64}`;
+      const py = `((1 - log(tan(radians(${lat})) + 1 / cos(radians(${lat}))) / pi()) / 2 * {tile_size:Float64} - {tile_y:Float64}) * {tile_extent:Float64}`;
+      const conditions = [
+        `${lat} BETWEEN {tile_min_lat:Float64} AND {tile_max_lat:Float64}`,
+        `${lng} BETWEEN {tile_min_lng:Float64} AND {tile_max_lng:Float64}`,
+        filters ? `(${filters})` : null
+      ].filter(Boolean);
+      return [
+        `SELECT '${pair.name}' AS __layer,`,
+        ` toInt32(floor(${px} / {tile_cell:Float64})) AS __cell_x,`,
+        ` toInt32(floor(${py} / {tile_cell:Float64})) AS __cell_y`,
+        sum ? `, toFloat64(${quote(sum)}) AS __sum` : '',
+        ` FROM ${quote(tableName)} WHERE ${conditions.join(' AND ')}`
+      ].join('');
+    });
+
+    const query = [
+      `SELECT __layer AS layer, __cell_x AS cell_x, __cell_y AS cell_y, count() AS point_count${sum ? ', round(sum(__sum), 2) AS total' : ''}`,
+      ` FROM (${branches.join(' UNION ALL ')})`,
+      ' GROUP BY __layer, __cell_x, __cell_y',
+      ' ORDER BY point_count DESC',
+      ' LIMIT {tile_max_features:UInt32}'
+    ].join('');
+
+    return {
+      query,
+      params: {
+        ...where.params,
+        tile_size: 2 ** tile.z,
+        tile_x: tile.x,
+        tile_y: tile.y,
+        tile_extent: extent,
+        tile_cell: cellSize,
+        tile_min_lat: bounds.minLat,
+        tile_max_lat: bounds.maxLat,
+        tile_min_lng: bounds.minLng,
+        tile_max_lng: bounds.maxLng,
+        tile_max_features: maxFeatures
+      },
+      sumColumn: sum
+    };
+  }
+
+  // Encode grid cell rows ({ layer, cell_x, cell_y, point_count, total? }) as an MVT.
+  // `layerNames` fixes the layer order; layers without features are left out.
+  encode(rows, layerNames, { sumColumn = null } = {}) {
+    const { extent, cellSize } = this.config;
+    const tile = new ProtobufWriter();
+
+    layerNames.forEach(name => {
+      const layerRows = rows.filter(row => row.layer === name);
+      if (layerRows.length === 0) return;
+
+      const keys = ['point_count', ...(sumColumn ? [sumColumn] : [])];
+      const values = [];
+      const valueIndex = new Map();
+      const indexOf = (kind, value) => {
+        const key = `${kind}:${value}`;
+        if (!valueIndex.has(key)) {
+          valueIndex.set(key, values.length);
+          values.push({ kind, value });
+        }
+        return valueIndex.get(key);
+      };
+
+      const layer = new ProtobufWriter();
+      layer.uint(15, 2); // version
+      layer.string(1, name);
+
+      layerRows.forEach((row, index) => {
+        const tags = [0, indexOf('uint', Number(row.point_count))];
+        if (sumColumn && row.total !== null && row.total !== undefined) {
+          tags.push(1, indexOf('double', Number(row.total)));
+        }
+
+        // Cell centre in tile pixels
+        const x = Math.round(Number(row.cell_x) * cellSize + cellSize / 2);
+        const y = Math.round(Number(row.cell_y) * cellSize + cellSize / 2);
+        const feature = new ProtobufWriter()
+          .uint(1, index + 1)
+          .packed(2, tags)
+          .uint(3, POINT)
+          .packed(4, [MOVE_TO + 8 * 1, zigzag(x), zigzag(y)]);
+        layer.message(2, feature);
+      });
+
+      keys.forEach(key => layer.string(3, key));
+      values.forEach(({ kind, value }) => {
+        const encoded = new ProtobufWriter();
+        if (kind === 'uint') encoded.uint(5, value);
+        else encoded.double(3, value);
+        layer.message(4, encoded);
+      });
+      layer.uint(5, extent);
+
+      tile.message(3, layer);
+    });
+
+    return tile.finish();
+  }
+
+  // Cache key: the tile plus everything that changes its content for this caller
+  cacheKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  // Cache file of a tile: <directory>/<table>/<key>.mvt
+  cacheFile(tableName, key) {
+    return path.join(this.config.cache.directory, encodeURIComponent(tableName), `${key}.mvt`);
+  }
+
+  // Cached tile buffer or null. Memory first, then the cache directory.
+  async getCached(tableName, key) {
+    const { ttlMs, directory } = this.config.cache;
+    const entry = this.cache.get(key);
+    if (entry) {
+      if (Date.now() - entry.createdAt < ttlMs) {
+        // Move to the end: the map's insertion order is the eviction order
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        return entry.buffer;
+      }
+      this.cache.delete(key);
+    }
+
+    if (!directory) return null;
+    const file = this.cacheFile(tableName, key);
+    try {
+      const stats = await fs.promises.stat(file);
+      if (Date.now() - stats.mtimeMs >= ttlMs) {
+        await fs.promises.unlink(file).catch(() => {});
+        return null;
+      }
+      const buffer = await fs.promises.readFile(file);
+      this.remember(tableName, key, buffer, stats.mtimeMs);
+      return buffer;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async setCached(tableName, key, buffer) {
+    this.remember(tableName, key, buffer, Date.now());
+
+    const { directory } = this.config.cache;
+    if (!directory) return;
+    const file = this.cacheFile(tableName, key);
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    } catch (error) {
+      console.warn(`⚠️ Could not write tile cache ${directory}:`, error.message);
+    }
+  }
+
+  remember(tableName, key, buffer, createdAt) {
+    const { maxEntries } = this.config.cache;
+    if (maxEntries === 0) return;
+    this.cache.delete(key);
+    this.cache.set(key, { tableName, buffer, createdAt });
+    while (this.cache.size > maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  // Drop the cached tiles of `tables` (every table when null), in memory and on disk.
+  // Returns the number of tiles removed.
+  async invalidateTables(tables) {
+    const removed = new Set();
+    this.cache.forEach((entry, key) => {
+      if (tables === null || tables.includes(entry.tableName)) {
+        this.cache.delete(key);
+        removed.add(key);
+      }
+    });
+
+    const { directory } = this.config.cache;
+    if (directory) {
+      const folders = tables === null
+        ? await fs.promises.readdir(directory).catch(() => [])
+        : tables.map(name => encodeURIComponent(name));
+      for (const folder of folders) {
+        const folderPath = path.join(directory, folder);
+        const files = await fs.promises.readdir(folderPath).catch(() => []);
+        for (const file of files.filter(name => name.endsWith('.mvt'))) {
+          await fs.promises.unlink(path.join(folderPath, file)).catch(() => {});
+          removed.add(file.slice(0, -'.mvt'.length));
+        }
+      }
+    }
+
+    if (removed.size > 0) {
+      console.log(`🧹 Tile cache: dropped ${removed.size} tiles${tables ? ` for ${tables.join(', ')}` : ''}`);
+    }
+    return removed.size;
+  }
+
+  // Coordinate pairs of a table that can be drawn as tile layers, optionally
+  // narrowed to `layers` (comma-separated names); { pairs } or { error }
+  resolveLayers(schema, layers = '') {
+    const pairs = geoService.getCoordinatePairs(schema);
+    if (pairs.length === 0) {
+      return { error: 'Table has no latitude/longitude column pair' };
+    }
+    if (!layers) return { pairs };
+
+    const names = String(layers).split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.find(name => !pairs.some(pair => pair.name === name));
+    if (unknown) {
+      return { error: `Unknown layer "${unknown}". Available: ${pairs.map(pair => pair.name).join(', ')}` };
+    }
+    return { pairs: pairs.filter(pair => names.includes(pair.name)) };
+  }
+}
+
+module.exports = new VectorTileService();